@@ -6,6 +6,10 @@ require("dotenv").config();
 
 const pdfRoutes = require("../routes/pdfRoutes");
 const chatRoutes = require("../routes/chatRoutes");
+const embeddingRetryService = require("../services/embeddingRetryService");
+const jobWorkerService = require("../services/jobWorkerService");
+const vectorDBService = require("../services/vectorDBService");
+const { AppError } = require("../utils/errors");
 const Logger = require("../utils/logger");
 
 const app = express();
@@ -74,6 +78,11 @@ app.get("/health", (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Rejected requests, e.g. uploads of unsupported file types
+  if (err instanceof AppError) {
+    return res.status(err.status).json({ error: err.message, code: err.code });
+  }
+
   Logger.error(err.stack);
   res.status(500).json({
     error: "Something went wrong!",
@@ -90,6 +99,17 @@ app.use("*", (req, res) => {
 });
 
 app.listen(PORT, () => {
+  // Pick up chunks left pending and jobs left unfinished by earlier runs
+  embeddingRetryService.start();
+  jobWorkerService.start();
+
+  // Collections created by older versions may lack newer payload indexes
+  vectorDBService
+    .ensurePayloadIndexes()
+    .catch((error) =>
+      Logger.warn("⚠️ Could not create payload indexes:", error.message)
+    );
+
   Logger.log(`🚀 Server running on port ${PORT}`);
   Logger.log(`📊 Health check: http://localhost:${PORT}/health`);
   Logger.log(`📁 Files served via Vercel Blob URLs`);
@@ -5,15 +5,93 @@ dotenv.config();
 
 const chatService = require("../services/chatService");
 const vectorDBService = require("../services/vectorDBService");
+const rerankService = require("../services/rerankService");
 const Logger = require("../utils/logger");
 
 const router = express.Router();
 
+/**
+ * Write a server-sent event to the response
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Stream a chat response as server-sent events.
+ * Events: context, citations, model, token, metadata, done (or error)
+ */
+async function streamChatQuery(req, res) {
+  const { query, fileId, chatHistory = [] } = req.body;
+  const signal = req.abortController.signal;
+
+  if (!query || query.trim().length === 0) {
+    return res.status(400).json({ error: "Query is required" });
+  }
+
+  Logger.log(
+    `💬 Streaming chat query: ${query}${fileId ? ` (File: ${fileId})` : ""}`
+  );
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+
+  try {
+    const result = await chatService.chatWithPDFStream(
+      query,
+      fileId,
+      chatHistory,
+      {
+        onContext: (context) => sendEvent(res, "context", context),
+        onCitations: (citations) => sendEvent(res, "citations", citations),
+        onModel: (model) => sendEvent(res, "model", model),
+        onToken: (token) => sendEvent(res, "token", { token }),
+      },
+      signal
+    );
+
+    sendEvent(res, "metadata", result.metadata);
+    sendEvent(res, "done", { success: true });
+    res.end();
+  } catch (error) {
+    if (signal.aborted) {
+      Logger.log("🛑 Chat stream aborted due to client disconnect");
+      return;
+    }
+
+    Logger.error("Error in streaming chat query:", error);
+    sendEvent(res, "error", {
+      error: "Chat query failed",
+      message: error.message,
+    });
+    res.end();
+  }
+}
+
+/**
+ * POST /api/chat/query/stream
+ * Chat with a specific PDF or all PDFs, streaming the response
+ */
+router.post("/query/stream", streamChatQuery);
+
 /**
  * POST /api/chat/query
  * Chat with a specific PDF or all PDFs
+ * Responds with server-sent events when the client accepts text/event-stream
  */
 router.post("/query", async (req, res) => {
+  if (
+    req.accepts(["application/json", "text/event-stream"]) ===
+    "text/event-stream"
+  ) {
+    return streamChatQuery(req, res);
+  }
+
   try {
     const { query, fileId, chatHistory = [] } = req.body;
 
@@ -29,6 +107,7 @@ router.post("/query", async (req, res) => {
       success: true,
       response: result.response,
       context: result.context,
+      citations: result.citations,
       metadata: result.metadata,
     });
   } catch (error) {
@@ -181,11 +260,17 @@ router.get("/search", async (req, res) => {
       };
     }
 
-    // Search for similar chunks
-    const results = await vectorDBService.searchSimilar(
+    // Search for similar chunks, over-fetching when reranking
+    const candidates = await vectorDBService.searchSimilar(
       queryEmbedding,
-      parseInt(limit),
-      filter
+      rerankService.getCandidateCount(parseInt(limit)),
+      filter,
+      { queryText: query }
+    );
+    const results = await rerankService.rerank(
+      query,
+      candidates,
+      parseInt(limit)
     );
 
     // Group results by file
@@ -202,6 +287,9 @@ router.get("/search", async (req, res) => {
       groupedResults[fileId].matches.push({
         content: result.content,
         score: result.score,
+        denseScore: result.denseScore,
+        keywordScore: result.keywordScore,
+        rerankScore: result.rerankScore ?? null,
         section: result.metadata.sectionTitle,
       });
     });
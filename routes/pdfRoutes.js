@@ -4,13 +4,22 @@ const path = require("path");
 const fs = require("fs-extra");
 const dotenv = require("dotenv");
 const { del } = require("@vercel/blob");
+const { waitUntil } = require("@vercel/functions");
 
 dotenv.config();
 
 const pdfService = require("../services/pdfService");
-const embeddingService = require("../services/embeddingService");
 const vectorDBService = require("../services/vectorDBService");
+const jobService = require("../services/jobService");
+const jobWorkerService = require("../services/jobWorkerService");
+const { tableToCsv } = require("../services/pdf/tableExtractor");
+const { ENTITY_TYPES, entityKey } = require("../services/entityIndex");
+const {
+  isSupportedFile,
+  supportedExtensions,
+} = require("../services/extractors");
 const Logger = require("../utils/logger");
+const { AppError } = require("../utils/errors");
 
 const router = express.Router();
 
@@ -23,75 +32,95 @@ const upload = multer({
     fieldSize: 10 * 1024 * 1024, // 10MB for field size
   },
   fileFilter: (req, file, cb) => {
-    // Check if file is PDF
-    if (file.mimetype === "application/pdf") {
+    // Check the claimed type; the content is checked once received
+    if (isSupportedFile(file)) {
       cb(null, true);
     } else {
-      cb(new Error("Only PDF files are allowed"), false);
+      cb(
+        new AppError(
+          `Only ${supportedExtensions().join(", ")} files are allowed`,
+          "UNSUPPORTED_FILE_TYPE",
+          415
+        ),
+        false
+      );
     }
   },
 });
 
 /**
  * POST /api/pdf/upload
- * Upload and process a PDF file
+ * Upload a PDF, DOCX, HTML, Markdown or text file (form field `pdf`) and
+ * process it in the background. Responds with 202 and a jobId to poll at
+ * GET /api/pdf/jobs/:jobId. Encrypted PDFs need a `password` form field.
  */
 router.post("/upload", upload.single("pdf"), async (req, res) => {
-  let pdfResult = null;
-  let embeddings = null;
-
   try {
     if (!req.file) {
-      return res.status(400).json({ error: "No PDF file provided" });
+      return res.status(400).json({ error: "No file provided" });
     }
 
-    Logger.log(`📄 Processing PDF: ${req.file.originalname}`);
+    Logger.log(`📄 Processing document: ${req.file.originalname}`);
+
+    // Never log or store the password; it only lives in this request and
+    // the job's first run
+    const password = req.body.password || null;
 
-    // Step 1-4: Process PDF through the pipeline
-    pdfResult = await pdfService.processPDF(
+    // Reject unsupported, malformed or unsafe files before accepting the
+    // job, so they never reach the parser or blob storage
+    const { fileType, activeContent } = await pdfService.validateUpload(
       req.file,
-      req.abortController.signal
+      password
     );
+    if (activeContent.length > 0) {
+      Logger.warn(
+        `⚠️ ${
+          req.file.originalname
+        } contains active content: ${activeContent.join(", ")}`
+      );
+    }
 
-    // Step 5: Create embeddings with abort checking
-    embeddings = await embeddingService.chunkAndEmbed(
-      pdfResult.structuredData,
-      pdfResult.fileId,
-      req.abortController.signal
-    );
+    // The file goes to blob storage first, so any instance can run the job
+    // again if this one stops before finishing it
+    const uploadResult = await pdfService.uploadPDF(req.file, fileType);
+    const job = await jobService.createJob({
+      fileName: req.file.originalname,
+      fileType,
+      activeContent,
+      upload: uploadResult,
+      passwordProtected: !!password,
+    });
 
-    // Step 6: Store in vector database
-    await vectorDBService.initializeCollection();
-    await vectorDBService.storeEmbeddings(
-      embeddings,
-      req.abortController.signal
+    // The job outlives the request, so it is not tied to the client's
+    // abort signal. On Vercel, waitUntil keeps the function alive until
+    // the job finishes; elsewhere the promise simply runs on.
+    waitUntil(
+      jobWorkerService.run(job, { file: req.file, password: password })
     );
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: "PDF processed successfully",
-      data: {
-        fileId: pdfResult.fileId,
-        fileName: pdfResult.fileName,
-        originalName: pdfResult.originalName,
-        documentType: pdfResult.structuredData.documentType,
-        totalPages: pdfResult.parsedData.totalPages,
-        sections: pdfResult.structuredData.sections.length,
-        chunks: embeddings.length,
-        summary: pdfResult.structuredData.summary,
-        suggestions: pdfResult.structuredData.suggestions || [],
-        blobUrl: pdfResult.blobUrl,
-      },
+      message: "Document accepted for processing",
+      jobId: job.jobId,
+      statusUrl: `${req.baseUrl}/jobs/${job.jobId}`,
+      activeContent,
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      Logger.warn(`⚠️ Upload rejected (${error.code}): ${error.message}`);
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+      });
+    }
+
     Logger.error("Error uploading PDF:", error);
 
-    if (error.name === "AbortError") {
-      Logger.log("🛑 PDF processing aborted due to client disconnect");
+    if (req.abortController.signal.aborted) {
+      Logger.log("🛑 Document processing aborted due to client disconnect");
       return;
     }
 
-    // Only send error response if request hasn't been aborted
     if (!res.headersSent) {
       res.status(500).json({
         error: "Failed to process PDF",
@@ -101,6 +130,63 @@ router.post("/upload", upload.single("pdf"), async (req, res) => {
   }
 });
 
+/**
+ * GET /api/pdf/jobs/run
+ * Run jobs whose worker stopped before finishing them. Called by the
+ * Vercel cron in vercel.json; when CRON_SECRET is set, requests must send
+ * it as a bearer token.
+ */
+router.get("/jobs/run", async (req, res) => {
+  if (
+    process.env.CRON_SECRET &&
+    req.get("Authorization") !== `Bearer ${process.env.CRON_SECRET}`
+  ) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const count = await jobWorkerService.runPending({ limit: 1 });
+    res.json({
+      success: true,
+      jobsRun: count,
+    });
+  } catch (error) {
+    Logger.error("Error running pending jobs:", error);
+    res.status(500).json({
+      error: "Failed to run pending jobs",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/pdf/jobs/:jobId
+ * Get the stage, progress and result of an ingestion job
+ */
+router.get("/jobs/:jobId", async (req, res) => {
+  try {
+    const job = await jobService.getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: "Job not found",
+        message: `No job found with ID: ${req.params.jobId}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      job: job,
+    });
+  } catch (error) {
+    Logger.error("Error getting job:", error);
+    res.status(500).json({
+      error: "Failed to get job",
+      message: error.message,
+    });
+  }
+});
+
 /**
  * GET /api/pdf/files
  * Get all uploaded files
@@ -121,6 +207,49 @@ router.get("/files", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/pdf/entities?name=<entity>&type=<PER|ORG|LOC|MISC>
+ * Find the files that mention an entity. Names are matched in normalized
+ * form, so "ACME Corporation" finds files that mention "Acme Corp.".
+ */
+router.get("/entities", async (req, res) => {
+  try {
+    const name = (req.query.name || "").trim();
+    const type = req.query.type ? req.query.type.toUpperCase() : null;
+
+    if (!name) {
+      return res.status(400).json({
+        error: "Name required",
+        message: "Give the entity to look for with ?name=<entity>",
+      });
+    }
+
+    const keys = [
+      ...new Set(
+        (type ? [type] : ENTITY_TYPES)
+          .map((entityType) => entityKey(name, entityType))
+          .filter(Boolean)
+      ),
+    ];
+    const files = keys.length
+      ? await vectorDBService.findFilesByEntity(keys)
+      : [];
+
+    res.json({
+      success: true,
+      name: name,
+      type: type,
+      files: files,
+    });
+  } catch (error) {
+    Logger.error("Error finding entity:", error);
+    res.status(500).json({
+      error: "Failed to find entity",
+      message: error.message,
+    });
+  }
+});
+
 /**
  * GET /api/pdf/file/:fileId
  * Get specific file information
@@ -134,6 +263,15 @@ router.get("/file/:fileId", async (req, res) => {
       return res.status(404).json({ error: "File not found" });
     }
 
+    const pendingEmbeddings = await vectorDBService.countPendingByFileId(
+      fileId
+    );
+    const failedEmbeddings = await vectorDBService.countByEmbeddingStatus(
+      fileId,
+      "failed"
+    );
+    const documentInfo = (await vectorDBService.getDocumentInfo(fileId)) || {};
+
     // Group chunks by section
     const sections = {};
     chunks.forEach((chunk) => {
@@ -149,7 +287,12 @@ router.get("/file/:fileId", async (req, res) => {
       fileId: fileId,
       documentType: chunks[0].metadata.documentType,
       sections: sections,
+      metadata: documentInfo.metadata || null,
+      outline: documentInfo.outline || [],
+      outlineSource: documentInfo.outlineSource || null,
       totalChunks: chunks.length,
+      pendingEmbeddings: pendingEmbeddings,
+      failedEmbeddings: failedEmbeddings,
     });
   } catch (error) {
     Logger.error("Error getting file:", error);
@@ -160,6 +303,100 @@ router.get("/file/:fileId", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/pdf/file/:fileId/tables
+ * Get the tables extracted from a file as JSON, or one table as CSV with
+ * ?format=csv&table=<index>
+ */
+router.get("/file/:fileId/tables", async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const format = (req.query.format || "json").toLowerCase();
+    const tables = await vectorDBService.getTables(fileId);
+
+    if (!["json", "csv"].includes(format)) {
+      return res.status(400).json({
+        error: "Invalid format",
+        message: "Format must be json or csv",
+      });
+    }
+
+    let selected = tables;
+    if (req.query.table !== undefined) {
+      const tableIndex = parseInt(req.query.table);
+      selected = tables.filter((table) => table.tableIndex === tableIndex);
+      if (selected.length === 0) {
+        return res.status(404).json({
+          error: "Table not found",
+          message: `No table ${req.query.table} in file: ${fileId}`,
+        });
+      }
+    }
+
+    if (format === "csv") {
+      if (selected.length !== 1) {
+        return res.status(400).json({
+          error: "Table required",
+          message: `File has ${selected.length} tables; choose one with ?table=<index>`,
+        });
+      }
+
+      const [table] = selected;
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${fileId.replace(/[^\w.-]/g, "_")}-table-${
+          table.tableIndex
+        }.csv"`
+      );
+      return res.send(tableToCsv(table));
+    }
+
+    res.json({
+      success: true,
+      fileId: fileId,
+      tables: selected,
+    });
+  } catch (error) {
+    Logger.error("Error getting tables:", error);
+    res.status(500).json({
+      error: "Failed to get tables",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/pdf/file/:fileId/entities
+ * Get the people, organizations, places and other entities of a file, with
+ * the pages and chunks they occur in. Filter by type with ?type=<type>.
+ */
+router.get("/file/:fileId/entities", async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const entities = await vectorDBService.getEntities(fileId);
+
+    if (entities === null) {
+      return res.status(404).json({ error: "File not found" });
+    }
+
+    const type = req.query.type ? req.query.type.toUpperCase() : null;
+    res.json({
+      success: true,
+      fileId: fileId,
+      entities: type
+        ? entities.filter((entity) => entity.type === type)
+        : entities,
+    });
+  } catch (error) {
+    Logger.error("Error getting entities:", error);
+    res.status(500).json({
+      error: "Failed to get entities",
+      message: error.message,
+    });
+  }
+});
+
 /**
  * DELETE /api/pdf/file/:fileId
  * Delete a file and its embeddings
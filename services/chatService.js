@@ -1,25 +1,30 @@
 const embeddingService = require("./embeddingService");
 const vectorDBService = require("./vectorDBService");
-const { InferenceClient } = require("@huggingface/inference");
+const rerankService = require("./rerankService");
+const { createLLMProvider } = require("./llm");
 const dotenv = require("dotenv");
 
 dotenv.config();
 
 class ChatService {
   constructor() {
-    this.huggingfaceApiKey = process.env.HUGGINGFACE_API_KEY;
+    this.llmProvider = createLLMProvider();
 
-    // Model configuration from environment variables
+    // Model configuration from environment variables. Fallback models
+    // default to Hugging Face models, so only use them with that provider.
+    const isHuggingFace = this.llmProvider.name === "huggingface";
     this.primaryModel = process.env.PRIMARY_MODEL || "Qwen/Qwen2-7B-Instruct";
-    this.fallbackModel1 = process.env.FALLBACK_MODEL_1 || "zai-org/GLM-4.5";
+    this.fallbackModel1 =
+      process.env.FALLBACK_MODEL_1 || (isHuggingFace ? "zai-org/GLM-4.5" : "");
     this.fallbackModel2 =
-      process.env.FALLBACK_MODEL_2 || "microsoft/DialoGPT-medium";
-
-    if (!this.huggingfaceApiKey) {
-      throw new Error("HUGGINGFACE_API_KEY is required");
-    }
-
-    this.client = new InferenceClient(this.huggingfaceApiKey);
+      process.env.FALLBACK_MODEL_2 ||
+      (isHuggingFace ? "microsoft/DialoGPT-medium" : "");
+
+    this.models = [
+      { name: "Primary Model", model: this.primaryModel },
+      { name: "Fallback Model 1", model: this.fallbackModel1 },
+      { name: "Fallback Model 2", model: this.fallbackModel2 },
+    ].filter(({ model }) => model);
   }
 
   /**
@@ -27,58 +32,23 @@ class ChatService {
    */
   async chatWithPDF(query, fileId = null, chatHistory = []) {
     try {
-      let relevantChunks = [];
-      let isPageSpecific = false;
-      let targetPage = null;
-
-      // Check if this is a page-specific query
-      const pageQueryResult = this.detectPageSpecificQuery(query);
-      if (pageQueryResult.isPageSpecific && fileId) {
-        isPageSpecific = true;
-        targetPage = pageQueryResult.pageNumber;
-        console.log(`📄 Page-specific query detected for page ${targetPage}`);
-
-        // Get chunks for specific page
-        relevantChunks = await vectorDBService.searchByFileIdAndPage(
-          fileId,
-          targetPage,
-          10
-        );
-
-        if (relevantChunks.length === 0) {
-          return {
-            response: `I couldn't find any content on page ${targetPage}. The document might not have that many pages, or the page might be empty.`,
-            context: {
-              chunksUsed: 0,
-              topChunk: "No content found",
-              confidence: 0,
-              isPageSpecific: true,
-              targetPage: targetPage,
-            },
-            metadata: {
-              query: query,
-              fileId: fileId,
-              timestamp: new Date().toISOString(),
-            },
-          };
-        }
-      } else if (fileId) {
-        // Chat with specific PDF - get all chunks from that file
-        console.log(`💬 Chatting with specific PDF: ${fileId}`);
-        relevantChunks = await vectorDBService.searchByFileId(fileId, 10);
-      } else {
-        // Chat with all PDFs - use semantic search
-        console.log(`💬 Chatting with all PDFs using semantic search`);
-        const queryEmbedding = await embeddingService.getQueryEmbedding(query);
-        relevantChunks = await vectorDBService.searchSimilar(queryEmbedding, 5);
+      const retrieval = await this.retrieveChunks(query, fileId);
+
+      if (retrieval.emptyPage) {
+        return {
+          response: this.getEmptyPageResponse(retrieval.targetPage),
+          context: this.buildContextSummary(retrieval),
+          citations: [],
+          metadata: this.buildMetadata(query, fileId),
+        };
       }
 
       // Build context from relevant chunks
       const context = this.buildContext(
-        relevantChunks,
+        retrieval.relevantChunks,
         fileId,
-        isPageSpecific,
-        targetPage
+        retrieval.isPageSpecific,
+        retrieval.targetPage
       );
 
       // Generate response using AI models
@@ -86,25 +56,190 @@ class ChatService {
 
       return {
         response: response,
-        context: {
-          chunksUsed: relevantChunks.length,
-          topChunk: relevantChunks[0]?.content?.substring(0, 200) + "...",
-          confidence: relevantChunks[0]?.score || 0,
-          isPageSpecific: isPageSpecific,
-          targetPage: targetPage,
-        },
+        context: this.buildContextSummary(retrieval),
+        citations: this.buildCitations(retrieval.relevantChunks),
+        metadata: this.buildMetadata(query, fileId),
+      };
+    } catch (error) {
+      console.error("Error in chat:", error);
+      throw new Error(`Chat failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Chat with PDF, streaming tokens as they arrive from the model.
+   * Handlers: onContext(context), onCitations(citations),
+   * onModel({ name, model }), onToken(token)
+   */
+  async chatWithPDFStream(
+    query,
+    fileId = null,
+    chatHistory = [],
+    handlers = {},
+    signal = null
+  ) {
+    try {
+      const retrieval = await this.retrieveChunks(query, fileId);
+      const contextSummary = this.buildContextSummary(retrieval);
+      const citations = this.buildCitations(retrieval.relevantChunks);
+
+      if (handlers.onContext) {
+        handlers.onContext(contextSummary);
+      }
+      if (handlers.onCitations) {
+        handlers.onCitations(citations);
+      }
+
+      if (retrieval.emptyPage) {
+        const response = this.getEmptyPageResponse(retrieval.targetPage);
+        if (handlers.onToken) {
+          handlers.onToken(response);
+        }
+        return {
+          response: response,
+          context: contextSummary,
+          citations: citations,
+          metadata: this.buildMetadata(query, fileId),
+        };
+      }
+
+      const context = this.buildContext(
+        retrieval.relevantChunks,
+        fileId,
+        retrieval.isPageSpecific,
+        retrieval.targetPage
+      );
+
+      const { response, model } = await this.generateResponseStream(
+        query,
+        context,
+        chatHistory,
+        handlers,
+        signal
+      );
+
+      return {
+        response: response,
+        context: contextSummary,
+        citations: citations,
         metadata: {
-          query: query,
-          fileId: fileId,
-          timestamp: new Date().toISOString(),
+          ...this.buildMetadata(query, fileId),
+          model: model,
         },
       };
     } catch (error) {
-      console.error("Error in chat:", error);
+      console.error("Error in streaming chat:", error);
       throw new Error(`Chat failed: ${error.message}`);
     }
   }
 
+  /**
+   * Retrieve the chunks relevant to a query
+   */
+  async retrieveChunks(query, fileId = null) {
+    let relevantChunks = [];
+    let isPageSpecific = false;
+    let targetPage = null;
+
+    // Check if this is a page-specific query
+    const pageQueryResult = this.detectPageSpecificQuery(query);
+    if (pageQueryResult.isPageSpecific && fileId) {
+      isPageSpecific = true;
+      targetPage = pageQueryResult.pageNumber;
+      console.log(`📄 Page-specific query detected for page ${targetPage}`);
+
+      // Get chunks for specific page
+      relevantChunks = await vectorDBService.searchByFileIdAndPage(
+        fileId,
+        targetPage,
+        10
+      );
+    } else if (fileId) {
+      // Chat with specific PDF - semantic search restricted to that file
+      console.log(`💬 Chatting with specific PDF: ${fileId}`);
+      const queryEmbedding = await embeddingService.getQueryEmbedding(query);
+      const candidates = await vectorDBService.searchSimilar(
+        queryEmbedding,
+        rerankService.getCandidateCount(10),
+        {
+          must: [
+            {
+              key: "fileId",
+              match: { value: fileId },
+            },
+          ],
+        },
+        { queryText: query }
+      );
+      relevantChunks = await rerankService.rerank(query, candidates, 10);
+    } else {
+      // Chat with all PDFs - use semantic search
+      console.log(`💬 Chatting with all PDFs using semantic search`);
+      const queryEmbedding = await embeddingService.getQueryEmbedding(query);
+      const candidates = await vectorDBService.searchSimilar(
+        queryEmbedding,
+        rerankService.getCandidateCount(5),
+        null,
+        { queryText: query }
+      );
+      relevantChunks = await rerankService.rerank(query, candidates, 5);
+    }
+
+    return {
+      relevantChunks,
+      isPageSpecific,
+      targetPage,
+      emptyPage: isPageSpecific && relevantChunks.length === 0,
+    };
+  }
+
+  /**
+   * Summarize the retrieved context for API responses
+   */
+  buildContextSummary(retrieval) {
+    const { relevantChunks, isPageSpecific, targetPage } = retrieval;
+
+    if (retrieval.emptyPage) {
+      return {
+        chunksUsed: 0,
+        topChunk: "No content found",
+        confidence: 0,
+        scores: [],
+        rerankScores: [],
+        isPageSpecific: true,
+        targetPage: targetPage,
+      };
+    }
+
+    return {
+      chunksUsed: relevantChunks.length,
+      topChunk: relevantChunks[0]?.content?.substring(0, 200) + "...",
+      confidence: relevantChunks[0]?.score || 0,
+      scores: relevantChunks.map((chunk) => chunk.score),
+      rerankScores: relevantChunks.map((chunk) => chunk.rerankScore ?? null),
+      isPageSpecific: isPageSpecific,
+      targetPage: targetPage,
+    };
+  }
+
+  /**
+   * Build response metadata
+   */
+  buildMetadata(query, fileId) {
+    return {
+      query: query,
+      fileId: fileId,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Response used when a page-specific query finds no content
+   */
+  getEmptyPageResponse(targetPage) {
+    return `I couldn't find any content on page ${targetPage}. The document might not have that many pages, or the page might be empty.`;
+  }
+
   /**
    * Detect if a query is asking about a specific page
    */
@@ -156,9 +291,14 @@ class ChatService {
     }
 
     chunks.forEach((chunk, index) => {
-      context += `${index + 1}. ${chunk.content}\n\n`;
+      context += `[${index + 1}] (${this.describeSource(chunk)}) ${
+        chunk.content
+      }\n\n`;
     });
 
+    context +=
+      "Cite the sources you use with their numbers in square brackets, e.g. [1] or [2][3].\n";
+
     if (fileId) {
       if (isPageSpecific) {
         context += `\nThis information is from page ${targetPage} of a specific document (ID: ${fileId}).`;
@@ -171,105 +311,241 @@ class ChatService {
   }
 
   /**
-   * Generate response using Qwen via Hugging Face Inference client
+   * Describe where a chunk comes from, e.g. "Page 3, Section: Experience"
+   */
+  describeSource(chunk) {
+    const parts = [];
+    const metadata = chunk.metadata || {};
+
+    if (metadata.pageNumber) {
+      parts.push(`Page ${metadata.pageNumber}`);
+    }
+    if (metadata.sectionTitle) {
+      parts.push(`Section: ${metadata.sectionTitle}`);
+    }
+    if (parts.length === 0) {
+      parts.push(metadata.section || "Document");
+    }
+
+    return parts.join(", ");
+  }
+
+  /**
+   * Build citations for the numbered sources in the context
+   */
+  buildCitations(chunks) {
+    return chunks.map((chunk, index) => {
+      const metadata = chunk.metadata || {};
+      const snippet = chunk.content || "";
+
+      return {
+        source: index + 1,
+        fileId: metadata.fileId,
+        page: metadata.pageNumber || null,
+        section: metadata.sectionTitle || null,
+        chunkIndex: metadata.chunkIndex,
+        // Range of the page's extracted text the chunk came from
+        originalStart: metadata.originalStart ?? null,
+        originalEnd: metadata.originalEnd ?? null,
+        snippet:
+          snippet.length > 200 ? `${snippet.substring(0, 200)}...` : snippet,
+        score: chunk.score,
+        rerankScore: chunk.rerankScore ?? null,
+      };
+    });
+  }
+
+  /**
+   * Generate response using the configured LLM provider
    */
   async generateResponse(query, context, chatHistory = []) {
     try {
-      // Validate client
-      if (!this.client) {
-        throw new Error("Hugging Face client not initialized");
+      const messages = this.buildChatMessages(query, context, chatHistory);
+
+      console.log(`📝 Query: ${query.substring(0, 100)}...`);
+      console.log(`📊 Context length: ${context.length} characters`);
+
+      const { content } = await this.runWithFallback("chat response", {
+        messages: messages,
+        max_tokens: 500,
+        temperature: 0.7,
+        top_p: 0.9,
+        timeout: 30000,
+      });
+
+      return content;
+    } catch (error) {
+      console.error("Error generating response:", error);
+      if (error.message.includes("timeout")) {
+        console.error(
+          "⏰ All models timed out - this might be due to model loading or network issues"
+        );
       }
+      throw error;
+    }
+  }
 
-      // Build messages array
-      const messages = [
-        {
-          role: "system",
-          content: this.getSystemPrompt(),
-        },
-      ];
+  /**
+   * Run a chat completion, trying each configured model in sequence with
+   * an individual timeout. Resolves to { content, model }.
+   */
+  async runWithFallback(task, { timeout = 30000, ...params }) {
+    for (let i = 0; i < this.models.length; i++) {
+      const { name, model } = this.models[i];
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+
+      try {
+        console.log(
+          `🤖 Trying model ${i + 1}/${this.models.length} for ${task}: ${name}`
+        );
 
-      // Add chat history (last 5 messages to avoid token limits)
-      const recentHistory = chatHistory.slice(-5);
-      messages.push(...recentHistory);
+        const content = await this.llmProvider.chatCompletion(
+          { ...params, model },
+          controller.signal
+        );
 
-      // Add current query with context
-      messages.push({
-        role: "user",
-        content: `Context: ${context}\n\nUser Question: ${query}`,
-      });
+        console.log(`✅ ${task} generated successfully with ${name}`);
+        return { content, model: { name, model } };
+      } catch (error) {
+        const message = controller.signal.aborted
+          ? `Chat API request timeout for ${name}`
+          : error.message;
+        console.error(`❌ ${name} failed for ${task}:`, message);
+
+        // If this is the last model, throw the error
+        if (i === this.models.length - 1) {
+          throw new Error(message);
+        }
 
-      console.log(`📝 Query: ${query.substring(0, 100)}...`);
-      console.log(`📊 Context length: ${context.length} characters`);
+        // Otherwise, continue to next model
+        console.log(`⚠️ Trying next model...`);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  }
 
-      // Try models in sequence with individual timeouts
-      const models = [
-        { name: "Primary Model", model: this.primaryModel },
-        { name: "Fallback Model 1", model: this.fallbackModel1 },
-        { name: "Fallback Model 2", model: this.fallbackModel2 },
-      ];
+  /**
+   * Stream a response, trying each model in turn until one starts producing
+   * tokens. Once tokens have been sent we cannot switch models, so a failure
+   * mid-stream is thrown to the caller.
+   */
+  async generateResponseStream(
+    query,
+    context,
+    chatHistory = [],
+    handlers = {},
+    signal = null
+  ) {
+    const messages = this.buildChatMessages(query, context, chatHistory);
+
+    console.log(`📝 Streaming query: ${query.substring(0, 100)}...`);
+    console.log(`📊 Context length: ${context.length} characters`);
+
+    for (let i = 0; i < this.models.length; i++) {
+      const { name, model } = this.models[i];
+      let response = "";
+      let started = false;
+
+      // Abort this model's request if the client disconnects or the model
+      // does not produce a first token within 30 seconds
+      const controller = new AbortController();
+      const onAbort = () => controller.abort();
+      if (signal) {
+        if (signal.aborted) {
+          throw new Error("Request aborted by client");
+        }
+        signal.addEventListener("abort", onAbort);
+      }
+      const firstTokenTimeout = setTimeout(() => controller.abort(), 30000);
 
-      for (let i = 0; i < models.length; i++) {
-        const { name, model } = models[i];
-        try {
-          console.log(`🤖 Trying model ${i + 1}/${models.length}: ${name}`);
-
-          // Individual timeout for each model (30 seconds)
-          const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(
-              () => reject(new Error(`Chat API request timeout for ${name}`)),
-              30000
-            );
-          });
-
-          const chatCompletionPromise = this.client.chatCompletion({
-            provider: "auto",
+      try {
+        console.log(
+          `🤖 Streaming with model ${i + 1}/${this.models.length}: ${name}`
+        );
+
+        const stream = this.llmProvider.chatCompletionStream(
+          {
             model: model,
             messages: messages,
             max_tokens: 500,
             temperature: 0.7,
             top_p: 0.9,
-          });
-
-          const chatCompletion = await Promise.race([
-            chatCompletionPromise,
-            timeoutPromise,
-          ]);
-
-          console.log(`✅ Response generated successfully with ${name}`);
-
-          if (chatCompletion.choices && chatCompletion.choices[0]) {
-            const response = chatCompletion.choices[0].message.content;
-            return response;
-          } else {
-            console.error(
-              `❌ Invalid response structure from ${name}:`,
-              chatCompletion
-            );
-            throw new Error(`Invalid response from ${name}`);
+          },
+          controller.signal
+        );
+
+        for await (const token of stream) {
+          if (!started) {
+            started = true;
+            clearTimeout(firstTokenTimeout);
+            if (handlers.onModel) {
+              handlers.onModel({ name, model });
+            }
           }
-        } catch (error) {
-          console.error(`❌ ${name} failed:`, error.message);
 
-          // If this is the last model, throw the error
-          if (i === models.length - 1) {
-            throw error;
+          response += token;
+          if (handlers.onToken) {
+            handlers.onToken(token);
           }
+        }
 
-          // Otherwise, continue to next model
-          console.log(`⚠️ Trying next model...`);
+        if (!started) {
+          throw new Error(`Empty response from ${name}`);
+        }
+
+        console.log(`✅ Response streamed successfully with ${name}`);
+        return { response, model: { name, model } };
+      } catch (error) {
+        if (signal && signal.aborted) {
+          console.log("❌ Response streaming aborted by client");
+          throw new Error("Request aborted by client");
+        }
+
+        const message = controller.signal.aborted
+          ? `Chat API request timeout for ${name}`
+          : error.message;
+        console.error(`❌ ${name} failed while streaming:`, message);
+
+        if (started || i === this.models.length - 1) {
+          throw new Error(message);
+        }
+
+        console.log(`⚠️ Trying next model...`);
+      } finally {
+        clearTimeout(firstTokenTimeout);
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
         }
       }
-    } catch (error) {
-      console.error("Error generating response:", error);
-      if (error.message.includes("timeout")) {
-        console.error(
-          "⏰ All models timed out - this might be due to model loading or network issues"
-        );
-      }
-      throw error;
     }
   }
 
+  /**
+   * Build the chat messages for a query with document context
+   */
+  buildChatMessages(query, context, chatHistory = []) {
+    const messages = [
+      {
+        role: "system",
+        content: this.getSystemPrompt(),
+      },
+    ];
+
+    // Add chat history (last 5 messages to avoid token limits)
+    const recentHistory = chatHistory.slice(-5);
+    messages.push(...recentHistory);
+
+    // Add current query with context
+    messages.push({
+      role: "user",
+      content: `Context: ${context}\n\nUser Question: ${query}`,
+    });
+
+    return messages;
+  }
+
   /**
    * Get system prompt for the AI
    */
@@ -304,6 +580,11 @@ Guidelines:
 - For experience calculations, be precise and accurate with time periods
 - When analyzing resumes, provide accurate experience assessments
 
+**CITATIONS:**
+- The document context is split into numbered sources like [1], [2]
+- When a statement is based on a source, cite it with its number in square brackets, e.g. "The total is $500 [2]"
+- Only cite sources that actually support the statement
+
 When responding:
 - Be conversational but professional
 - For general greetings, respond naturally and warmly
@@ -344,77 +625,19 @@ Make questions specific and actionable.`,
         },
       ];
 
-      // Try models in sequence for follow-up questions
-      const models = [
-        { name: "Primary Model", model: this.primaryModel },
-        { name: "Fallback Model 1", model: this.fallbackModel1 },
-        { name: "Fallback Model 2", model: this.fallbackModel2 },
-      ];
-
-      for (let i = 0; i < models.length; i++) {
-        const { name, model } = models[i];
-        try {
-          console.log(`🤖 Trying ${name} for follow-up questions...`);
-
-          // Individual timeout for each model (20 seconds)
-          const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(
-              () =>
-                reject(
-                  new Error(`Follow-up questions API timeout for ${name}`)
-                ),
-              20000
-            );
-          });
-
-          const fetchPromise = fetch(
-            "https://router.huggingface.co/v1/chat/completions",
-            {
-              headers: {
-                Authorization: `Bearer ${this.huggingfaceApiKey}`,
-                "Content-Type": "application/json",
-              },
-              method: "POST",
-              body: JSON.stringify({
-                messages: messages,
-                model: model,
-                stream: false,
-                max_tokens: 300,
-                temperature: 0.7,
-                top_p: 0.9,
-              }),
-            }
-          );
-
-          const response = await Promise.race([fetchPromise, timeoutPromise]);
-
-          const result = await response.json();
-
-          if (result.choices && result.choices[0]) {
-            const questionsText = result.choices[0].message.content.trim();
-            const questions = questionsText
-              .split("\n")
-              .filter((q) => q.trim().length > 0)
-              .map((q) => q.replace(/^\d+\.\s*/, "").trim());
-            return questions;
-          } else {
-            throw new Error(`Invalid response from ${name}`);
-          }
-        } catch (error) {
-          console.error(
-            `❌ ${name} failed for follow-up questions:`,
-            error.message
-          );
-
-          // If this is the last model, return empty array
-          if (i === models.length - 1) {
-            return [];
-          }
+      const { content } = await this.runWithFallback("follow-up questions", {
+        messages: messages,
+        max_tokens: 300,
+        temperature: 0.7,
+        top_p: 0.9,
+        timeout: 20000,
+      });
 
-          // Otherwise, continue to next model
-          console.log(`⚠️ Trying next model for follow-up questions...`);
-        }
-      }
+      return content
+        .trim()
+        .split("\n")
+        .filter((q) => q.trim().length > 0)
+        .map((q) => q.replace(/^\d+\.\s*/, "").trim());
     } catch (error) {
       console.error("Error generating follow-up questions:", error);
       return [];
@@ -450,74 +673,19 @@ Include:
         },
       ];
 
-      // Try models in sequence for document analysis
-      const models = [
-        { name: "Primary Model", model: this.primaryModel },
-        { name: "Fallback Model 1", model: this.fallbackModel1 },
-        { name: "Fallback Model 2", model: this.fallbackModel2 },
-      ];
-
-      for (let i = 0; i < models.length; i++) {
-        const { name, model } = models[i];
-        try {
-          console.log(`🤖 Trying ${name} for document analysis...`);
-
-          // Individual timeout for each model (30 seconds)
-          const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(
-              () =>
-                reject(new Error(`Document analysis API timeout for ${name}`)),
-              30000
-            );
-          });
-
-          const fetchPromise = fetch(
-            "https://router.huggingface.co/v1/chat/completions",
-            {
-              headers: {
-                Authorization: `Bearer ${this.huggingfaceApiKey}`,
-                "Content-Type": "application/json",
-              },
-              method: "POST",
-              body: JSON.stringify({
-                messages: messages,
-                model: model,
-                stream: false,
-                max_tokens: 600,
-                temperature: 0.5,
-                top_p: 0.9,
-              }),
-            }
-          );
-
-          const response = await Promise.race([fetchPromise, timeoutPromise]);
-
-          const result = await response.json();
-
-          if (result.choices && result.choices[0]) {
-            return {
-              analysis: result.choices[0].message.content.trim(),
-              chunksAnalyzed: chunks.length,
-              documentType: documentType,
-            };
-          } else {
-            throw new Error(`Invalid response from ${name}`);
-          }
-        } catch (error) {
-          console.error(
-            `❌ ${name} failed for document analysis:`,
-            error.message
-          );
-
-          // If this is the last model, throw the error
-          if (i === models.length - 1) {
-            throw error;
-          }
+      const { content } = await this.runWithFallback("document analysis", {
+        messages: messages,
+        max_tokens: 600,
+        temperature: 0.5,
+        top_p: 0.9,
+        timeout: 30000,
+      });
 
-          // Otherwise, continue to next model
-          console.log(`⚠️ Trying next model for document analysis...`);
-        }
-      }
+      return {
+        analysis: content.trim(),
+        chunksAnalyzed: chunks.length,
+        documentType: documentType,
+      };
     } catch (error) {
       console.error("Error analyzing document:", error);
       throw error;
@@ -557,77 +725,20 @@ Provide specific suggestions and examples.`,
         },
       ];
 
-      // Try models in sequence for section improvement
-      const models = [
-        { name: "Primary Model", model: this.primaryModel },
-        { name: "Fallback Model 1", model: this.fallbackModel1 },
-        { name: "Fallback Model 2", model: this.fallbackModel2 },
-      ];
-
-      for (let i = 0; i < models.length; i++) {
-        const { name, model } = models[i];
-        try {
-          console.log(`🤖 Trying ${name} for section improvement...`);
-
-          // Individual timeout for each model (25 seconds)
-          const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(
-              () =>
-                reject(
-                  new Error(`Section improvement API timeout for ${name}`)
-                ),
-              25000
-            );
-          });
-
-          const fetchPromise = fetch(
-            "https://router.huggingface.co/v1/chat/completions",
-            {
-              headers: {
-                Authorization: `Bearer ${this.huggingfaceApiKey}`,
-                "Content-Type": "application/json",
-              },
-              method: "POST",
-              body: JSON.stringify({
-                messages: messages,
-                model: model,
-                stream: false,
-                max_tokens: 500,
-                temperature: 0.7,
-                top_p: 0.9,
-              }),
-            }
-          );
-
-          const response = await Promise.race([fetchPromise, timeoutPromise]);
-
-          const result = await response.json();
-
-          if (result.choices && result.choices[0]) {
-            return {
-              originalSection: sectionContent,
-              improvedSection: result.choices[0].message.content.trim(),
-              sectionName: sectionName,
-              improvementType: improvementType,
-            };
-          } else {
-            throw new Error(`Invalid response from ${name}`);
-          }
-        } catch (error) {
-          console.error(
-            `❌ ${name} failed for section improvement:`,
-            error.message
-          );
-
-          // If this is the last model, throw the error
-          if (i === models.length - 1) {
-            throw error;
-          }
+      const { content } = await this.runWithFallback("section improvement", {
+        messages: messages,
+        max_tokens: 500,
+        temperature: 0.7,
+        top_p: 0.9,
+        timeout: 25000,
+      });
 
-          // Otherwise, continue to next model
-          console.log(`⚠️ Trying next model for section improvement...`);
-        }
-      }
+      return {
+        originalSection: sectionContent,
+        improvedSection: content.trim(),
+        sectionName: sectionName,
+        improvementType: improvementType,
+      };
     } catch (error) {
       console.error("Error improving section:", error);
       throw error;
@@ -0,0 +1,193 @@
+const embeddingService = require("./embeddingService");
+const vectorDBService = require("./vectorDBService");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+/**
+ * Background worker that re-embeds chunks stored with
+ * embeddingStatus "pending", backing off exponentially while the
+ * embedding provider keeps failing. Each chunk's failed attempts are
+ * counted in its payload; after EMBEDDING_RETRY_MAX_ATTEMPTS it is marked
+ * "failed" and no longer retried.
+ */
+class EmbeddingRetryService {
+  constructor() {
+    this.batchSize = 5;
+    this.baseDelay =
+      parseInt(process.env.EMBEDDING_RETRY_BASE_DELAY_MS) || 30 * 1000;
+    this.maxDelay =
+      parseInt(process.env.EMBEDDING_RETRY_MAX_DELAY_MS) || 15 * 60 * 1000;
+    this.maxAttempts = parseInt(process.env.EMBEDDING_RETRY_MAX_ATTEMPTS) || 10;
+    this.failures = 0;
+    // Chunks that failed in the current sweep; skipped until the chunks
+    // behind them have been tried
+    this.deferred = new Set();
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start processing pending chunks. Safe to call repeatedly; the worker
+   * stops by itself once nothing is pending.
+   */
+  start() {
+    if (this.timer || this.running) {
+      return;
+    }
+
+    this.scheduleNext(0);
+  }
+
+  /**
+   * Stop the worker
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Schedule the next run without keeping the process alive
+   */
+  scheduleNext(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.processPending();
+    }, delay);
+    this.timer.unref();
+  }
+
+  /**
+   * Delay before the next attempt after consecutive failures
+   */
+  getBackoffDelay() {
+    return Math.min(
+      this.baseDelay * Math.pow(2, this.failures - 1),
+      this.maxDelay
+    );
+  }
+
+  /**
+   * Re-embed one batch of pending chunks. If the batch request fails, the
+   * chunks are embedded one at a time so one bad chunk cannot hold back
+   * the rest; only the chunks that still fail count an attempt.
+   */
+  async processPending() {
+    this.running = true;
+
+    try {
+      const pendingChunks = (
+        await vectorDBService.getPendingChunks(
+          this.batchSize + this.deferred.size
+        )
+      )
+        .filter((chunk) => !this.deferred.has(chunk.id))
+        .slice(0, this.batchSize);
+
+      if (pendingChunks.length === 0) {
+        if (this.deferred.size > 0) {
+          // Only chunks that already failed are left; back off before
+          // trying them again
+          this.deferred.clear();
+          throw new Error("Only previously failed chunks are pending");
+        }
+
+        this.failures = 0;
+        return;
+      }
+
+      console.log(
+        `🔁 Retrying embeddings for ${pendingChunks.length} pending chunks`
+      );
+
+      let embedded = 0;
+      try {
+        const embeddings = await embeddingService.getBatchEmbeddings(
+          pendingChunks.map((chunk) => chunk.content)
+        );
+
+        for (let i = 0; i < pendingChunks.length; i++) {
+          await vectorDBService.updateEmbedding(
+            pendingChunks[i].id,
+            embeddings[i]
+          );
+          embedded++;
+        }
+      } catch (error) {
+        console.warn(
+          "⚠️ Batch re-embedding failed, embedding chunks one at a time:",
+          error.message
+        );
+        embedded += await this.embedEach(pendingChunks.slice(embedded));
+      }
+
+      if (embedded === 0) {
+        throw new Error("No pending chunk could be embedded");
+      }
+
+      console.log(`✅ Embedded ${embedded} pending chunks`);
+      this.failures = 0;
+
+      // More chunks may be waiting; continue shortly
+      this.scheduleNext(1000);
+    } catch (error) {
+      this.failures++;
+      const delay = this.getBackoffDelay();
+      console.error(
+        `❌ Embedding retry failed (attempt ${
+          this.failures
+        }), retrying in ${Math.round(delay / 1000)}s:`,
+        error.message
+      );
+      this.scheduleNext(delay);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Embed chunks one at a time, recording an attempt on each chunk that
+   * fails. Returns the number embedded.
+   */
+  async embedEach(chunks) {
+    let embedded = 0;
+
+    for (const chunk of chunks) {
+      let embedding;
+      try {
+        [embedding] = await embeddingService.getBatchEmbeddings([
+          chunk.content,
+        ]);
+      } catch (error) {
+        this.deferred.add(chunk.id);
+        await this.recordFailure(chunk, error);
+        continue;
+      }
+
+      await vectorDBService.updateEmbedding(chunk.id, embedding);
+      embedded++;
+    }
+
+    return embedded;
+  }
+
+  /**
+   * Count a failed attempt on a chunk, giving up on it after maxAttempts
+   */
+  async recordFailure(chunk, error) {
+    const attempts = chunk.embeddingAttempts + 1;
+    const status = attempts >= this.maxAttempts ? "failed" : "pending";
+
+    await vectorDBService.recordEmbeddingAttempt(chunk.id, attempts, status);
+    if (status === "failed") {
+      console.error(
+        `❌ Giving up on embedding chunk ${chunk.id} of ${chunk.fileId} after ${attempts} attempts:`,
+        error.message
+      );
+    }
+  }
+}
+
+module.exports = new EmbeddingRetryService();
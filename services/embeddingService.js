@@ -1,26 +1,44 @@
-const { InferenceClient } = require("@huggingface/inference");
 const { v4: uuidv4 } = require("uuid");
 const dotenv = require("dotenv");
+const { createEmbeddingProvider } = require("./embeddings");
+const { buildEntityIndex } = require("./entityIndex");
+const normalizationService = require("./normalizationService");
 
 dotenv.config();
 
 class EmbeddingService {
   constructor() {
-    this.huggingfaceApiKey = process.env.HUGGINGFACE_API_KEY;
-    this.embeddingModel =
-      process.env.EMBEDDING_MODEL || "sentence-transformers/all-MiniLM-L6-v2";
+    this.provider = createEmbeddingProvider();
+    this.embeddingModel = this.provider.model;
     this.maxChunkSize = 512;
     this.overlapSize = 50;
-    this.client = new InferenceClient(this.huggingfaceApiKey);
+  }
+
+  /**
+   * Vector size produced by the configured embedding provider
+   */
+  async getDimension() {
+    return await this.provider.getDimension();
   }
 
   /**
    * Step 5: Chunk and Embed the JSON
    */
-  async chunkAndEmbed(structuredData, fileId, signal = null) {
+  async chunkAndEmbed(
+    structuredData,
+    fileId,
+    signal = null,
+    onProgress = () => {}
+  ) {
     const chunks = this.createChunks(structuredData);
-    const embeddings = await this.generateEmbeddings(chunks, signal);
-
+    const embeddings = await this.generateEmbeddings(
+      chunks,
+      signal,
+      onProgress
+    );
+
+    // Chunks whose batch failed to embed are kept as "pending" so the retry
+    // worker can embed them later; they are excluded from similarity search
     return chunks.map((chunk, index) => ({
       id: uuidv4(), // Use UUID instead of fileId_chunk_index
       content: chunk.content,
@@ -29,6 +47,7 @@ class EmbeddingService {
         fileId,
         chunkIndex: index,
         embeddingModel: this.embeddingModel,
+        embeddingStatus: embeddings[index] ? "embedded" : "pending",
       },
       embedding: embeddings[index],
     }));
@@ -41,15 +60,26 @@ class EmbeddingService {
     const chunks = [];
 
     // Add document-level information
+    const documentMetadata = structuredData.documentMetadata || null;
     chunks.push({
-      content: `Document Type: ${structuredData.documentType}. ${
-        structuredData.summary || ""
-      }`,
+      content: [
+        `Document Type: ${structuredData.documentType}.`,
+        this.describeMetadata(documentMetadata),
+        structuredData.summary || "",
+      ]
+        .filter(Boolean)
+        .join(" "),
       metadata: {
         section: "document_info",
         documentType: structuredData.documentType,
         totalSections: structuredData.sections.length,
         totalPages: structuredData.pages?.length || 0,
+        // Document-level structure served by GET /api/pdf/file/:fileId
+        document: {
+          outline: structuredData.outline || [],
+          outlineSource: structuredData.outlineSource || null,
+          metadata: documentMetadata,
+        },
       },
     });
 
@@ -60,6 +90,11 @@ class EmbeddingService {
           const pageChunks = this.chunkPage(page, pageIndex);
           chunks.push(...pageChunks);
         }
+        // Comments and highlights get their own chunk so they can be
+        // found on their own
+        if (page.annotations && page.annotations.length > 0) {
+          chunks.push(this.chunkAnnotations(page));
+        }
       });
     }
 
@@ -69,6 +104,11 @@ class EmbeddingService {
       chunks.push(...sectionChunks);
     });
 
+    // Each table is its own chunk so its rows stay together
+    (structuredData.tables || []).forEach((table, tableIndex) => {
+      chunks.push(...this.chunkTable(table, tableIndex));
+    });
+
     // Add suggestions if available
     if (structuredData.suggestions && structuredData.suggestions.length > 0) {
       chunks.push({
@@ -98,11 +138,151 @@ class EmbeddingService {
       );
     }
 
+    // The entity index is built once every chunk exists so entities can
+    // point at the chunks they occur in. It is stored with document_info,
+    // and its keys let files be found by entity.
+    const entities = buildEntityIndex(
+      structuredData.entities,
+      structuredData.pages,
+      chunks
+    );
+    chunks[0].metadata.document.entities = entities;
+    chunks[0].metadata.entityKeys = entities.map((entity) => entity.key);
+
     return chunks;
   }
 
   /**
-   * Chunk a page into smaller pieces
+   * Describe the document's title, author, subject, keywords and dates in
+   * a sentence for the document_info chunk
+   */
+  describeMetadata(metadata) {
+    if (!metadata) {
+      return "";
+    }
+
+    const parts = [
+      ["Title", metadata.title],
+      ["Author", metadata.author],
+      ["Subject", metadata.subject],
+      ["Keywords", (metadata.keywords || []).join(", ")],
+      ["Created", metadata.createdAt && metadata.createdAt.slice(0, 10)],
+      ["Modified", metadata.modifiedAt && metadata.modifiedAt.slice(0, 10)],
+    ]
+      .filter(([, value]) => value)
+      .map(([label, value]) => `${label}: ${value}.`);
+
+    return parts.join(" ");
+  }
+
+  /**
+   * One chunk listing a page's annotations, e.g.
+   * `Highlight by Alice: "check this" on "revenue grew 12%"`
+   */
+  chunkAnnotations(page) {
+    const lines = page.annotations.map((annotation) => {
+      let line = annotation.type === "Text" ? "Comment" : annotation.type;
+      if (annotation.author) {
+        line += ` by ${annotation.author}`;
+      }
+      if (annotation.contents) {
+        line += `: "${annotation.contents}"`;
+      }
+      if (annotation.text) {
+        line += ` on "${annotation.text}"`;
+      }
+      return `- ${line}`;
+    });
+    const content = lines.join("\n");
+
+    return {
+      content: `Annotations on Page ${page.pageNumber}:\n${content}`,
+      metadata: {
+        section: "annotations",
+        pageNumber: page.pageNumber,
+        chunkType: "annotation",
+        wordCount: content.split(/\s+/).length,
+        annotations: page.annotations,
+      },
+    };
+  }
+
+  /**
+   * Chunk a table. Long tables are split by rows, repeating the header in
+   * every part. Each chunk carries its rows so the table can be rebuilt.
+   */
+  chunkTable(table, tableIndex) {
+    const formatRow = (row) => row.join(" | ");
+    const countWords = (row) => formatRow(row).split(/\s+/).length;
+    const headerWords = countWords(table.header);
+
+    const parts = [];
+    let current = [];
+    let currentWords = headerWords;
+    for (const row of table.rows) {
+      const rowWords = countWords(row);
+      if (current.length > 0 && currentWords + rowWords > this.maxChunkSize) {
+        parts.push(current);
+        current = [];
+        currentWords = headerWords;
+      }
+      current.push(row);
+      currentWords += rowWords;
+    }
+    parts.push(current);
+
+    return parts.map((rows, partIndex) => {
+      const label =
+        parts.length > 1
+          ? `Table ${tableIndex + 1} (Page ${table.pageNumber}, Part ${
+              partIndex + 1
+            })`
+          : `Table ${tableIndex + 1} (Page ${table.pageNumber})`;
+      const content = [table.header, ...rows].map(formatRow).join("\n");
+
+      return {
+        content: `${label}:\n${content}`,
+        metadata: {
+          section: "table",
+          pageNumber: table.pageNumber,
+          chunkType: "table",
+          chunkPart: partIndex + 1,
+          wordCount: content.split(/\s+/).length,
+          table: {
+            tableIndex,
+            pageNumber: table.pageNumber,
+            header: table.header,
+            rows,
+            bbox: table.bbox,
+            source: table.source,
+          },
+        },
+      };
+    });
+  }
+
+  /**
+   * Range [originalStart, originalEnd) of a page's extracted text that
+   * words [start, end) of its normalized text came from. `words` is the
+   * page text split on whitespace.
+   */
+  getOriginalRange(page, words, start, end) {
+    const wordStarts = [0];
+    for (const separator of page.text.matchAll(/\s+/g)) {
+      wordStarts.push(separator.index + separator[0].length);
+    }
+
+    const range = normalizationService.toOriginalRange(
+      page.offsetMap || [],
+      wordStarts[start],
+      wordStarts[end - 1] + words[end - 1].length
+    );
+    return { originalStart: range.start, originalEnd: range.end };
+  }
+
+  /**
+   * Chunk a page into smaller pieces. Chunks record the range of the
+   * page's extracted text they cover, so citations can point at it.
    */
   chunkPage(page, pageIndex) {
     const chunks = [];
@@ -119,6 +299,8 @@ class EmbeddingService {
           pageIndex: pageIndex,
           wordCount: words.length,
           chunkType: "page",
+          ...this.getOriginalRange(page, words, 0, words.length),
+          links: page.links,
         },
       });
     } else {
@@ -144,6 +326,13 @@ class EmbeddingService {
               Math.floor(i / (this.maxChunkSize - this.overlapSize)) + 1,
             wordCount: chunkWords.length,
             startWordIndex: i,
+            ...this.getOriginalRange(
+              page,
+              words,
+              i,
+              Math.min(i + this.maxChunkSize, words.length)
+            ),
+            links: page.links,
           },
         });
       }
@@ -204,13 +393,16 @@ class EmbeddingService {
   }
 
   /**
-   * Generate embeddings for chunks using Hugging Face API
+   * Generate embeddings for chunks using the embedding provider.
+   * Chunks in a failed batch get a null embedding. `onProgress` receives
+   * the fraction of batches done after each batch.
    */
-  async generateEmbeddings(chunks, signal = null) {
+  async generateEmbeddings(chunks, signal = null, onProgress = () => {}) {
     const embeddings = [];
 
     // Process chunks in batches to avoid overwhelming the API
     const batchSize = 5;
+    const totalBatches = Math.ceil(chunks.length / batchSize);
 
     for (let i = 0; i < chunks.length; i += batchSize) {
       // Check if request was aborted
@@ -226,7 +418,7 @@ class EmbeddingService {
         console.log(
           `📊 Generating embeddings for batch ${
             Math.floor(i / batchSize) + 1
-          }/${Math.ceil(chunks.length / batchSize)}`
+          }/${totalBatches}`
         );
 
         // Batch the API calls
@@ -236,25 +428,27 @@ class EmbeddingService {
         for (let j = 0; j < batchEmbeddings.length; j++) {
           embeddings.push(batchEmbeddings[j]);
         }
-
-        // Add a small delay between batches to be respectful to the API
-        if (i + batchSize < chunks.length) {
-          await new Promise((resolve) => setTimeout(resolve, 100));
-        }
       } catch (error) {
         console.error("Error generating embeddings for batch:", error.message);
-        // Use fallback embeddings for this batch
+        // Leave this batch pending for the retry worker
         for (let j = 0; j < batch.length; j++) {
-          embeddings.push(new Array(384).fill(0.1));
+          embeddings.push(null);
         }
       }
+
+      onProgress((Math.floor(i / batchSize) + 1) / totalBatches);
+
+      // Add a small delay between batches to be respectful to the API
+      if (i + batchSize < chunks.length) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+      }
     }
 
     return embeddings;
   }
 
   /**
-   * Get embeddings for multiple texts in a single API call
+   * Get embeddings for multiple texts in a single provider call
    */
   async getBatchEmbeddings(texts) {
     try {
@@ -263,31 +457,25 @@ class EmbeddingService {
         setTimeout(() => reject(new Error("API request timeout")), 30000); // 30 second timeout
       });
 
-      const apiPromise = this.client.featureExtraction({
-        model: this.embeddingModel,
-        inputs: texts,
-      });
+      const apiPromise = this.provider.embed(texts);
 
-      const response = await Promise.race([apiPromise, timeoutPromise]);
+      const embeddings = await Promise.race([apiPromise, timeoutPromise]);
 
-      // Handle different response formats
-      if (Array.isArray(response)) {
-        return response;
-      } else if (response && Array.isArray(response[0])) {
-        return response;
-      } else {
-        // If we get a single embedding, wrap it in an array
-        return [response];
+      if (!Array.isArray(embeddings) || embeddings.length !== texts.length) {
+        throw new Error(
+          `Expected ${texts.length} embeddings, got ${embeddings?.length}`
+        );
       }
+
+      return embeddings;
     } catch (error) {
       console.error("Error getting batch embeddings:", error.message);
-      // Return fallback embeddings
-      return texts.map(() => new Array(384).fill(0.1));
+      throw error;
     }
   }
 
   /**
-   * Get embedding for a single text using feature extraction
+   * Get embedding for a single text
    */
   async getEmbedding(text) {
     try {
@@ -296,22 +484,13 @@ class EmbeddingService {
         setTimeout(() => reject(new Error("API request timeout")), 30000); // 30 second timeout
       });
 
-      const apiPromise = this.client.featureExtraction({
-        model: this.embeddingModel,
-        inputs: text,
-      });
+      const apiPromise = this.provider.embed([text]);
 
       const response = await Promise.race([apiPromise, timeoutPromise]);
-
-      // Return the first embedding if it's an array
-      if (Array.isArray(response)) {
-        return response[0];
-      }
-      return response;
+      return response[0];
     } catch (error) {
       console.error("Error getting embedding:", error.message);
-      // Return a simple fallback embedding to avoid breaking the system
-      return new Array(384).fill(0.1); // Default embedding size for all-MiniLM-L6-v2
+      throw new Error(`Embedding failed: ${error.message}`);
     }
   }
 
@@ -0,0 +1,46 @@
+const { InferenceClient } = require("@huggingface/inference");
+
+/**
+ * Embedding provider backed by Hugging Face feature extraction
+ */
+class HuggingFaceEmbedder {
+  constructor({ apiKey, model, dimension = null } = {}) {
+    this.name = "huggingface";
+    this.model = model;
+    this.dimension = dimension;
+    this.client = new InferenceClient(apiKey);
+  }
+
+  /**
+   * Embed a batch of texts, returning one vector per text
+   */
+  async embed(texts) {
+    const response = await this.client.featureExtraction({
+      model: this.model,
+      inputs: texts,
+    });
+
+    // Handle different response formats
+    if (Array.isArray(response) && Array.isArray(response[0])) {
+      return response;
+    }
+
+    // If we get a single embedding, wrap it in an array
+    return [response];
+  }
+
+  /**
+   * Vector size of the model. Uses EMBEDDING_DIMENSION when set, otherwise
+   * embeds a probe text once and remembers the result.
+   */
+  async getDimension() {
+    if (!this.dimension) {
+      const [vector] = await this.embed(["dimension probe"]);
+      this.dimension = vector.length;
+    }
+
+    return this.dimension;
+  }
+}
+
+module.exports = HuggingFaceEmbedder;
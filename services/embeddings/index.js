@@ -0,0 +1,51 @@
+const dotenv = require("dotenv");
+const HuggingFaceEmbedder = require("./huggingFaceEmbedder");
+const OpenAICompatibleEmbedder = require("./openAICompatibleEmbedder");
+const LocalEmbedder = require("./localEmbedder");
+
+dotenv.config();
+
+/**
+ * Create the embedding provider selected by EMBEDDING_PROVIDER.
+ *
+ * Every provider exposes `name` and `model` and implements:
+ * - embed(texts) -> Promise<number[][]>
+ * - getDimension() -> Promise<number>
+ */
+function createEmbeddingProvider(
+  type = process.env.EMBEDDING_PROVIDER || "huggingface"
+) {
+  const dimension = parseInt(process.env.EMBEDDING_DIMENSION) || null;
+  const model =
+    process.env.EMBEDDING_MODEL || "sentence-transformers/all-MiniLM-L6-v2";
+
+  switch (type.toLowerCase()) {
+    case "huggingface":
+      return new HuggingFaceEmbedder({
+        apiKey: process.env.HUGGINGFACE_API_KEY,
+        model: model,
+        // all-MiniLM-L6-v2 is 384-dimensional; avoid probing for the default
+        dimension:
+          dimension ||
+          (model === "sentence-transformers/all-MiniLM-L6-v2" ? 384 : null),
+      });
+    case "openai":
+      return new OpenAICompatibleEmbedder({
+        baseUrl: process.env.EMBEDDING_BASE_URL,
+        apiKey: process.env.EMBEDDING_API_KEY,
+        model: model,
+        dimension: dimension,
+      });
+    case "local":
+      return new LocalEmbedder({ dimension: dimension || 384 });
+    default:
+      throw new Error(`Unknown embedding provider: ${type}`);
+  }
+}
+
+module.exports = {
+  createEmbeddingProvider,
+  HuggingFaceEmbedder,
+  OpenAICompatibleEmbedder,
+  LocalEmbedder,
+};
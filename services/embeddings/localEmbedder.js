@@ -0,0 +1,107 @@
+// Words that carry almost no meaning on their own. They get no weight, which
+// stands in for the inverse document frequency a corpus would give us.
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be been but by can could did do does for from had " +
+    "has have he her his i if in into is it its me my no not of on or our " +
+    "she so than that the their them then there these they this those to " +
+    "was we were what when where which who will with would you your"
+  ).split(" ")
+);
+
+/**
+ * In-process embedding provider using the hashing trick.
+ *
+ * Words, word bigrams and character trigrams are hashed into a fixed number
+ * of signed buckets with sublinear term frequency weights, and the vector is
+ * L2-normalized. It needs no network or model files, so ingestion and search
+ * work fully offline. Quality is keyword-level rather than semantic.
+ */
+class LocalEmbedder {
+  constructor({ dimension = 384 } = {}) {
+    this.name = "local";
+    this.model = "local-hashed-tf";
+    this.dimension = dimension;
+  }
+
+  /**
+   * Embed a batch of texts, returning one vector per text
+   */
+  async embed(texts) {
+    return texts.map((text) => this.embedText(text));
+  }
+
+  /**
+   * Vector size, fixed by configuration
+   */
+  async getDimension() {
+    return this.dimension;
+  }
+
+  /**
+   * Embed a single text
+   */
+  embedText(text) {
+    const vector = new Array(this.dimension).fill(0);
+    const termCounts = new Map();
+    const words = this.tokenize(text);
+
+    const addTerm = (term, weight) => {
+      termCounts.set(term, (termCounts.get(term) || 0) + weight);
+    };
+
+    words.forEach((word, index) => {
+      if (STOPWORDS.has(word)) {
+        return;
+      }
+
+      addTerm(`w:${word}`, 1);
+
+      if (index + 1 < words.length && !STOPWORDS.has(words[index + 1])) {
+        addTerm(`b:${word} ${words[index + 1]}`, 0.5);
+      }
+
+      const padded = `<${word}>`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        addTerm(`c:${padded.substring(i, i + 3)}`, 0.25);
+      }
+    });
+
+    termCounts.forEach((count, term) => {
+      const hash = this.hash(term);
+      const bucket = hash % this.dimension;
+      // Use an independent bit of the hash for the sign so collisions
+      // cancel out on average instead of piling up
+      const sign = (hash >>> 31) & 1 ? -1 : 1;
+      vector[bucket] += sign * (1 + Math.log(count));
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
+    if (norm === 0) {
+      return vector;
+    }
+
+    return vector.map((val) => val / norm);
+  }
+
+  /**
+   * Split text into lowercase word tokens
+   */
+  tokenize(text) {
+    return (text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  }
+
+  /**
+   * 32-bit FNV-1a hash
+   */
+  hash(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+}
+
+module.exports = LocalEmbedder;
@@ -0,0 +1,70 @@
+/**
+ * Embedding provider for OpenAI-compatible /embeddings endpoints
+ * (vLLM, Ollama, llama.cpp server, text-embeddings-inference, ...)
+ */
+class OpenAICompatibleEmbedder {
+  constructor({ baseUrl, apiKey = null, model, dimension = null } = {}) {
+    if (!baseUrl) {
+      throw new Error(
+        "EMBEDDING_BASE_URL is required for the openai embedding provider"
+      );
+    }
+
+    this.name = "openai";
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.apiKey = apiKey;
+    this.model = model;
+    this.dimension = dimension;
+  }
+
+  /**
+   * Embed a batch of texts, returning one vector per text
+   */
+  async embed(texts) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/embeddings`, {
+      method: "POST",
+      headers: headers,
+      body: JSON.stringify({ model: this.model, input: texts }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => "");
+      throw new Error(
+        `Embedding server responded with ${
+          response.status
+        }: ${errorText.substring(0, 200)}`
+      );
+    }
+
+    const result = await response.json();
+
+    if (!Array.isArray(result.data) || result.data.length !== texts.length) {
+      throw new Error("Invalid response from embedding server");
+    }
+
+    // Entries carry their input index and are not guaranteed to be ordered
+    return [...result.data]
+      .sort((a, b) => a.index - b.index)
+      .map((entry) => entry.embedding);
+  }
+
+  /**
+   * Vector size of the model. Uses EMBEDDING_DIMENSION when set, otherwise
+   * embeds a probe text once and remembers the result.
+   */
+  async getDimension() {
+    if (!this.dimension) {
+      const [vector] = await this.embed(["dimension probe"]);
+      this.dimension = vector.length;
+    }
+
+    return this.dimension;
+  }
+}
+
+module.exports = OpenAICompatibleEmbedder;
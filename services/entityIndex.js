@@ -0,0 +1,170 @@
+/**
+ * Builds a document's entity index from NER entities. Mentions of one
+ * entity under different spellings ("Acme Corp." and "ACME Corporation")
+ * share a normalized key, and each entity lists the pages and chunks it
+ * occurs in.
+ */
+
+// Entity groups of the default NER model (dslim/bert-base-NER)
+const ENTITY_TYPES = ["PER", "ORG", "LOC", "MISC"];
+
+// Words that do not change which organization or person is meant
+const ORGANIZATION_SUFFIXES = new Set([
+  "corporation",
+  "corp",
+  "incorporated",
+  "inc",
+  "company",
+  "co",
+  "limited",
+  "ltd",
+  "llc",
+  "llp",
+  "lp",
+  "plc",
+  "gmbh",
+  "ag",
+  "sa",
+]);
+const PERSON_TITLES = new Set(["mr", "mrs", "ms", "miss", "dr", "prof", "sir"]);
+
+const isOrganization = (type) => type === "ORG" || type === "ORGANIZATION";
+const isPerson = (type) => type === "PER" || type === "PERSON";
+
+/**
+ * Words of a name or text: accents, case, punctuation and WordPiece "##"
+ * markers removed
+ */
+function toWords(text) {
+  return (text || "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .replace(/##/g, "")
+    .replace(/['’]/g, "")
+    .replace(/&/g, " and ")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Canonical form of an entity name: lowercase words without punctuation,
+ * company suffixes ("Inc.", "Corporation") and personal titles ("Dr.")
+ */
+function normalizeEntityName(name, type = null) {
+  const words = toWords(name);
+
+  if (isOrganization(type)) {
+    if (words[0] === "the" && words.length > 1) {
+      words.shift();
+    }
+    while (words.length > 1 && ORGANIZATION_SUFFIXES.has(words.at(-1))) {
+      words.pop();
+    }
+  }
+  if (isPerson(type)) {
+    while (words.length > 1 && PERSON_TITLES.has(words[0])) {
+      words.shift();
+    }
+  }
+
+  return words.join(" ");
+}
+
+/**
+ * Key an entity is indexed and searched by, e.g. "ORG:acme"; null for a
+ * name without letters or digits
+ */
+function entityKey(name, type) {
+  const normalized = normalizeEntityName(name, type);
+  return normalized ? `${type}:${normalized}` : null;
+}
+
+/**
+ * Build the entity index of a document. `entityGroups` is the output of
+ * groupEntitiesByType ({ TYPE: [{ text, score, start, end }] }) with
+ * offsets into the pages' text joined by blank lines (rawText). Returns
+ * [{ key, name, type, aliases, mentions, score, pages, chunks }], most
+ * mentioned first; `chunks` are indexes into `chunks`.
+ */
+function buildEntityIndex(entityGroups, pages = [], chunks = []) {
+  const pageStarts = [];
+  let offset = 0;
+  for (const page of pages) {
+    pageStarts.push({ pageNumber: page.pageNumber, start: offset });
+    offset += (page.text || "").length + 2;
+  }
+  const pageAt = (position) =>
+    pageStarts.filter((page) => page.start <= position).at(-1)?.pageNumber;
+
+  const entries = new Map();
+  for (const [type, mentions] of Object.entries(entityGroups || {})) {
+    for (const mention of mentions) {
+      const key = entityKey(mention.text, type);
+      if (!key) {
+        continue;
+      }
+
+      if (!entries.has(key)) {
+        entries.set(key, {
+          key,
+          type,
+          forms: new Map(),
+          mentions: 0,
+          scoreTotal: 0,
+          pages: new Set(),
+        });
+      }
+      const entry = entries.get(key);
+      const form = mention.text.replace(/##/g, "").trim();
+      entry.forms.set(form, (entry.forms.get(form) || 0) + 1);
+      entry.mentions++;
+      entry.scoreTotal += mention.score || 0;
+      const pageNumber = Number.isFinite(mention.start)
+        ? pageAt(mention.start)
+        : undefined;
+      if (pageNumber !== undefined) {
+        entry.pages.add(pageNumber);
+      }
+    }
+  }
+
+  // Whole-word match of any spelling against each chunk's words
+  const chunkWords = chunks.map(
+    (chunk) => ` ${toWords(chunk.content).join(" ")} `
+  );
+
+  return [...entries.values()]
+    .map((entry) => {
+      // The most frequent spelling names the entity, the longest on a tie
+      const forms = [...entry.forms.entries()].sort(
+        (a, b) => b[1] - a[1] || b[0].length - a[0].length
+      );
+      const phrases = [
+        ...new Set(forms.map(([form]) => toWords(form).join(" "))),
+      ].filter(Boolean);
+
+      return {
+        key: entry.key,
+        name: forms[0][0],
+        type: entry.type,
+        aliases: forms.map(([form]) => form),
+        mentions: entry.mentions,
+        score: Math.round((entry.scoreTotal / entry.mentions) * 1000) / 1000,
+        pages: [...entry.pages].sort((a, b) => a - b),
+        chunks: chunkWords
+          .map((words, index) =>
+            phrases.some((phrase) => words.includes(` ${phrase} `)) ? index : -1
+          )
+          .filter((index) => index >= 0),
+      };
+    })
+    .sort((a, b) => b.mentions - a.mentions || a.key.localeCompare(b.key));
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  normalizeEntityName,
+  entityKey,
+  buildEntityIndex,
+};
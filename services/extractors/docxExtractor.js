@@ -0,0 +1,23 @@
+const mammoth = require("mammoth");
+const { htmlToDocument } = require("./markupDocument");
+
+/**
+ * Extracts Word documents. mammoth maps the Heading 1-6 paragraph styles to
+ * h1-h6, which become the document's section outline.
+ */
+class DocxExtractor {
+  constructor() {
+    this.type = "docx";
+    this.mimeTypes = [
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ];
+    this.extensions = [".docx"];
+  }
+
+  async extract(buffer) {
+    const { value: html } = await mammoth.convertToHtml({ buffer });
+    return htmlToDocument(html);
+  }
+}
+
+module.exports = DocxExtractor;
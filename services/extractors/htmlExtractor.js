@@ -0,0 +1,19 @@
+const { htmlToDocument, decodeText } = require("./markupDocument");
+
+/**
+ * Extracts HTML pages. Scripts and styles are dropped and the <title>
+ * becomes the document title.
+ */
+class HtmlExtractor {
+  constructor() {
+    this.type = "html";
+    this.mimeTypes = ["text/html", "application/xhtml+xml"];
+    this.extensions = [".html", ".htm", ".xhtml"];
+  }
+
+  async extract(buffer) {
+    return htmlToDocument(decodeText(buffer));
+  }
+}
+
+module.exports = HtmlExtractor;
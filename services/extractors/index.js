@@ -0,0 +1,122 @@
+const path = require("path");
+const { hasPdfHeader } = require("../pdf/pdfValidator");
+const PdfExtractor = require("./pdfExtractor");
+const DocxExtractor = require("./docxExtractor");
+const HtmlExtractor = require("./htmlExtractor");
+const MarkdownExtractor = require("./markdownExtractor");
+const TextExtractor = require("./textExtractor");
+
+/**
+ * Extractors keyed by file type.
+ *
+ * Every extractor exposes `type`, `mimeTypes` and `extensions` and
+ * implements:
+ * - extract(buffer, options) -> Promise<{ totalPages, pages, rawText, info }>
+ *
+ * Pages have the shape parsed PDFs use, so structured extraction, chunking
+ * and chat work the same for every type. Markup formats also return the
+ * `headings` their markup declares.
+ */
+const extractors = new Map(
+  [
+    new PdfExtractor(),
+    new DocxExtractor(),
+    new HtmlExtractor(),
+    new MarkdownExtractor(),
+    new TextExtractor(),
+  ].map((extractor) => [extractor.type, extractor])
+);
+
+// Types recognised from their content rather than the client's claim
+const BINARY_TYPES = ["pdf", "docx"];
+
+const ZIP_SIGNATURE = Buffer.from("PK\x03\x04", "latin1");
+
+/**
+ * File type claimed by an upload's extension or, failing that, its MIME type
+ */
+function claimedFileType({ originalname = "", mimetype = "" }) {
+  const extension = path.extname(originalname).toLowerCase();
+  const all = [...extractors.values()];
+
+  const byExtension = all.find((extractor) =>
+    extractor.extensions.includes(extension)
+  );
+  if (byExtension) {
+    return byExtension.type;
+  }
+
+  const byMimeType = all.find((extractor) =>
+    extractor.mimeTypes.includes(mimetype)
+  );
+  return byMimeType ? byMimeType.type : null;
+}
+
+/**
+ * Whether an upload claims a supported type. Used to reject files early,
+ * before their content has been received.
+ */
+function isSupportedFile(file) {
+  return claimedFileType(file) !== null;
+}
+
+/**
+ * Detect an upload's file type from its content. PDF and DOCX are
+ * recognised by their signatures. Text content takes the text format its
+ * name claims, or HTML or plain text when it claims none. Returns null for
+ * anything else, including binary types whose content does not match.
+ */
+function detectFileType(file) {
+  const { buffer } = file;
+  const claimed = claimedFileType(file);
+
+  if (hasPdfHeader(buffer)) {
+    return "pdf";
+  }
+
+  if (buffer.subarray(0, 4).equals(ZIP_SIGNATURE)) {
+    // Zip entry names are stored uncompressed
+    return buffer.includes("word/document.xml") ? "docx" : null;
+  }
+
+  // A NUL byte means binary content, as git decides
+  const head = buffer.subarray(0, 8000);
+  if (head.includes(0) || BINARY_TYPES.includes(claimed)) {
+    return null;
+  }
+
+  if (claimed) {
+    return claimed;
+  }
+
+  return /^\s*(<!doctype html|<html)/i.test(head.toString("utf8"))
+    ? "html"
+    : "txt";
+}
+
+/**
+ * Extractor for a file type
+ */
+function getExtractor(type) {
+  const extractor = extractors.get(type);
+  if (!extractor) {
+    throw new Error(`Unknown file type: ${type}`);
+  }
+  return extractor;
+}
+
+/**
+ * Supported file extensions, for messages and the upload form
+ */
+function supportedExtensions() {
+  return [...extractors.values()].flatMap((extractor) => extractor.extensions);
+}
+
+module.exports = {
+  BINARY_TYPES,
+  claimedFileType,
+  isSupportedFile,
+  detectFileType,
+  getExtractor,
+  supportedExtensions,
+};
@@ -0,0 +1,20 @@
+const { marked } = require("marked");
+const { htmlToDocument, decodeText } = require("./markupDocument");
+
+/**
+ * Extracts Markdown by rendering it to HTML, so ATX and setext headings,
+ * lists and pipe tables are read the same way as in HTML
+ */
+class MarkdownExtractor {
+  constructor() {
+    this.type = "markdown";
+    this.mimeTypes = ["text/markdown", "text/x-markdown"];
+    this.extensions = [".md", ".markdown"];
+  }
+
+  async extract(buffer) {
+    return htmlToDocument(marked.parse(decodeText(buffer)));
+  }
+}
+
+module.exports = MarkdownExtractor;
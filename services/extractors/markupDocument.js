@@ -0,0 +1,275 @@
+const { parse } = require("node-html-parser");
+const { parseNumbering } = require("../pdf/headingDetector");
+const { normalizeMetadata } = require("../pdf/metadata");
+
+// Elements whose content starts on a new line
+const BLOCK_TAGS = new Set([
+  "address",
+  "article",
+  "aside",
+  "blockquote",
+  "body",
+  "dd",
+  "details",
+  "div",
+  "dl",
+  "dt",
+  "figcaption",
+  "figure",
+  "footer",
+  "form",
+  "header",
+  "hr",
+  "li",
+  "main",
+  "nav",
+  "ol",
+  "p",
+  "section",
+  "summary",
+  "ul",
+]);
+
+// <meta name> values that map onto document Info fields
+const META_INFO_KEYS = {
+  author: "Author",
+  description: "Subject",
+  keywords: "Keywords",
+  generator: "Producer",
+};
+
+// Elements with no readable text
+const SKIPPED_TAGS = new Set([
+  "head",
+  "noscript",
+  "script",
+  "style",
+  "svg",
+  "template",
+]);
+
+function collapse(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Build the parsed document shape from lines of text. Documents without a
+ * fixed layout are a single page; `headings` give its section structure and
+ * point at lines by index, like headings detected in PDFs.
+ */
+function buildDocument({
+  lines,
+  headings = [],
+  tables = [],
+  links = [],
+  info = {},
+}) {
+  const text = lines.map((line) => line.text).join("\n");
+
+  const page = {
+    pageNumber: 1,
+    text: text,
+    layout: { words: [], lines: lines, blocks: [], tables: tables },
+    // Markup has no page geometry; its text flows in a single column
+    columns: 1,
+    links: links,
+    annotations: [],
+    width: null,
+    height: null,
+    rotation: 0,
+    source: "text",
+    ocrConfidence: null,
+    wordCount: text.split(/\s+/).filter(Boolean).length,
+  };
+
+  // Outline levels start at 1 even when a document's top heading is an h2
+  const topLevel = headings.length
+    ? Math.min(...headings.map((heading) => heading.level))
+    : 1;
+
+  return {
+    totalPages: 1,
+    pages: [page],
+    rawText: text,
+    numpages: 1,
+    info: info,
+    metadata: normalizeMetadata(info),
+    bookmarks: [],
+    headings: headings.map((heading) => ({
+      ...heading,
+      level: heading.level - topLevel + 1,
+    })),
+    ocrPages: 0,
+  };
+}
+
+/**
+ * Convert HTML into the parsed document shape. h1-h6 become headings,
+ * tables keep their cells, and list items are prefixed with their marker.
+ */
+function htmlToDocument(html, info = {}) {
+  const root = parse(html);
+  const lines = [];
+  const headings = [];
+  const tables = [];
+
+  let inline = [];
+  let prefix = "";
+
+  const flush = () => {
+    const text = collapse(inline.join(""));
+    if (text) {
+      lines.push({ text: prefix + text });
+      prefix = "";
+    }
+    inline = [];
+  };
+
+  const addTable = (element) => {
+    const rows = element
+      .querySelectorAll("tr")
+      .map((row) =>
+        row.childNodes
+          .filter((cell) => cell.rawTagName && /^t[dh]$/i.test(cell.rawTagName))
+          .map((cell) => collapse(cell.text))
+      )
+      .filter((cells) => cells.some(Boolean));
+
+    if (rows.length === 0) {
+      return;
+    }
+
+    tables.push({
+      pageNumber: 1,
+      header: rows[0],
+      rows: rows.slice(1),
+      bbox: null,
+      source: "markup",
+    });
+    rows.forEach((cells) => lines.push({ text: cells.join(" | ") }));
+  };
+
+  const visit = (node) => {
+    if (node.nodeType === 3) {
+      inline.push(node.text);
+      return;
+    }
+
+    const tag = (node.rawTagName || "").toLowerCase();
+    if (SKIPPED_TAGS.has(tag)) {
+      return;
+    }
+
+    const heading = tag.match(/^h([1-6])$/);
+    if (heading) {
+      flush();
+      const title = collapse(node.text);
+      if (title) {
+        const lineIndex = lines.length;
+        const numbering = parseNumbering(title);
+        headings.push({
+          title: title,
+          numbering: numbering ? numbering.numbering : null,
+          level: Number(heading[1]),
+          pageNumber: 1,
+          lineIndex: lineIndex,
+          lastLineIndex: lineIndex,
+          firstOnPage: lineIndex === 0,
+        });
+        lines.push({ text: title });
+      }
+      return;
+    }
+
+    if (tag === "table") {
+      flush();
+      addTable(node);
+      return;
+    }
+
+    if (tag === "pre") {
+      flush();
+      node.text
+        .split("\n")
+        .map((line) => line.trimEnd())
+        .filter((line) => line.trim())
+        .forEach((line) => lines.push({ text: line }));
+      return;
+    }
+
+    if (tag === "br") {
+      flush();
+      return;
+    }
+
+    if (tag === "li") {
+      flush();
+      const ordered = node.parentNode?.rawTagName?.toLowerCase() === "ol";
+      const position = node.parentNode.childNodes
+        .filter((sibling) => sibling.rawTagName?.toLowerCase() === "li")
+        .indexOf(node);
+      prefix = ordered ? `${position + 1}. ` : "- ";
+      node.childNodes.forEach(visit);
+      flush();
+      prefix = "";
+      return;
+    }
+
+    const block = BLOCK_TAGS.has(tag);
+    if (block) {
+      flush();
+    }
+    node.childNodes.forEach(visit);
+    if (block) {
+      flush();
+    }
+  };
+
+  visit(root.querySelector("body") || root);
+  flush();
+
+  // Links to other documents; in-page anchors and scripts are skipped
+  const links = root
+    .querySelectorAll("a[href]")
+    .map((anchor) => ({
+      text: collapse(anchor.text) || null,
+      url: anchor.getAttribute("href").trim(),
+      targetPage: null,
+      bbox: null,
+    }))
+    .filter((link) => link.url && !/^(#|javascript:)/i.test(link.url));
+
+  const documentInfo = {};
+  const title = collapse(root.querySelector("title")?.text || "");
+  if (title) {
+    documentInfo.Title = title;
+  }
+  root.querySelectorAll("meta[name]").forEach((meta) => {
+    const key = META_INFO_KEYS[meta.getAttribute("name").toLowerCase()];
+    const content = collapse(meta.getAttribute("content") || "");
+    if (key && content) {
+      documentInfo[key] = content;
+    }
+  });
+
+  return buildDocument({
+    lines,
+    headings,
+    tables,
+    links,
+    info: { ...documentInfo, ...info },
+  });
+}
+
+/**
+ * Decode a text file, dropping a UTF-8 byte order mark
+ */
+function decodeText(buffer) {
+  return buffer.toString("utf8").replace(/^\uFEFF/, "");
+}
+
+module.exports = {
+  buildDocument,
+  htmlToDocument,
+  decodeText,
+};
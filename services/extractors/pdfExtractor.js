@@ -0,0 +1,59 @@
+const { readDocument } = require("../pdf/pdfDocument");
+const { normalizeMetadata } = require("../pdf/metadata");
+const { stripBoilerplate } = require("../pdf/boilerplate");
+
+/**
+ * Extracts per-page text, layout, tables, links and annotations, bookmarks
+ * and metadata from PDFs with pdf.js, falling back to OCR for pages without
+ * a text layer. Repeated headers, footers and page numbers are moved out of
+ * the page text into `boilerplate`.
+ */
+class PdfExtractor {
+  constructor() {
+    this.type = "pdf";
+    this.mimeTypes = ["application/pdf"];
+    this.extensions = [".pdf"];
+  }
+
+  /**
+   * Parse a PDF. `options.password` opens encrypted documents.
+   */
+  async extract(buffer, options = {}) {
+    const document = await readDocument(buffer, {
+      password: options.password,
+    });
+
+    // Running headers, footers and page numbers stay out of the text that
+    // gets sectioned and chunked
+    stripBoilerplate(document.pages);
+
+    const pages = document.pages.map((page) => ({
+      pageNumber: page.pageNumber,
+      text: page.text,
+      layout: page.layout,
+      columns: page.columns,
+      links: page.links,
+      annotations: page.annotations,
+      boilerplate: page.boilerplate,
+      width: page.width,
+      height: page.height,
+      rotation: page.rotation,
+      source: page.source,
+      ocrConfidence: page.ocrConfidence,
+      wordCount: page.text.split(/\s+/).filter(Boolean).length,
+    }));
+
+    return {
+      totalPages: pages.length,
+      pages: pages,
+      rawText: pages.map((page) => page.text).join("\n\n"),
+      numpages: document.numPages,
+      info: document.info || {},
+      metadata: normalizeMetadata(document.info || {}, document.xmp),
+      bookmarks: document.outline,
+      ocrPages: document.ocrPages,
+    };
+  }
+}
+
+module.exports = PdfExtractor;
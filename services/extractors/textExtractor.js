@@ -0,0 +1,25 @@
+const { buildDocument, decodeText } = require("./markupDocument");
+
+/**
+ * Extracts plain text. There is no markup, so sections come from numbered
+ * and ALL-CAPS heading lines during structured extraction.
+ */
+class TextExtractor {
+  constructor() {
+    this.type = "txt";
+    this.mimeTypes = ["text/plain"];
+    this.extensions = [".txt"];
+  }
+
+  async extract(buffer) {
+    const lines = decodeText(buffer)
+      .split(/\r?\n/)
+      .map((line) => line.trimEnd())
+      .filter((line) => line.trim())
+      .map((line) => ({ text: line }));
+
+    return buildDocument({ lines });
+  }
+}
+
+module.exports = TextExtractor;
@@ -0,0 +1,76 @@
+const pdfService = require("./pdfService");
+const embeddingService = require("./embeddingService");
+const vectorDBService = require("./vectorDBService");
+const embeddingRetryService = require("./embeddingRetryService");
+
+/**
+ * Runs the full ingestion pipeline for an uploaded file: upload, parse,
+ * structured extraction, embedding and storage
+ */
+class IngestionService {
+  /**
+   * Ingest a file. `onProgress(stage, fraction)` is called as the pipeline
+   * moves through uploading, parsing, extracting, embedding and storing.
+   * `fileType` is the type detected on upload and `password` opens
+   * encrypted PDFs. `upload` is the result of pdfService.uploadPDF when
+   * the file is already in blob storage.
+   */
+  async ingest(
+    file,
+    {
+      signal = null,
+      onProgress = () => {},
+      fileType = null,
+      password = null,
+      upload = null,
+    } = {}
+  ) {
+    // Step 1-4: Process the document through the pipeline
+    const pdfResult = await pdfService.processPDF(file, signal, onProgress, {
+      fileType,
+      password,
+      upload,
+    });
+
+    // Step 5: Create embeddings with abort checking
+    const embeddings = await embeddingService.chunkAndEmbed(
+      pdfResult.structuredData,
+      pdfResult.fileId,
+      signal,
+      (fraction) => onProgress("embedding", fraction)
+    );
+
+    // Step 6: Store in vector database
+    onProgress("storing", 0);
+    await vectorDBService.initializeCollection();
+    await vectorDBService.storeEmbeddings(embeddings, signal);
+
+    // Chunks that failed to embed are retried in the background
+    const pendingEmbeddings = embeddings.filter(
+      (embedding) => embedding.metadata.embeddingStatus === "pending"
+    ).length;
+    if (pendingEmbeddings > 0) {
+      console.warn(`⚠️ ${pendingEmbeddings} chunks are pending embedding`);
+      embeddingRetryService.start();
+    }
+
+    return {
+      fileId: pdfResult.fileId,
+      fileName: pdfResult.fileName,
+      originalName: pdfResult.originalName,
+      fileType: pdfResult.parsedData.fileType,
+      documentType: pdfResult.structuredData.documentType,
+      totalPages: pdfResult.parsedData.totalPages,
+      ocrPages: pdfResult.parsedData.ocrPages || 0,
+      sections: pdfResult.structuredData.sections.length,
+      tables: (pdfResult.structuredData.tables || []).length,
+      chunks: embeddings.length,
+      pendingEmbeddings: pendingEmbeddings,
+      summary: pdfResult.structuredData.summary,
+      suggestions: pdfResult.structuredData.suggestions || [],
+      blobUrl: pdfResult.blobUrl,
+    };
+  }
+}
+
+module.exports = new IngestionService();
@@ -0,0 +1,248 @@
+const { v4: uuidv4, validate: isUuid } = require("uuid");
+const dotenv = require("dotenv");
+const { createJobStore } = require("./jobStores");
+const { AppError } = require("../utils/errors");
+
+dotenv.config();
+
+// Share of overall progress covered by each ingestion stage
+const STAGES = {
+  uploading: { start: 0, end: 10 },
+  parsing: { start: 10, end: 25 },
+  extracting: { start: 25, end: 40 },
+  embedding: { start: 40, end: 90 },
+  storing: { start: 90, end: 100 },
+};
+
+// Bookkeeping fields that are not part of a job's public view
+const PRIVATE_FIELDS = [
+  "workerId",
+  "leaseExpiresAt",
+  "expiresAt",
+  "attempts",
+  "upload",
+  "passwordProtected",
+];
+
+/**
+ * Registry of ingestion jobs, kept in a job store that every server
+ * instance can read (see services/jobStores). A running job is leased to
+ * the worker processing it; when that worker dies and the lease runs out,
+ * any instance can claim the job and run it again. Finished jobs are kept
+ * for JOB_TTL_MS so clients can poll for the result.
+ */
+class JobService {
+  constructor(store = createJobStore()) {
+    this.store = store;
+    this.workerId = uuidv4();
+    this.jobTTL = parseInt(process.env.JOB_TTL_MS) || 60 * 60 * 1000;
+    this.leaseDuration = parseInt(process.env.JOB_LEASE_MS) || 5 * 60 * 1000;
+    this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+    // Writes per job are chained so they reach the store in order
+    this.writes = new Map();
+  }
+
+  /**
+   * Create a queued job, leased to this process
+   */
+  async createJob(details = {}) {
+    await this.store
+      .deleteExpired(Date.now())
+      .catch((error) =>
+        console.warn("⚠️ Failed to delete expired jobs:", error.message)
+      );
+
+    const now = new Date().toISOString();
+    const job = {
+      jobId: uuidv4(),
+      status: "queued",
+      stage: "queued",
+      progress: 0,
+      ...details,
+      error: null,
+      result: null,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      workerId: this.workerId,
+      leaseExpiresAt: Date.now() + this.leaseDuration,
+      expiresAt: null,
+      attempts: 1,
+    };
+
+    await this.saveJob(job);
+    return job;
+  }
+
+  /**
+   * Get the public view of a job by ID
+   */
+  async getJob(jobId) {
+    // Job IDs are UUIDs, which is also what Qdrant requires of point IDs
+    if (!isUuid(jobId)) {
+      return null;
+    }
+
+    const job = await this.store.get(jobId);
+    if (!job) {
+      return null;
+    }
+
+    const view = { ...job };
+    PRIVATE_FIELDS.forEach((field) => delete view[field]);
+    return view;
+  }
+
+  /**
+   * Record progress within a stage; `fraction` is how much of the stage is
+   * done (0-1). The job is saved when it enters a new stage; progress
+   * within a stage is saved with the next lease renewal.
+   */
+  updateProgress(job, stage, fraction = 0) {
+    const range = STAGES[stage];
+    if (!range) {
+      return;
+    }
+
+    const stageChanged = job.stage !== stage;
+    const clamped = Math.min(Math.max(fraction, 0), 1);
+    job.status = "processing";
+    job.stage = stage;
+    job.progress = Math.round(
+      range.start + (range.end - range.start) * clamped
+    );
+    job.updatedAt = new Date().toISOString();
+
+    if (stageChanged) {
+      this.renewLease(job);
+    }
+  }
+
+  /**
+   * Extend the lease of a job this process is running and save its
+   * progress. Failures are logged; the job keeps running.
+   */
+  renewLease(job) {
+    if (job.finishedAt) {
+      return Promise.resolve();
+    }
+
+    job.leaseExpiresAt = Date.now() + this.leaseDuration;
+
+    return this.saveJob(job).catch((error) =>
+      console.warn(`⚠️ Failed to save job ${job.jobId}:`, error.message)
+    );
+  }
+
+  /**
+   * Mark a job as completed with its result
+   */
+  async completeJob(job, result) {
+    await this.finishJob(job, { status: "completed", progress: 100, result });
+  }
+
+  /**
+   * Mark a job as failed; the stage it failed in is kept
+   */
+  async failJob(job, error) {
+    await this.finishJob(job, {
+      status: "failed",
+      error: {
+        message: error.message,
+        code: error.code || null,
+      },
+    });
+  }
+
+  /**
+   * Apply a final status to a job and release its lease
+   */
+  async finishJob(job, updates) {
+    const now = new Date().toISOString();
+    Object.assign(job, updates, {
+      updatedAt: now,
+      finishedAt: now,
+      leaseExpiresAt: null,
+      expiresAt: Date.now() + this.jobTTL,
+    });
+
+    await this.saveJob(job);
+  }
+
+  /**
+   * Claim the oldest job whose worker stopped renewing its lease. Jobs
+   * that already ran out of attempts, or that need a password (which is
+   * never stored), are failed instead. Returns null when there is nothing
+   * to claim.
+   */
+  async claimNextJob() {
+    await this.store.deleteExpired(Date.now());
+    const candidates = await this.store.findClaimable(Date.now());
+
+    for (const candidate of candidates) {
+      if (candidate.passwordProtected) {
+        await this.failJob(
+          candidate,
+          new AppError(
+            "Processing was interrupted and the PDF's password is not stored; upload it again",
+            "JOB_INTERRUPTED"
+          )
+        );
+        continue;
+      }
+
+      if (candidate.attempts >= this.maxAttempts) {
+        await this.failJob(
+          candidate,
+          new AppError(
+            `Processing was interrupted ${candidate.attempts} times; upload the file again`,
+            "JOB_INTERRUPTED"
+          )
+        );
+        continue;
+      }
+
+      const job = {
+        ...candidate,
+        workerId: this.workerId,
+        leaseExpiresAt: Date.now() + this.leaseDuration,
+        attempts: (candidate.attempts || 0) + 1,
+        updatedAt: new Date().toISOString(),
+      };
+      await this.saveJob(job);
+
+      // Another instance may have claimed the job at the same time; the
+      // last write wins
+      const current = await this.store.get(job.jobId);
+      if (current && current.workerId === this.workerId) {
+        return job;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Save a snapshot of a job after any earlier write of it
+   */
+  saveJob(job) {
+    const snapshot = { ...job };
+    const previous = this.writes.get(job.jobId) || Promise.resolve();
+    const write = previous
+      .catch(() => {})
+      .then(() => this.store.save(snapshot));
+
+    this.writes.set(job.jobId, write);
+    write
+      .catch(() => {})
+      .then(() => {
+        if (this.writes.get(job.jobId) === write) {
+          this.writes.delete(job.jobId);
+        }
+      });
+
+    return write;
+  }
+}
+
+module.exports = new JobService();
@@ -0,0 +1,40 @@
+/**
+ * Interface shared by all job store backends.
+ *
+ * Jobs are plain objects keyed by `jobId`. A job is leased to the worker
+ * running it until `leaseExpiresAt` (milliseconds since the epoch); an
+ * unfinished job whose lease has run out can be claimed by any worker.
+ * Finished jobs are deleted once `expiresAt` has passed.
+ */
+class BaseJobStore {
+  /**
+   * Get a job by ID, or null if it is unknown
+   */
+  async get(jobId) {
+    throw new Error(`${this.constructor.name} must implement get`);
+  }
+
+  /**
+   * Create or replace a job
+   */
+  async save(job) {
+    throw new Error(`${this.constructor.name} must implement save`);
+  }
+
+  /**
+   * Get up to `limit` queued or processing jobs whose lease ran out
+   * before `now`, oldest first
+   */
+  async findClaimable(now, limit = 10) {
+    throw new Error(`${this.constructor.name} must implement findClaimable`);
+  }
+
+  /**
+   * Delete finished jobs that expired before `now`
+   */
+  async deleteExpired(now) {
+    throw new Error(`${this.constructor.name} must implement deleteExpired`);
+  }
+}
+
+module.exports = BaseJobStore;
@@ -0,0 +1,35 @@
+const dotenv = require("dotenv");
+const QdrantJobStore = require("./qdrantJobStore");
+const MemoryJobStore = require("./memoryJobStore");
+
+dotenv.config();
+
+/**
+ * Create the job store selected by JOB_STORE, which defaults to the
+ * VECTOR_STORE backend: "qdrant" (shared by every server instance) or
+ * "memory" (persisted to JOB_STORE_PATH; set it to an empty value to keep
+ * jobs in memory only)
+ */
+function createJobStore(
+  type = process.env.JOB_STORE || process.env.VECTOR_STORE || "qdrant"
+) {
+  switch (type.toLowerCase()) {
+    case "qdrant":
+      return new QdrantJobStore();
+    case "memory":
+      return new MemoryJobStore({
+        filePath:
+          process.env.JOB_STORE_PATH !== undefined
+            ? process.env.JOB_STORE_PATH
+            : "./data/jobs.json",
+      });
+    default:
+      throw new Error(`Unknown job store: ${type}`);
+  }
+}
+
+module.exports = {
+  createJobStore,
+  QdrantJobStore,
+  MemoryJobStore,
+};
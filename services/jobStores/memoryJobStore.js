@@ -0,0 +1,100 @@
+const fs = require("fs-extra");
+const path = require("path");
+const BaseJobStore = require("./baseJobStore");
+
+/**
+ * Job store that keeps jobs in memory and persists them to a JSON file, so
+ * they survive a restart of a single server. Jobs are not shared between
+ * processes; use the Qdrant store for that.
+ */
+class MemoryJobStore extends BaseJobStore {
+  constructor({ filePath = null } = {}) {
+    super();
+    this.name = "memory";
+    this.filePath = filePath ? path.resolve(filePath) : null;
+    this.jobs = new Map();
+    this.loadPromise = null;
+    this.savePromise = Promise.resolve();
+  }
+
+  /**
+   * Load persisted jobs once, on first use
+   */
+  async ensureLoaded() {
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        if (!this.filePath || !(await fs.pathExists(this.filePath))) {
+          return;
+        }
+
+        const data = await fs.readJson(this.filePath);
+        (data.jobs || []).forEach((job) => this.jobs.set(job.jobId, job));
+      })();
+    }
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Persist all jobs. Writes are serialized and go through a temporary file.
+   */
+  async persist() {
+    if (!this.filePath) {
+      return;
+    }
+
+    this.savePromise = this.savePromise
+      .catch(() => {})
+      .then(async () => {
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.ensureDir(path.dirname(this.filePath));
+        await fs.writeJson(tmpPath, { jobs: Array.from(this.jobs.values()) });
+        await fs.move(tmpPath, this.filePath, { overwrite: true });
+      });
+
+    return this.savePromise;
+  }
+
+  async get(jobId) {
+    await this.ensureLoaded();
+    const job = this.jobs.get(jobId);
+    return job ? { ...job } : null;
+  }
+
+  async save(job) {
+    await this.ensureLoaded();
+    this.jobs.set(job.jobId, { ...job });
+    await this.persist();
+  }
+
+  async findClaimable(now, limit = 10) {
+    await this.ensureLoaded();
+
+    return Array.from(this.jobs.values())
+      .filter(
+        (job) =>
+          (job.status === "queued" || job.status === "processing") &&
+          job.leaseExpiresAt < now
+      )
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .slice(0, limit)
+      .map((job) => ({ ...job }));
+  }
+
+  async deleteExpired(now) {
+    await this.ensureLoaded();
+
+    let deleted = 0;
+    for (const [jobId, job] of this.jobs) {
+      if (job.expiresAt && job.expiresAt < now) {
+        this.jobs.delete(jobId);
+        deleted++;
+      }
+    }
+    if (deleted > 0) {
+      await this.persist();
+    }
+  }
+}
+
+module.exports = MemoryJobStore;
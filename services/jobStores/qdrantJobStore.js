@@ -0,0 +1,123 @@
+const { QdrantClient } = require("@qdrant/js-client-rest");
+const BaseJobStore = require("./baseJobStore");
+
+// Qdrant needs a vector on every point; jobs are only ever looked up by ID
+// or payload, so each one gets the same one-dimensional vector
+const JOB_VECTOR = [1];
+
+/**
+ * Job store backed by a Qdrant collection, so every server instance sees
+ * the same jobs
+ */
+class QdrantJobStore extends BaseJobStore {
+  constructor() {
+    super();
+    this.name = "qdrant";
+    this.client = new QdrantClient({
+      url: process.env.QDRANT_URL || "http://localhost:6333",
+      apiKey: process.env.QDRANT_API_KEY,
+    });
+
+    this.collectionName = process.env.QDRANT_JOB_COLLECTION || "ingestion_jobs";
+    this.initPromise = null;
+  }
+
+  /**
+   * Create the collection and its payload indexes once, on first use
+   */
+  async ensureCollection() {
+    if (!this.initPromise) {
+      this.initPromise = this.createCollection().catch((error) => {
+        this.initPromise = null;
+        throw error;
+      });
+    }
+
+    return this.initPromise;
+  }
+
+  async createCollection() {
+    const collections = await this.client.getCollections();
+    const collectionExists = collections.collections.some(
+      (col) => col.name === this.collectionName
+    );
+
+    if (!collectionExists) {
+      await this.client.createCollection(this.collectionName, {
+        vectors: { size: JOB_VECTOR.length, distance: "Dot" },
+      });
+      console.log(
+        `✅ Collection '${this.collectionName}' created successfully`
+      );
+    }
+
+    // Creating an index that already exists is a no-op
+    await this.client.createPayloadIndex(this.collectionName, {
+      field_name: "status",
+      field_schema: "keyword",
+    });
+
+    await this.client.createPayloadIndex(this.collectionName, {
+      field_name: "leaseExpiresAt",
+      field_schema: "integer",
+    });
+
+    await this.client.createPayloadIndex(this.collectionName, {
+      field_name: "expiresAt",
+      field_schema: "integer",
+    });
+  }
+
+  async get(jobId) {
+    await this.ensureCollection();
+
+    const points = await this.client.retrieve(this.collectionName, {
+      ids: [jobId],
+      with_payload: true,
+      with_vector: false,
+    });
+
+    return points.length > 0 ? points[0].payload : null;
+  }
+
+  async save(job) {
+    await this.ensureCollection();
+
+    await this.client.upsert(this.collectionName, {
+      wait: true,
+      points: [{ id: job.jobId, vector: JOB_VECTOR, payload: job }],
+    });
+  }
+
+  async findClaimable(now, limit = 10) {
+    await this.ensureCollection();
+
+    const results = await this.client.scroll(this.collectionName, {
+      filter: {
+        must: [
+          { key: "status", match: { any: ["queued", "processing"] } },
+          { key: "leaseExpiresAt", range: { lt: now } },
+        ],
+      },
+      limit: limit,
+      with_payload: true,
+      with_vector: false,
+    });
+
+    return results.points
+      .map((point) => point.payload)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async deleteExpired(now) {
+    await this.ensureCollection();
+
+    await this.client.delete(this.collectionName, {
+      filter: {
+        must: [{ key: "expiresAt", range: { lt: now } }],
+      },
+    });
+  }
+}
+
+module.exports = QdrantJobStore;
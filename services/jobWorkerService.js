@@ -0,0 +1,156 @@
+const axios = require("axios");
+const dotenv = require("dotenv");
+const jobService = require("./jobService");
+const ingestionService = require("./ingestionService");
+const vectorDBService = require("./vectorDBService");
+
+dotenv.config();
+
+/**
+ * Runs ingestion jobs. The upload route runs each new job right away;
+ * the poll loop (or the cron route on Vercel) picks up jobs whose worker
+ * stopped before finishing them and runs them again from the uploaded
+ * blob.
+ */
+class JobWorkerService {
+  constructor() {
+    this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 30 * 1000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start polling for interrupted jobs. Safe to call repeatedly.
+   */
+  start() {
+    if (this.timer || this.running) {
+      return;
+    }
+
+    this.scheduleNext(0);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Schedule the next poll without keeping the process alive
+   */
+  scheduleNext(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.poll();
+    }, delay);
+    this.timer.unref();
+  }
+
+  /**
+   * Run every claimable job, then wait for the next poll
+   */
+  async poll() {
+    this.running = true;
+
+    try {
+      await this.runPending();
+    } catch (error) {
+      console.error("❌ Failed to poll ingestion jobs:", error.message);
+    } finally {
+      this.running = false;
+      this.scheduleNext(this.pollInterval);
+    }
+  }
+
+  /**
+   * Claim and run up to `limit` interrupted jobs, one at a time. Returns
+   * the number of jobs run.
+   */
+  async runPending({ limit = Infinity } = {}) {
+    let count = 0;
+
+    while (count < limit) {
+      const job = await jobService.claimNextJob();
+      if (!job) {
+        break;
+      }
+
+      console.log(`🔁 Resuming job ${job.jobId} (attempt ${job.attempts})`);
+      await this.run(job);
+      count++;
+    }
+
+    return count;
+  }
+
+  /**
+   * Run a job leased to this process to completion or failure. `file` is
+   * the uploaded file when the job runs in the request that created it;
+   * otherwise it is downloaded from blob storage. Never rejects.
+   */
+  async run(job, { file = null, password = null } = {}) {
+    // Keep the lease while the job runs, including stages that report no
+    // progress for a while
+    const heartbeat = setInterval(
+      () => jobService.renewLease(job),
+      jobService.leaseDuration / 3
+    );
+    heartbeat.unref();
+
+    try {
+      const source = file || (await this.downloadFile(job));
+
+      // An earlier attempt may have stored chunks before it was cut off
+      if (job.attempts > 1) {
+        await vectorDBService.deleteByFileId(job.upload.fileId);
+      }
+
+      const result = await ingestionService.ingest(source, {
+        fileType: job.fileType,
+        password,
+        upload: job.upload,
+        onProgress: (stage, fraction) =>
+          jobService.updateProgress(job, stage, fraction),
+      });
+
+      console.log(`✅ Job ${job.jobId} completed: ${result.fileId}`);
+      await jobService.completeJob(job, result);
+    } catch (error) {
+      console.error(`Error processing document for job ${job.jobId}:`, error);
+      await jobService
+        .failJob(job, error)
+        .catch((saveError) =>
+          console.error(
+            `❌ Failed to save job ${job.jobId}:`,
+            saveError.message
+          )
+        );
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Download a job's file from blob storage in the shape multer gives
+   * uploads
+   */
+  async downloadFile(job) {
+    const response = await axios.get(job.upload.blobUrl, {
+      responseType: "arraybuffer",
+    });
+    const buffer = Buffer.from(response.data);
+
+    return {
+      originalname: job.fileName,
+      mimetype: response.headers["content-type"],
+      size: buffer.length,
+      buffer,
+    };
+  }
+}
+
+module.exports = new JobWorkerService();
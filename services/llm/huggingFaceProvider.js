@@ -0,0 +1,71 @@
+const { InferenceClient } = require("@huggingface/inference");
+
+/**
+ * Chat completion provider backed by the Hugging Face Inference API
+ */
+class HuggingFaceProvider {
+  constructor({ apiKey, hfProvider = "auto" } = {}) {
+    if (!apiKey) {
+      throw new Error("HUGGINGFACE_API_KEY is required");
+    }
+
+    this.name = "huggingface";
+    this.hfProvider = hfProvider;
+    this.client = new InferenceClient(apiKey);
+  }
+
+  /**
+   * Generate a complete response and return its text
+   */
+  async chatCompletion(
+    { model, messages, max_tokens, temperature, top_p },
+    signal = null
+  ) {
+    const chatCompletion = await this.client.chatCompletion(
+      {
+        provider: this.hfProvider,
+        model: model,
+        messages: messages,
+        max_tokens: max_tokens,
+        temperature: temperature,
+        top_p: top_p,
+      },
+      { signal: signal || undefined }
+    );
+
+    if (!chatCompletion.choices || !chatCompletion.choices[0]) {
+      throw new Error(`Invalid response from ${model}`);
+    }
+
+    return chatCompletion.choices[0].message.content;
+  }
+
+  /**
+   * Stream a response, yielding text tokens as they arrive
+   */
+  async *chatCompletionStream(
+    { model, messages, max_tokens, temperature, top_p },
+    signal = null
+  ) {
+    const stream = this.client.chatCompletionStream(
+      {
+        provider: this.hfProvider,
+        model: model,
+        messages: messages,
+        max_tokens: max_tokens,
+        temperature: temperature,
+        top_p: top_p,
+      },
+      { signal: signal || undefined }
+    );
+
+    for await (const chunk of stream) {
+      const token = chunk.choices?.[0]?.delta?.content;
+      if (token) {
+        yield token;
+      }
+    }
+  }
+}
+
+module.exports = HuggingFaceProvider;
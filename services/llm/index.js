@@ -0,0 +1,35 @@
+const dotenv = require("dotenv");
+const HuggingFaceProvider = require("./huggingFaceProvider");
+const OpenAICompatibleProvider = require("./openAICompatibleProvider");
+
+dotenv.config();
+
+/**
+ * Create the chat completion provider selected by LLM_PROVIDER.
+ *
+ * Every provider implements:
+ * - chatCompletion(params, signal) -> Promise<string>
+ * - chatCompletionStream(params, signal) -> AsyncGenerator<string>
+ * where params is { model, messages, max_tokens, temperature, top_p }.
+ */
+function createLLMProvider(type = process.env.LLM_PROVIDER || "huggingface") {
+  switch (type.toLowerCase()) {
+    case "huggingface":
+      return new HuggingFaceProvider({
+        apiKey: process.env.HUGGINGFACE_API_KEY,
+      });
+    case "openai":
+      return new OpenAICompatibleProvider({
+        baseUrl: process.env.LLM_BASE_URL,
+        apiKey: process.env.LLM_API_KEY,
+      });
+    default:
+      throw new Error(`Unknown LLM provider: ${type}`);
+  }
+}
+
+module.exports = {
+  createLLMProvider,
+  HuggingFaceProvider,
+  OpenAICompatibleProvider,
+};
@@ -0,0 +1,124 @@
+/**
+ * Chat completion provider for OpenAI-compatible HTTP servers
+ * (llama.cpp server, vLLM, Ollama, ...)
+ */
+class OpenAICompatibleProvider {
+  constructor({ baseUrl, apiKey = null } = {}) {
+    if (!baseUrl) {
+      throw new Error("LLM_BASE_URL is required for the openai provider");
+    }
+
+    this.name = "openai";
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * POST a chat completion request
+   */
+  async request(body, signal = null) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: "POST",
+      headers: headers,
+      body: JSON.stringify(body),
+      signal: signal || undefined,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => "");
+      throw new Error(
+        `LLM server responded with ${response.status}: ${errorText.substring(
+          0,
+          200
+        )}`
+      );
+    }
+
+    return response;
+  }
+
+  /**
+   * Generate a complete response and return its text
+   */
+  async chatCompletion(
+    { model, messages, max_tokens, temperature, top_p },
+    signal = null
+  ) {
+    const response = await this.request(
+      {
+        model: model,
+        messages: messages,
+        stream: false,
+        max_tokens: max_tokens,
+        temperature: temperature,
+        top_p: top_p,
+      },
+      signal
+    );
+
+    const result = await response.json();
+
+    if (!result.choices || !result.choices[0]) {
+      throw new Error(`Invalid response from ${model}`);
+    }
+
+    return result.choices[0].message.content;
+  }
+
+  /**
+   * Stream a response, yielding text tokens as they arrive
+   */
+  async *chatCompletionStream(
+    { model, messages, max_tokens, temperature, top_p },
+    signal = null
+  ) {
+    const response = await this.request(
+      {
+        model: model,
+        messages: messages,
+        stream: true,
+        max_tokens: max_tokens,
+        temperature: temperature,
+        top_p: top_p,
+      },
+      signal
+    );
+
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+
+      // Server-sent events are separated by newlines; keep the last
+      // (possibly incomplete) line in the buffer
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith("data:")) {
+          continue;
+        }
+
+        const data = trimmed.slice(5).trim();
+        if (data === "[DONE]") {
+          return;
+        }
+
+        const chunk = JSON.parse(data);
+        const token = chunk.choices?.[0]?.delta?.content;
+        if (token) {
+          yield token;
+        }
+      }
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
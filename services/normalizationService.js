@@ -0,0 +1,316 @@
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+// C0/C1 controls other than tab and newline, zero-width characters and the
+// byte order mark. Soft hyphens are dropped unless they end a line, where
+// they mark a hyphenated word.
+const CONTROL_CHARACTERS =
+  /\r\n?|[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F\u200B-\u200D\u2060\uFEFF]|\u00AD(?=.)/gu;
+
+// A letter, a hyphen at the end of the line and a lowercase word continuing
+// on the next line: "infor-\nmation"
+const LINE_END_HYPHEN =
+  /(?<=\p{L})[-\u2010\u2011\u00AD][^\S\n]*\n[^\S\n]*(\p{Ll}[\p{L}\p{M}]*)[^\S\n]*/dgu;
+
+// A base character with its combining marks, normalized as one unit so
+// accents compose
+const GRAPHEME = /\P{M}\p{M}*|\p{M}+/gu;
+
+/**
+ * Text being rewritten, with the index in the original text of every
+ * character
+ */
+function track(text) {
+  const sources = [];
+  for (let index = 0; index < text.length; index++) {
+    sources.push(index);
+  }
+  return { text, sources };
+}
+
+/**
+ * Replace every match of a global pattern. `replace(match, write, copy)`
+ * emits the replacement: `write(text, index)` adds new text that points at
+ * `index` of the current text, `copy(start, end)` keeps a slice of it.
+ * Text between matches is kept as is.
+ */
+function rewrite(state, pattern, replace) {
+  let text = "";
+  const sources = [];
+
+  const copy = (start, end) => {
+    text += state.text.slice(start, end);
+    for (let index = start; index < end; index++) {
+      sources.push(state.sources[index]);
+    }
+  };
+  const write = (value, index) => {
+    text += value;
+    for (let i = 0; i < value.length; i++) {
+      sources.push(state.sources[index]);
+    }
+  };
+
+  let last = 0;
+  for (const match of state.text.matchAll(pattern)) {
+    copy(last, match.index);
+    replace(match, write, copy);
+    last = match.index + match[0].length;
+  }
+  copy(last, state.text.length);
+
+  return { text, sources };
+}
+
+const steps = {
+  controlCharacters: (state) =>
+    rewrite(state, CONTROL_CHARACTERS, (match, write) => {
+      if (match[0].startsWith("\r")) {
+        write("\n", match.index);
+      }
+    }),
+
+  // Compatibility forms: ligatures ("ﬁ" -> "fi"), full-width letters,
+  // non-breaking spaces
+  unicode: (state) => {
+    if (state.text.normalize("NFKC") === state.text) {
+      return state;
+    }
+    return rewrite(state, GRAPHEME, (match, write, copy) => {
+      const normalized = match[0].normalize("NFKC");
+      if (normalized === match[0]) {
+        copy(match.index, match.index + match[0].length);
+      } else {
+        write(normalized, match.index);
+      }
+    });
+  },
+
+  // The rest of the word moves up to the first line, so lines stay lines
+  hyphenation: (state) =>
+    rewrite(state, LINE_END_HYPHEN, (match, write, copy) => {
+      const [start, end] = match.indices[1];
+      copy(start, end);
+      const next = state.text[match.index + match[0].length];
+      if (next !== undefined && next !== "\n") {
+        write("\n", match.index);
+      }
+    }),
+
+  // Runs of spaces become one space, and more than one blank line becomes
+  // a single blank line. Leading and trailing whitespace is dropped.
+  whitespace: (state) =>
+    rewrite(state, /\s+/g, (match, write) => {
+      const end = match.index + match[0].length;
+      if (match.index === 0 || end === state.text.length) {
+        return;
+      }
+      const newlines = (match[0].match(/\n/g) || []).length;
+      write(
+        newlines === 0 ? " " : "\n".repeat(Math.min(newlines, 2)),
+        match.index
+      );
+    }),
+};
+
+// Order matters: controls hide hyphens and spaces, and NFKC turns
+// non-breaking spaces and hyphens into plain ones
+const STEP_ORDER = [
+  "controlCharacters",
+  "unicode",
+  "hyphenation",
+  "whitespace",
+];
+
+/**
+ * Compress per-character source indexes into [normalizedIndex,
+ * originalIndex] pairs, one wherever the mapping stops advancing in step
+ */
+function toOffsetMap(sources) {
+  const offsetMap = [];
+  sources.forEach((source, index) => {
+    if (index === 0 || source !== sources[index - 1] + 1) {
+      offsetMap.push([index, source]);
+    }
+  });
+  return offsetMap;
+}
+
+/**
+ * Cleans extracted text before structured extraction: Unicode NFKC,
+ * rejoining words hyphenated across lines, collapsing whitespace and
+ * stripping control characters. Each step can be turned off. Page text
+ * keeps an offset map back to the extracted text so citations can point at
+ * the original.
+ */
+class NormalizationService {
+  constructor() {
+    this.steps = {
+      controlCharacters: process.env.NORMALIZE_CONTROL_CHARACTERS !== "false",
+      unicode: process.env.NORMALIZE_UNICODE !== "false",
+      hyphenation: process.env.NORMALIZE_HYPHENATION !== "false",
+      whitespace: process.env.NORMALIZE_WHITESPACE !== "false",
+    };
+  }
+
+  /**
+   * Normalize a string. Returns { text, offsetMap }; see toOriginalOffset
+   * for reading the map. `options` turns individual steps on or off.
+   */
+  normalizeText(text, options = {}) {
+    const enabled = { ...this.steps, ...options };
+    let state = track(text || "");
+
+    for (const step of STEP_ORDER) {
+      if (enabled[step]) {
+        state = steps[step](state);
+      }
+    }
+
+    return { text: state.text, offsetMap: toOffsetMap(state.sources) };
+  }
+
+  /**
+   * Index in the original text of the character at `index` of normalized
+   * text
+   */
+  toOriginalOffset(offsetMap, index) {
+    let low = 0;
+    let high = offsetMap.length - 1;
+    if (high < 0) {
+      return index;
+    }
+
+    // Last pair starting at or before `index`
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (offsetMap[middle][0] <= index) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    const [normalized, original] = offsetMap[low];
+    return original + Math.max(0, index - normalized);
+  }
+
+  /**
+   * Range [start, end) of the original text that normalized [start, end)
+   * came from
+   */
+  toOriginalRange(offsetMap, start, end) {
+    if (end <= start) {
+      const offset = this.toOriginalOffset(offsetMap, start);
+      return { start: offset, end: offset };
+    }
+    return {
+      start: this.toOriginalOffset(offsetMap, start),
+      end: this.toOriginalOffset(offsetMap, end - 1) + 1,
+    };
+  }
+
+  /**
+   * Normalize a single-line value (a layout word or line, a table cell, a
+   * heading); words are never rejoined across values
+   */
+  normalizeValue(value, options) {
+    return this.normalizeText(value, { ...options, hyphenation: false }).text;
+  }
+
+  /**
+   * Rejoin words hyphenated across consecutive lines of a layout block,
+   * moving the rest of the word up to the first line
+   */
+  dehyphenateLines(layout) {
+    for (const { lineIndexes } of layout.blocks || []) {
+      for (let i = 0; i + 1 < lineIndexes.length; i++) {
+        const line = layout.lines[lineIndexes[i]];
+        const next = layout.lines[lineIndexes[i + 1]];
+        const rest = next.text.match(/^(\p{Ll}[\p{L}\p{M}]*)\s*/u);
+        if (/\p{L}[-\u2010\u2011\u00AD]$/u.test(line.text) && rest) {
+          line.text = line.text.slice(0, -1) + rest[1];
+          next.text = next.text.slice(rest[0].length);
+        }
+      }
+    }
+  }
+
+  /**
+   * Normalize a page's layout in place so sections and headings built
+   * from it match the page text
+   */
+  normalizeLayout(layout, options) {
+    if (!layout) {
+      return;
+    }
+
+    (layout.words || []).forEach((word) => {
+      word.text = this.normalizeValue(word.text, options);
+    });
+    (layout.lines || []).forEach((line) => {
+      line.text = this.normalizeValue(line.text, options);
+    });
+    if ({ ...this.steps, ...options }.hyphenation) {
+      this.dehyphenateLines(layout);
+    }
+    (layout.blocks || []).forEach((block) => {
+      block.text = block.lineIndexes
+        .map((index) => layout.lines[index].text)
+        .join("\n");
+    });
+    (layout.tables || []).forEach((table) => {
+      table.header = table.header.map((cell) =>
+        this.normalizeValue(cell, options)
+      );
+      table.rows = table.rows.map((row) =>
+        row.map((cell) => this.normalizeValue(cell, options))
+      );
+    });
+  }
+
+  /**
+   * Normalize parsed document data (the result of parseDocument) between
+   * parsing and structured extraction. Pages keep their extracted text as
+   * `originalText` with an `offsetMap` from `text` back to it. Layout,
+   * tables, headings and bookmarks are normalized without offsets.
+   */
+  normalizeDocument(pdfData, options = {}) {
+    const pages = (pdfData.pages || []).map((page) => {
+      const { text, offsetMap } = this.normalizeText(page.text, options);
+      this.normalizeLayout(page.layout, options);
+
+      return {
+        ...page,
+        text,
+        originalText: page.text,
+        offsetMap,
+        wordCount: text.split(/\s+/).filter(Boolean).length,
+      };
+    });
+
+    const normalizeTitles = (nodes) =>
+      nodes.map((node) => ({
+        ...node,
+        title: this.normalizeValue(node.title, options),
+        ...(node.children ? { children: normalizeTitles(node.children) } : {}),
+      }));
+
+    return {
+      ...pdfData,
+      pages,
+      rawText: pages.length
+        ? pages.map((page) => page.text).join("\n\n")
+        : this.normalizeText(pdfData.rawText, options).text,
+      ...(pdfData.headings
+        ? { headings: normalizeTitles(pdfData.headings) }
+        : {}),
+      ...(pdfData.bookmarks
+        ? { bookmarks: normalizeTitles(pdfData.bookmarks) }
+        : {}),
+    };
+  }
+}
+
+module.exports = new NormalizationService();
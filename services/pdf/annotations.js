@@ -0,0 +1,132 @@
+/**
+ * Reads a page's hyperlinks and review annotations (sticky notes,
+ * highlights and other markup) along with the text they cover.
+ */
+
+const { resolvePageNumber } = require("./outline");
+
+// Annotations a reviewer adds to comment on or mark up the page
+const REVIEW_SUBTYPES = new Set([
+  "Text",
+  "FreeText",
+  "Highlight",
+  "Underline",
+  "Squiggly",
+  "StrikeOut",
+  "Square",
+  "Circle",
+  "Line",
+  "Polygon",
+  "PolyLine",
+  "Ink",
+  "Stamp",
+  "Caret",
+]);
+
+// Annotations whose area marks the text they refer to
+const TEXT_MARKUP_SUBTYPES = new Set([
+  "Highlight",
+  "Underline",
+  "Squiggly",
+  "StrikeOut",
+]);
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Convert a PDF rectangle to a top-left origin box, as used by the layout
+ */
+function rectToBox(rect, viewport) {
+  const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(rect);
+  return {
+    x: round(Math.min(x1, x2)),
+    y: round(Math.min(y1, y2)),
+    width: round(Math.abs(x2 - x1)),
+    height: round(Math.abs(y2 - y1)),
+  };
+}
+
+/**
+ * Text of the words whose centre lies inside a box
+ */
+function textInBox(box, words) {
+  return words
+    .filter((word) => {
+      const centerX = word.bbox.x + word.bbox.width / 2;
+      const centerY = word.bbox.y + word.bbox.height / 2;
+      return (
+        centerX >= box.x &&
+        centerX <= box.x + box.width &&
+        centerY >= box.y &&
+        centerY <= box.y + box.height
+      );
+    })
+    .map((word) => word.text)
+    .join(" ");
+}
+
+/**
+ * Read a page's annotations. Returns
+ * { links: [{ text, url, targetPage, bbox }],
+ *   annotations: [{ type, author, contents, text, pageNumber, bbox }] }
+ * where `text` is the page text the link or markup covers. Annotations with
+ * neither a comment nor covered text are skipped.
+ */
+async function readAnnotations(page, viewport, layout, doc) {
+  let items;
+  try {
+    items = await page.getAnnotations();
+  } catch (error) {
+    return { links: [], annotations: [] };
+  }
+
+  const links = [];
+  const annotations = [];
+
+  for (const item of items) {
+    const bbox = rectToBox(item.rect, viewport);
+
+    if (item.subtype === "Link") {
+      const targetPage =
+        item.dest && doc ? await resolvePageNumber(doc, item.dest) : null;
+      if (item.url || targetPage) {
+        links.push({
+          text: textInBox(bbox, layout.words) || null,
+          url: item.url || null,
+          targetPage,
+          bbox,
+        });
+      }
+      continue;
+    }
+
+    if (!REVIEW_SUBTYPES.has(item.subtype)) {
+      continue;
+    }
+
+    const contents = (item.contents || "").trim();
+    const text = TEXT_MARKUP_SUBTYPES.has(item.subtype)
+      ? textInBox(bbox, layout.words)
+      : "";
+    if (!contents && !text) {
+      continue;
+    }
+
+    annotations.push({
+      type: item.subtype,
+      author: (item.title || "").trim() || null,
+      contents: contents || null,
+      text: text || null,
+      pageNumber: page.pageNumber,
+      bbox,
+    });
+  }
+
+  return { links, annotations };
+}
+
+module.exports = {
+  readAnnotations,
+};
@@ -0,0 +1,249 @@
+/**
+ * Detects running headers, footers, page numbers and other lines repeated
+ * across pages (confidentiality banners, letterheads) and removes them from
+ * the page text so they do not end up in every chunk.
+ */
+
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const config = {
+  enabled: process.env.STRIP_BOILERPLATE !== "false",
+};
+
+// Rows at the top and bottom of a page that can hold a header or footer,
+// and how far from the edge they may sit, as a share of the page height
+const BAND_ROWS = 2;
+const BAND_RATIO = 0.2;
+
+// Share of pages a line must repeat on to count as boilerplate
+const MIN_REPEAT_RATIO = 0.4;
+
+// Vertical distance, in points, within which lines share a position
+const POSITION_TOLERANCE = 3;
+
+// "7", "- 7 -", "Page 7", "Page 7 of 40", "7/40", "vii"
+const PAGE_NUMBER =
+  /^(?:page\s+)?[-–—]?\s*(?:\d+|[ivxlc]+)\s*[-–—]?(?:\s*(?:of|\/)\s*\d+)?$/i;
+
+/**
+ * Comparable form of a line: lowercase with collapsed whitespace. With
+ * `maskNumbers`, "Acme - Page 3" matches "Acme - Page 4".
+ */
+function normalize(text, maskNumbers) {
+  const normalized = text.toLowerCase().replace(/\s+/g, " ").trim();
+  return maskNumbers ? normalized.replace(/\d+/g, "#") : normalized;
+}
+
+function compact(text) {
+  return text.replace(/\s+/g, "");
+}
+
+/**
+ * Group a page's line indexes into rows sharing a vertical position,
+ * top to bottom
+ */
+function groupRows(lines) {
+  const order = lines
+    .map((line, index) => index)
+    .sort((a, b) => lines[a].bbox.y - lines[b].bbox.y);
+
+  const rows = [];
+  for (const index of order) {
+    const row = rows[rows.length - 1];
+    if (
+      row &&
+      Math.abs(lines[row[0]].bbox.y - lines[index].bbox.y) <= POSITION_TOLERANCE
+    ) {
+      row.push(index);
+    } else {
+      rows.push([index]);
+    }
+  }
+  return rows;
+}
+
+/**
+ * Every line of every page with its normalized text, position and the band
+ * ("top", "bottom" or null) it sits in
+ */
+function collectCandidates(pages) {
+  const candidates = [];
+
+  pages.forEach((page, pageIndex) => {
+    const lines = page.layout?.lines || [];
+    if (!page.height || lines.length === 0 || !lines[0].bbox) {
+      return;
+    }
+
+    const rows = groupRows(lines);
+    rows.forEach((row, rowIndex) => {
+      for (const lineIndex of row) {
+        const line = lines[lineIndex];
+        let band = null;
+        if (rowIndex < BAND_ROWS && line.bbox.y < page.height * BAND_RATIO) {
+          band = "top";
+        } else if (
+          rowIndex >= rows.length - BAND_ROWS &&
+          line.bbox.y + line.bbox.height > page.height * (1 - BAND_RATIO)
+        ) {
+          band = "bottom";
+        }
+
+        candidates.push({
+          pageIndex,
+          lineIndex,
+          text: line.text.trim(),
+          key: normalize(line.text),
+          // Only the outermost rows carry running numbers; masking them in
+          // the next row would match numbered headings like "2. Scope"
+          bandKey: normalize(
+            line.text,
+            rowIndex === 0 || rowIndex === rows.length - 1
+          ),
+          band,
+          position: Math.round(line.bbox.y / (POSITION_TOLERANCE * 2)),
+        });
+      }
+    });
+  });
+
+  return candidates;
+}
+
+/**
+ * Find boilerplate lines. Returns, for each page, a Map from line index to
+ * its kind: "pageNumber", "header" or "footer" for lines in the top or
+ * bottom band, or "repeated" for lines repeated at the same position
+ * elsewhere on the page.
+ */
+function findBoilerplate(pages) {
+  const found = pages.map(() => new Map());
+  if (pages.length < 2) {
+    return found;
+  }
+
+  const candidates = collectCandidates(pages);
+  const threshold = Math.max(2, Math.ceil(pages.length * MIN_REPEAT_RATIO));
+
+  const pagesByKey = new Map();
+  const countPage = (key, pageIndex) => {
+    if (!pagesByKey.has(key)) {
+      pagesByKey.set(key, new Set());
+    }
+    pagesByKey.get(key).add(pageIndex);
+  };
+  const repeats = (key) => (pagesByKey.get(key)?.size || 0) >= threshold;
+
+  for (const candidate of candidates) {
+    if (candidate.band) {
+      countPage(`${candidate.band}|${candidate.bandKey}`, candidate.pageIndex);
+    }
+    countPage(`${candidate.position}|${candidate.key}`, candidate.pageIndex);
+  }
+
+  for (const candidate of candidates) {
+    const { band, bandKey, key, text } = candidate;
+    let kind = null;
+
+    if (band && PAGE_NUMBER.test(text)) {
+      kind = "pageNumber";
+    } else if (band && repeats(`${band}|${bandKey}`)) {
+      kind = band === "top" ? "header" : "footer";
+    } else if (/[a-z]/.test(key) && repeats(`${candidate.position}|${key}`)) {
+      kind = "repeated";
+    }
+
+    if (kind) {
+      found[candidate.pageIndex].set(candidate.lineIndex, kind);
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Remove boilerplate lines from a page's text. Text lines are matched to
+ * layout lines ignoring whitespace, either one by one or as a whole row
+ * (pdf.js joins items on one baseline into a single text line).
+ */
+function removeFromText(text, lines) {
+  const removable = new Map();
+  const allow = (value) => {
+    if (value) {
+      removable.set(value, (removable.get(value) || 0) + 1);
+    }
+  };
+
+  for (const row of groupRows(lines)) {
+    const ordered = row
+      .map((index) => lines[index])
+      .sort((a, b) => a.bbox.x - b.bbox.x);
+    ordered
+      .filter((line) => line.boilerplate)
+      .forEach((line) => allow(compact(line.text)));
+    if (ordered.every((line) => line.boilerplate)) {
+      allow(compact(ordered.map((line) => line.text).join("")));
+    }
+  }
+
+  return text
+    .split("\n")
+    .filter((textLine) => {
+      const key = compact(textLine);
+      if (removable.get(key) > 0) {
+        removable.set(key, removable.get(key) - 1);
+        return false;
+      }
+      return true;
+    })
+    .join("\n");
+}
+
+/**
+ * Strip boilerplate from pages in place. Boilerplate lines are flagged with
+ * `boilerplate: true` in the layout, removed from `text` and listed in the
+ * page's `boilerplate` as { text, kind, bbox }. Returns how many lines were
+ * removed.
+ */
+function stripBoilerplate(pages) {
+  pages.forEach((page) => {
+    page.boilerplate = [];
+  });
+  if (!config.enabled) {
+    return 0;
+  }
+
+  const found = findBoilerplate(pages);
+  let removed = 0;
+
+  pages.forEach((page, pageIndex) => {
+    const kinds = found[pageIndex];
+    if (kinds.size === 0) {
+      return;
+    }
+
+    const lines = page.layout.lines;
+    lines.forEach((line, lineIndex) => {
+      if (kinds.has(lineIndex)) {
+        line.boilerplate = true;
+        page.boilerplate.push({
+          text: line.text,
+          kind: kinds.get(lineIndex),
+          bbox: line.bbox,
+        });
+      }
+    });
+
+    page.text = removeFromText(page.text, lines);
+    removed += kinds.size;
+  });
+
+  return removed;
+}
+
+module.exports = {
+  findBoilerplate,
+  stripBoilerplate,
+};
@@ -0,0 +1,169 @@
+/**
+ * Detects text columns on a page from the horizontal positions of its lines
+ * and puts the lines of multi-column pages into reading order: down each
+ * column in turn, with lines that span the columns (titles, full-width
+ * figures, footers) kept in place between them.
+ */
+
+const { reorderLines } = require("./layoutExtractor");
+
+// Lines wider than this share of the text width span columns and are
+// ignored when looking for gutters
+const SPANNING_RATIO = 0.6;
+
+// Narrowest gap between columns, in points. Lines are already split at
+// gaps wider than 1.5 times the font size.
+const MIN_GUTTER_WIDTH = 8;
+
+// Lines allowed to cross a gutter (centred titles, author lines and
+// captions), as a share of the lines stacked at the busiest point
+const MAX_CROSSING_RATIO = 0.25;
+
+// A column needs this many lines and this share of the text width, so that
+// right-aligned dates or margin notes are not taken for a column
+const MIN_COLUMN_LINES = 3;
+const MIN_COLUMN_WIDTH_RATIO = 0.25;
+
+function center(bbox) {
+  return { x: bbox.x + bbox.width / 2, y: bbox.y + bbox.height / 2 };
+}
+
+function inside(point, bbox) {
+  return (
+    point.x >= bbox.x &&
+    point.x <= bbox.x + bbox.width &&
+    point.y >= bbox.y &&
+    point.y <= bbox.y + bbox.height
+  );
+}
+
+function crosses(line, gutter) {
+  return (
+    line.bbox.x < gutter.end && line.bbox.x + line.bbox.width > gutter.start
+  );
+}
+
+/**
+ * Find the gutters between columns. Returns [{ start, end }] left to right;
+ * an empty array means a single column.
+ */
+function findGutters(layout) {
+  // Table cells are lined up in columns too, but are read row by row
+  const lines = layout.lines.filter(
+    (line) =>
+      !(layout.tables || []).some((table) =>
+        inside(center(line.bbox), table.bbox)
+      )
+  );
+  if (lines.length < MIN_COLUMN_LINES * 2) {
+    return [];
+  }
+
+  const left = Math.floor(Math.min(...lines.map((line) => line.bbox.x)));
+  const right = Math.ceil(
+    Math.max(...lines.map((line) => line.bbox.x + line.bbox.width))
+  );
+  const textWidth = right - left;
+  const narrow = lines.filter(
+    (line) => line.bbox.width < textWidth * SPANNING_RATIO
+  );
+
+  // How many narrow lines cover each point across the text width
+  const coverage = new Array(textWidth).fill(0);
+  for (const line of narrow) {
+    const start = Math.max(0, Math.floor(line.bbox.x) - left);
+    const end = Math.min(
+      textWidth,
+      Math.ceil(line.bbox.x + line.bbox.width) - left
+    );
+    for (let x = start; x < end; x++) {
+      coverage[x]++;
+    }
+  }
+
+  const maxCrossing = Math.max(...coverage) * MAX_CROSSING_RATIO;
+  const gaps = [];
+  let gapStart = null;
+  for (let x = 0; x <= textWidth; x++) {
+    const open = x < textWidth && coverage[x] <= maxCrossing;
+    if (open && gapStart === null) {
+      gapStart = x;
+    } else if (!open && gapStart !== null) {
+      // Gaps at the edges are margins, not gutters
+      if (x - gapStart >= MIN_GUTTER_WIDTH && gapStart > 0 && x < textWidth) {
+        gaps.push({ start: left + gapStart, end: left + x });
+      }
+      gapStart = null;
+    }
+  }
+
+  // Every column between the gutters must hold enough text
+  const bounds = [left, ...gaps.flatMap((gap) => [gap.start, gap.end]), right];
+  for (let index = 0; index < bounds.length; index += 2) {
+    const [start, end] = [bounds[index], bounds[index + 1]];
+    const columnLines = narrow.filter(
+      (line) =>
+        line.bbox.x >= start - 1 && line.bbox.x + line.bbox.width <= end + 1
+    );
+    if (
+      columnLines.length < MIN_COLUMN_LINES ||
+      end - start < textWidth * MIN_COLUMN_WIDTH_RATIO
+    ) {
+      return [];
+    }
+  }
+
+  return gaps;
+}
+
+/**
+ * Line indexes in reading order. Lines are taken top to bottom; those
+ * within one column collect until a spanning line, then are emitted column
+ * by column before it.
+ */
+function readingOrder(lines, gutters) {
+  const order = [];
+  let columns = gutters.map(() => []).concat([[]]);
+
+  const flush = () => {
+    columns.forEach((column) => order.push(...column));
+    columns = columns.map(() => []);
+  };
+
+  lines.forEach((line, index) => {
+    if (gutters.some((gutter) => crosses(line, gutter))) {
+      flush();
+      order.push(index);
+      return;
+    }
+    const column = gutters.filter((gutter) => line.bbox.x >= gutter.end).length;
+    columns[column].push(index);
+  });
+  flush();
+
+  return order;
+}
+
+/**
+ * Detect a page's columns and put its layout into reading order. Returns
+ * { layout, columns }; `columns` is 0 for a page without text.
+ */
+function orderColumns(layout) {
+  if (layout.lines.length === 0) {
+    return { layout, columns: 0 };
+  }
+
+  const gutters = findGutters(layout);
+  if (gutters.length === 0) {
+    return { layout, columns: 1 };
+  }
+
+  return {
+    layout: reorderLines(layout, readingOrder(layout.lines, gutters)),
+    columns: gutters.length + 1,
+  };
+}
+
+module.exports = {
+  orderColumns,
+};
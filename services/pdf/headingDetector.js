@@ -0,0 +1,335 @@
+/**
+ * Detects headings from page layout (font size, font and numbering) and
+ * builds the document's section tree.
+ */
+
+// A line this much larger than body text is a heading on size alone
+const HEADING_SIZE_RATIO = 1.15;
+
+// Longest line still considered a heading
+const MAX_HEADING_LENGTH = 120;
+const MAX_HEADING_WORDS = 15;
+
+// "1.", "2.3", "4.1.2 Title"
+const DECIMAL_NUMBERING = /^(\d{1,3}(?:\.\d{1,3})*)\.?\s+(\S.*)$/;
+// "Article IV", "Section 7", "Chapter 2: Title"
+const NAMED_NUMBERING =
+  /^(article|section|chapter|part|schedule|appendix|annex)\s+([ivxlcdm]+|\d+|[a-z])\b[.:\s-]*(.*)$/i;
+// "IV. Title", "B. Title"
+const ROMAN_NUMBERING = /^([IVXLC]+|[A-Z])\.\s+(\S.*)$/;
+
+/**
+ * Parse a heading number. Returns { numbering, depth } or null.
+ */
+function parseNumbering(text) {
+  const named = text.match(NAMED_NUMBERING);
+  if (named) {
+    return { numbering: `${named[1]} ${named[2]}`, depth: 1 };
+  }
+
+  const decimal = text.match(DECIMAL_NUMBERING);
+  if (decimal && /[a-z]/i.test(decimal[2])) {
+    return {
+      numbering: decimal[1],
+      depth: decimal[1].split(".").length,
+    };
+  }
+
+  const roman = text.match(ROMAN_NUMBERING);
+  if (roman) {
+    return { numbering: roman[1], depth: 1 };
+  }
+
+  return null;
+}
+
+/**
+ * Whether a line's text could be a heading at all, regardless of styling
+ */
+function isHeadingShaped(text) {
+  const trimmed = text.trim();
+  const words = trimmed.split(/\s+/);
+
+  return (
+    trimmed.length > 1 &&
+    trimmed.length <= MAX_HEADING_LENGTH &&
+    words.length <= MAX_HEADING_WORDS &&
+    /[a-z]/i.test(trimmed) &&
+    // Sentences and list items end in punctuation, headings do not
+    !/[,;]$/.test(trimmed) &&
+    !/[a-z]{2,}\.$/.test(trimmed)
+  );
+}
+
+/**
+ * Heading check for plain text without layout: numbered headings and short
+ * ALL-CAPS lines such as "EXPERIENCE". Title Case alone is not enough.
+ */
+function isHeadingText(text) {
+  const trimmed = text.trim();
+  if (!isHeadingShaped(trimmed)) {
+    return false;
+  }
+
+  if (parseNumbering(trimmed)) {
+    return trimmed.split(/\s+/).length <= 10;
+  }
+
+  return (
+    trimmed.split(/\s+/).length <= 6 && /^[A-Z][A-Z\s&/-]*[A-Z]$/.test(trimmed)
+  );
+}
+
+/**
+ * Font size and font used by most of the document's text
+ */
+function getBodyStyle(pages) {
+  const sizes = new Map();
+  const fonts = new Map();
+
+  for (const page of pages) {
+    for (const line of page.layout?.lines || []) {
+      if (line.boilerplate) {
+        continue;
+      }
+      const weight = line.text.length;
+      sizes.set(line.fontSize, (sizes.get(line.fontSize) || 0) + weight);
+      fonts.set(line.fontName, (fonts.get(line.fontName) || 0) + weight);
+    }
+  }
+
+  const mostCommon = (counts) =>
+    [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+
+  return { fontSize: mostCommon(sizes), fontName: mostCommon(fonts) };
+}
+
+/**
+ * Find the heading lines of a document from its page layout. Returns
+ * headings in reading order with their level and position.
+ */
+function detectHeadings(pages) {
+  const body = getBodyStyle(pages);
+  if (!body.fontSize) {
+    return [];
+  }
+
+  const candidates = [];
+
+  for (const page of pages) {
+    const { lines = [], blocks = [] } = page.layout || {};
+    const blockOfLine = new Map();
+    blocks.forEach((block) => {
+      block.lineIndexes.forEach((lineIndex) =>
+        blockOfLine.set(lineIndex, block)
+      );
+    });
+
+    // Running headers above the first heading do not push it off the top
+    const firstContentLine = lines.findIndex((line) => !line.boilerplate);
+
+    lines.forEach((line, lineIndex) => {
+      const text = line.text.trim();
+      if (line.boilerplate || !isHeadingShaped(text)) {
+        return;
+      }
+
+      const sizeRatio = line.fontSize / body.fontSize;
+      const distinctFont = line.fontName !== body.fontName;
+      const standalone =
+        (blockOfLine.get(lineIndex)?.lineIndexes.length ?? 1) === 1;
+      // Another segment on the same baseline means a table row or columns
+      const sharesBaseline = lines.some(
+        (other, otherIndex) =>
+          otherIndex !== lineIndex &&
+          Math.abs(other.bbox.y - line.bbox.y) < line.fontSize * 0.5
+      );
+      const numbering = parseNumbering(text);
+
+      let isHeading = false;
+      if (sizeRatio >= HEADING_SIZE_RATIO) {
+        isHeading = !sharesBaseline || standalone;
+      } else if (sizeRatio >= 0.95 && !sharesBaseline && standalone) {
+        // Body-sized text needs a numbering pattern, or a distinct font
+        // combined with a short ALL-CAPS or numbered line
+        isHeading =
+          (numbering && text.split(/\s+/).length <= 10) ||
+          (distinctFont && isHeadingText(text));
+      }
+
+      if (!isHeading) {
+        return;
+      }
+
+      // A heading wrapped over several lines of the same block is one heading
+      const previous = candidates[candidates.length - 1];
+      if (
+        previous &&
+        previous.pageNumber === page.pageNumber &&
+        previous.lastLineIndex === lineIndex - 1 &&
+        previous.fontSize === line.fontSize &&
+        blockOfLine.get(lineIndex) === blockOfLine.get(previous.lineIndex) &&
+        !numbering
+      ) {
+        previous.title = `${previous.title} ${text}`;
+        previous.lastLineIndex = lineIndex;
+        return;
+      }
+
+      candidates.push({
+        title: text,
+        numbering: numbering ? numbering.numbering : null,
+        depth: numbering ? numbering.depth : null,
+        fontSize: line.fontSize,
+        pageNumber: page.pageNumber,
+        lineIndex,
+        lastLineIndex: lineIndex,
+        firstOnPage: lineIndex === firstContentLine,
+      });
+    });
+  }
+
+  return assignLevels(candidates, body.fontSize);
+}
+
+/**
+ * Rank headings into levels. Larger fonts rank higher. Numbered headings
+ * nest by depth below the level their top-level numbers sit at, so
+ * "2.3" is one level below "2." whatever their font sizes.
+ */
+function assignLevels(candidates, bodyFontSize) {
+  const headingSizes = [
+    ...new Set(
+      candidates
+        .filter(
+          (candidate) => candidate.fontSize / bodyFontSize >= HEADING_SIZE_RATIO
+        )
+        .map((candidate) => candidate.fontSize)
+    ),
+  ].sort((a, b) => b - a);
+
+  const sizeLevel = (fontSize) => {
+    const rank = headingSizes.indexOf(fontSize);
+    return rank >= 0 ? rank + 1 : headingSizes.length + 1;
+  };
+
+  const numbered = candidates.filter((candidate) => candidate.depth);
+  const baseLevel = numbered.length
+    ? Math.max(
+        1,
+        Math.min(
+          ...numbered.map(
+            (candidate) => sizeLevel(candidate.fontSize) - candidate.depth + 1
+          )
+        )
+      )
+    : 1;
+
+  return candidates.map(({ depth, ...heading }) => ({
+    ...heading,
+    level: depth ? baseLevel + depth - 1 : sizeLevel(heading.fontSize),
+  }));
+}
+
+/**
+ * Nest headings into a tree. Each node spans from its heading's page to the
+ * page before the next heading at the same or a higher level.
+ */
+function buildOutline(headings, totalPages) {
+  const root = { level: 0, children: [] };
+  const stack = [root];
+
+  headings.forEach((heading, index) => {
+    const next = headings
+      .slice(index + 1)
+      .find((candidate) => candidate.level <= heading.level);
+    let pageEnd = totalPages;
+    if (next) {
+      pageEnd = next.firstOnPage ? next.pageNumber - 1 : next.pageNumber;
+    }
+
+    const node = {
+      title: heading.title,
+      level: heading.level,
+      numbering: heading.numbering,
+      pageStart: heading.pageNumber,
+      pageEnd: Math.max(pageEnd, heading.pageNumber),
+      children: [],
+    };
+
+    while (stack.length > 1 && stack[stack.length - 1].level >= node.level) {
+      stack.pop();
+    }
+    stack[stack.length - 1].children.push(node);
+    stack.push(node);
+  });
+
+  return root.children;
+}
+
+/**
+ * Split the document's lines into flat sections at each heading. Text
+ * before the first heading goes into an "Introduction" section. Headings
+ * without a `lineIndex` start at the top of their page.
+ */
+function buildSections(pages, headings) {
+  const headingAt = new Map(
+    headings.map((heading) => [
+      `${heading.pageNumber}:${heading.lineIndex}`,
+      heading,
+    ])
+  );
+
+  const sections = [];
+  let current = { title: "Introduction", content: [] };
+
+  const startSection = (heading) => {
+    if (current.content.length > 0) {
+      sections.push(current);
+    }
+    current = {
+      title: heading.title,
+      level: heading.level,
+      pageNumber: heading.pageNumber,
+      content: [],
+    };
+  };
+
+  for (const page of pages) {
+    headings
+      .filter(
+        (heading) =>
+          heading.pageNumber === page.pageNumber && heading.lineIndex === null
+      )
+      .forEach(startSection);
+
+    let headingEnd = -1;
+    (page.layout?.lines || []).forEach((line, lineIndex) => {
+      const heading = headingAt.get(`${page.pageNumber}:${lineIndex}`);
+      if (heading) {
+        headingEnd = heading.lastLineIndex;
+        startSection(heading);
+      } else if (
+        lineIndex > headingEnd &&
+        !line.boilerplate &&
+        line.text.trim()
+      ) {
+        current.content.push(line.text.trim());
+      }
+    });
+  }
+
+  if (current.content.length > 0) {
+    sections.push(current);
+  }
+
+  return sections;
+}
+
+module.exports = {
+  parseNumbering,
+  isHeadingText,
+  detectHeadings,
+  buildOutline,
+  buildSections,
+};
@@ -0,0 +1,274 @@
+/**
+ * Builds positional layout (words, lines and blocks) from pdf.js text
+ * content. Coordinates are in PDF points with the origin at the top-left of
+ * the displayed page, so they can be used directly for highlighting.
+ */
+
+// Share of the font size that sits above the baseline when pdf.js does not
+// report an ascent for the font
+const DEFAULT_ASCENT = 0.8;
+
+// Horizontal gap, in multiples of the font size, that splits words on the
+// same baseline into separate lines (column gutters, table cells)
+const LINE_GAP_RATIO = 1.5;
+
+// Vertical gap, in multiples of the line height, that starts a new block
+const BLOCK_GAP_RATIO = 0.8;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Smallest box containing all the given boxes
+ */
+function unionBoxes(boxes) {
+  const left = Math.min(...boxes.map((box) => box.x));
+  const top = Math.min(...boxes.map((box) => box.y));
+  const right = Math.max(...boxes.map((box) => box.x + box.width));
+  const bottom = Math.max(...boxes.map((box) => box.y + box.height));
+
+  return {
+    x: round(left),
+    y: round(top),
+    width: round(right - left),
+    height: round(bottom - top),
+  };
+}
+
+/**
+ * Most common value, weighted by how much text uses it
+ */
+function dominant(entries) {
+  const weights = new Map();
+  for (const { value, weight } of entries) {
+    weights.set(value, (weights.get(value) || 0) + weight);
+  }
+
+  let best = null;
+  let bestWeight = -1;
+  for (const [value, weight] of weights) {
+    if (weight > bestWeight) {
+      best = value;
+      bestWeight = weight;
+    }
+  }
+  return best;
+}
+
+/**
+ * Split each text item into words with estimated boxes. pdf.js only gives
+ * the width of a whole item, so word positions assume evenly wide glyphs.
+ */
+function itemsToWords(items, styles, viewport, Util) {
+  const words = [];
+
+  for (const item of items) {
+    if (!item.str || !item.str.trim()) {
+      continue;
+    }
+
+    const transform = Util.transform(viewport.transform, item.transform);
+    const fontSize = Math.hypot(transform[2], transform[3]);
+    const style = styles[item.fontName] || {};
+    const ascent =
+      style.ascent && style.ascent > 0 && style.ascent < 1.5
+        ? style.ascent
+        : DEFAULT_ASCENT;
+    const baseline = transform[5];
+    const itemWidth = item.width * viewport.scale;
+    const charWidth = itemWidth / item.str.length;
+
+    const pattern = /\S+/g;
+    let match;
+    while ((match = pattern.exec(item.str)) !== null) {
+      words.push({
+        text: match[0],
+        bbox: {
+          x: round(transform[4] + match.index * charWidth),
+          y: round(baseline - fontSize * ascent),
+          width: round(match[0].length * charWidth),
+          height: round(fontSize),
+        },
+        baseline: round(baseline),
+        fontName: item.fontName,
+        fontSize: round(fontSize),
+      });
+    }
+  }
+
+  return words;
+}
+
+/**
+ * Group words sharing a baseline into lines, top to bottom and left to
+ * right. A wide horizontal gap starts a new line on the same baseline.
+ */
+function groupLines(words) {
+  const order = words
+    .map((word, index) => index)
+    .sort((a, b) => {
+      const wordA = words[a];
+      const wordB = words[b];
+      const tolerance = Math.min(wordA.fontSize, wordB.fontSize) * 0.5;
+      if (Math.abs(wordA.baseline - wordB.baseline) > tolerance) {
+        return wordA.baseline - wordB.baseline;
+      }
+      return wordA.bbox.x - wordB.bbox.x;
+    });
+
+  const lines = [];
+  let current = null;
+
+  for (const index of order) {
+    const word = words[index];
+    const previous = current && words[current.wordIndexes.at(-1)];
+    const sameBaseline =
+      previous &&
+      Math.abs(previous.baseline - word.baseline) <=
+        Math.min(previous.fontSize, word.fontSize) * 0.5;
+    const gap =
+      previous && word.bbox.x - (previous.bbox.x + previous.bbox.width);
+
+    if (
+      sameBaseline &&
+      gap <= Math.max(previous.fontSize, word.fontSize) * LINE_GAP_RATIO
+    ) {
+      current.wordIndexes.push(index);
+    } else {
+      current = { wordIndexes: [index] };
+      lines.push(current);
+    }
+  }
+
+  return lines.map(({ wordIndexes }) => {
+    const lineWords = wordIndexes.map((index) => words[index]);
+    return {
+      text: lineWords.map((word) => word.text).join(" "),
+      bbox: unionBoxes(lineWords.map((word) => word.bbox)),
+      baseline: lineWords[0].baseline,
+      fontName: dominant(
+        lineWords.map((word) => ({
+          value: word.fontName,
+          weight: word.text.length,
+        }))
+      ),
+      fontSize: dominant(
+        lineWords.map((word) => ({
+          value: word.fontSize,
+          weight: word.text.length,
+        }))
+      ),
+      wordIndexes,
+    };
+  });
+}
+
+/**
+ * Group consecutive lines into blocks (paragraphs). A line joins the block
+ * above it when it starts close below it and overlaps it horizontally.
+ */
+function groupBlocks(lines) {
+  const blocks = [];
+  let current = null;
+
+  lines.forEach((line, index) => {
+    const previous = current && lines[current.lineIndexes.at(-1)];
+    const verticalGap =
+      previous && line.bbox.y - (previous.bbox.y + previous.bbox.height);
+    const overlaps =
+      previous &&
+      line.bbox.x < previous.bbox.x + previous.bbox.width &&
+      previous.bbox.x < line.bbox.x + line.bbox.width;
+
+    if (
+      previous &&
+      overlaps &&
+      verticalGap >= -previous.bbox.height * 0.5 &&
+      verticalGap <=
+        Math.max(previous.fontSize, line.fontSize) * BLOCK_GAP_RATIO
+    ) {
+      current.lineIndexes.push(index);
+    } else {
+      current = { lineIndexes: [index] };
+      blocks.push(current);
+    }
+  });
+
+  return blocks.map(({ lineIndexes }) => {
+    const blockLines = lineIndexes.map((index) => lines[index]);
+    return {
+      text: blockLines.map((line) => line.text).join("\n"),
+      bbox: unionBoxes(blockLines.map((line) => line.bbox)),
+      lineIndexes,
+    };
+  });
+}
+
+/**
+ * Group positioned words ({ text, bbox, baseline, fontName, fontSize }) into
+ * lines and blocks, numbering words in reading order
+ */
+function layoutFromWords(words) {
+  const lines = groupLines(words);
+  const blocks = groupBlocks(lines);
+
+  // Number words in reading order so lines reference ascending indexes
+  const readingOrder = lines.flatMap((line) => line.wordIndexes);
+  const newIndex = new Map(
+    readingOrder.map((oldIndex, position) => [oldIndex, position])
+  );
+  lines.forEach((line) => {
+    line.wordIndexes = line.wordIndexes.map((index) => newIndex.get(index));
+  });
+
+  return {
+    words: readingOrder.map((index) => {
+      const { baseline, ...word } = words[index];
+      return word;
+    }),
+    lines: lines.map(({ baseline, ...line }) => line),
+    blocks,
+    tables: [],
+  };
+}
+
+/**
+ * Put a layout's lines in the given order (line indexes), regrouping
+ * blocks and renumbering words to follow the new reading order
+ */
+function reorderLines(layout, order) {
+  const lines = order.map((index) => layout.lines[index]);
+  const words = lines.flatMap((line) =>
+    line.wordIndexes.map((index) => layout.words[index])
+  );
+
+  let nextWord = 0;
+  const renumbered = lines.map((line) => ({
+    ...line,
+    wordIndexes: line.wordIndexes.map(() => nextWord++),
+  }));
+
+  return {
+    ...layout,
+    words,
+    lines: renumbered,
+    blocks: groupBlocks(renumbered),
+  };
+}
+
+/**
+ * Build the layout of a page from its pdf.js text content and viewport
+ */
+function extractLayout(textContent, viewport, Util) {
+  return layoutFromWords(
+    itemsToWords(textContent.items, textContent.styles || {}, viewport, Util)
+  );
+}
+
+module.exports = {
+  extractLayout,
+  layoutFromWords,
+  reorderLines,
+  unionBoxes,
+};
@@ -0,0 +1,103 @@
+/**
+ * Normalizes document metadata (the PDF Info dictionary, with XMP as a
+ * fallback) into a fixed set of fields with ISO 8601 dates.
+ */
+
+// "D:20240131093000+01'00'"; everything after the year is optional
+const PDF_DATE =
+  /^D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?\s*(Z|[+-]\d{2}'?\d{2}?'?)?/;
+
+function clean(value) {
+  if (typeof value !== "string") {
+    return null;
+  }
+  const trimmed = value.replace(/\s+/g, " ").trim();
+  return trimmed || null;
+}
+
+/**
+ * Parse a PDF date string, or an ISO date as used by XMP, to ISO 8601.
+ * Returns null when the value is missing or not a date.
+ */
+function parsePdfDate(value) {
+  const text = clean(value);
+  if (!text) {
+    return null;
+  }
+
+  const match = text.match(PDF_DATE);
+  if (!match) {
+    const parsed = new Date(text);
+    return /^\d{4}-\d{2}/.test(text) && !isNaN(parsed)
+      ? parsed.toISOString()
+      : null;
+  }
+
+  const [, year, month = "01", day = "01", hour = "00", minute = "00"] = match;
+  const second = match[6] || "00";
+  let zone = "Z";
+  if (match[7] && match[7] !== "Z") {
+    const offset = match[7].replace(/'/g, "");
+    zone = `${offset.slice(0, 3)}:${offset.slice(3, 5).padEnd(2, "0")}`;
+  }
+
+  const parsed = new Date(
+    `${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`
+  );
+  return isNaN(parsed) ? null : parsed.toISOString();
+}
+
+/**
+ * Split a keywords string on commas or semicolons
+ */
+function parseKeywords(value) {
+  const text = clean(value);
+  if (!text) {
+    return [];
+  }
+  return [
+    ...new Set(
+      text
+        .split(/[,;]/)
+        .map((keyword) => keyword.trim())
+        .filter(Boolean)
+    ),
+  ];
+}
+
+/**
+ * Read an XMP property, or null when the document has no XMP
+ */
+function xmpValue(xmp, name) {
+  try {
+    return xmp && typeof xmp.get === "function" ? clean(xmp.get(name)) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Normalize a document's Info dictionary (and XMP metadata, if any) to
+ * { title, author, subject, keywords, creator, producer, createdAt,
+ * modifiedAt }. Missing fields are null; keywords is always an array.
+ */
+function normalizeMetadata(info = {}, xmp = null) {
+  const field = (infoKey, xmpName) =>
+    clean(info?.[infoKey]) || xmpValue(xmp, xmpName);
+
+  return {
+    title: field("Title", "dc:title"),
+    author: field("Author", "dc:creator"),
+    subject: field("Subject", "dc:description"),
+    keywords: parseKeywords(field("Keywords", "pdf:keywords")),
+    creator: field("Creator", "xmp:creatortool"),
+    producer: field("Producer", "pdf:producer"),
+    createdAt: parsePdfDate(field("CreationDate", "xmp:createdate")),
+    modifiedAt: parsePdfDate(field("ModDate", "xmp:modifydate")),
+  };
+}
+
+module.exports = {
+  parsePdfDate,
+  normalizeMetadata,
+};
@@ -0,0 +1,247 @@
+const path = require("path");
+const dotenv = require("dotenv");
+const { layoutFromWords } = require("./layoutExtractor");
+const { orderColumns } = require("./columnDetector");
+const { extractTables } = require("./tableExtractor");
+
+dotenv.config();
+
+const config = {
+  enabled: process.env.OCR_ENABLED !== "false",
+  // Pages with fewer non-whitespace characters than this are OCR'd
+  minTextChars: parseInt(process.env.OCR_MIN_TEXT_CHARS) || 20,
+  language: process.env.OCR_LANGUAGE || "eng",
+  // Render resolution; 72 dpi is one pixel per point
+  dpi: parseInt(process.env.OCR_DPI) || 200,
+};
+
+/**
+ * Whether a page has too little extractable text and should be OCR'd
+ */
+function needsOcr(page) {
+  return (
+    config.enabled &&
+    (page.text || "").replace(/\s/g, "").length < config.minTextChars
+  );
+}
+
+/**
+ * Load the canvas, renderer and OCR engine lazily so documents with a text
+ * layer never pay for them. Returns null when they are not available.
+ */
+async function loadEngines() {
+  try {
+    const canvas = require("@napi-rs/canvas");
+    // pdf.js draws glyph outlines with these browser classes
+    globalThis.DOMMatrix = globalThis.DOMMatrix || canvas.DOMMatrix;
+    globalThis.Path2D = globalThis.Path2D || canvas.Path2D;
+
+    const pdfjs = await import("pdfjs-dist/legacy/build/pdf.mjs");
+    const Tesseract = require("tesseract.js");
+    return { createCanvas: canvas.createCanvas, pdfjs, Tesseract };
+  } catch (error) {
+    console.warn("⚠️ OCR unavailable:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Canvas factory class pdf.js uses for intermediate canvases while
+ * rendering
+ */
+function createCanvasFactory(createCanvas) {
+  return class CanvasFactory {
+    create(width, height) {
+      const canvas = createCanvas(width, height);
+      return { canvas, context: canvas.getContext("2d") };
+    }
+
+    reset(canvasAndContext, width, height) {
+      canvasAndContext.canvas.width = width;
+      canvasAndContext.canvas.height = height;
+    }
+
+    destroy(canvasAndContext) {
+      canvasAndContext.canvas.width = 0;
+      canvasAndContext.canvas.height = 0;
+      canvasAndContext.canvas = null;
+      canvasAndContext.context = null;
+    }
+  };
+}
+
+/**
+ * Open a PDF for rendering. The pdf.js build bundled with pdf-parse cannot
+ * draw fonts that are not embedded under Node, so pages are rendered with
+ * pdfjs-dist, which substitutes its standard fonts for them.
+ */
+async function openRenderDocument(fileBuffer, engines, options = {}) {
+  const standardFonts = path.join(
+    path.dirname(require.resolve("pdfjs-dist/package.json")),
+    "standard_fonts"
+  );
+
+  return await engines.pdfjs.getDocument({
+    data: new Uint8Array(fileBuffer),
+    password: options.password || undefined,
+    standardFontDataUrl: standardFonts + path.sep,
+    CanvasFactory: createCanvasFactory(engines.createCanvas),
+    verbosity: engines.pdfjs.VerbosityLevel.ERRORS,
+  }).promise;
+}
+
+/**
+ * Create a Tesseract worker. English traineddata ships with the
+ * @tesseract.js-data/eng package; other languages are fetched by
+ * tesseract.js on first use.
+ */
+async function createWorker(Tesseract) {
+  const options = {
+    cacheMethod: "none",
+    // Failures already reject the pending call; without a handler
+    // tesseract.js also rethrows them outside any promise
+    errorHandler: () => {},
+  };
+
+  if (config.language === "eng") {
+    const eng = require("@tesseract.js-data/eng");
+    options.langPath = eng.langPath;
+    options.gzip = eng.gzip;
+  }
+
+  return Tesseract.createWorker(config.language, 1, options);
+}
+
+/**
+ * Convert Tesseract words (pixel boxes) into layout words in points
+ */
+function toLayoutWords(ocrWords, scale) {
+  return ocrWords
+    .filter((word) => word.text && word.text.trim())
+    .map((word) => {
+      const { x0, y0, x1, y1 } = word.bbox;
+      const baseline = word.baseline?.has_baseline ? word.baseline.y0 : y1;
+
+      return {
+        text: word.text.trim(),
+        bbox: {
+          x: x0 / scale,
+          y: y0 / scale,
+          width: (x1 - x0) / scale,
+          height: (y1 - y0) / scale,
+        },
+        baseline: baseline / scale,
+        fontName: "ocr",
+        fontSize: Math.round(((y1 - y0) / scale) * 2) / 2,
+        confidence: Math.round(word.confidence) / 100,
+      };
+    });
+}
+
+/**
+ * Render a page and recognise its text
+ */
+async function recognizePage(page, worker, createCanvas) {
+  const scale = config.dpi / 72;
+  const viewport = page.getViewport({ scale });
+  const canvas = createCanvas(
+    Math.ceil(viewport.width),
+    Math.ceil(viewport.height)
+  );
+  const context = canvas.getContext("2d");
+
+  // Scans are drawn over a white background
+  context.fillStyle = "#ffffff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+
+  await page.render({ canvasContext: context, viewport }).promise;
+
+  const { data } = await worker.recognize(canvas.toBuffer("image/png"));
+  const words = toLayoutWords(data.words || [], scale);
+  const wordLayout = layoutFromWords(words);
+  // Rulings are part of the image, so only aligned tables are found
+  wordLayout.tables = extractTables(wordLayout, {
+    horizontal: [],
+    vertical: [],
+  }).map((table) => ({ pageNumber: page.pageNumber, ...table }));
+  const { layout, columns } = orderColumns(wordLayout);
+
+  return {
+    text: layout.lines.map((line) => line.text).join("\n"),
+    confidence: Math.round(data.confidence) / 100,
+    layout,
+    columns,
+  };
+}
+
+/**
+ * OCR the pages that have too little extractable text. `pages` are the
+ * pages already read from the PDF in `fileBuffer`; OCR'd pages are updated
+ * in place with `source: "ocr"` and `ocrConfidence` (0-1). Pass the PDF's
+ * `options.password` if it is encrypted.
+ */
+async function applyOcr(fileBuffer, pages, options = {}) {
+  const targets = pages.filter(needsOcr);
+  if (targets.length === 0) {
+    return 0;
+  }
+
+  const engines = await loadEngines();
+  if (!engines) {
+    return 0;
+  }
+
+  console.log(`🔎 Running OCR on ${targets.length} page(s)...`);
+  let worker;
+  try {
+    worker = await createWorker(engines.Tesseract);
+  } catch (error) {
+    // e.g. traineddata for OCR_LANGUAGE could not be loaded; keep the
+    // text layer
+    console.warn("⚠️ OCR unavailable:", error.message || error);
+    return 0;
+  }
+  let recognized = 0;
+  let doc = null;
+
+  try {
+    doc = await openRenderDocument(fileBuffer, engines, options);
+
+    for (const target of targets) {
+      try {
+        const page = await doc.getPage(target.pageNumber);
+        const result = await recognizePage(page, worker, engines.createCanvas);
+
+        // Keep the text layer when OCR finds nothing better
+        if (result.text.trim().length > target.text.trim().length) {
+          target.text = result.text;
+          target.layout = result.layout;
+          target.columns = result.columns;
+          target.source = "ocr";
+          target.ocrConfidence = result.confidence;
+          recognized++;
+        }
+      } catch (error) {
+        console.warn(
+          `⚠️ OCR failed for page ${target.pageNumber}:`,
+          error.message
+        );
+      }
+    }
+  } catch (error) {
+    console.warn("⚠️ OCR unavailable:", error.message);
+  } finally {
+    if (doc) {
+      await doc.destroy();
+    }
+    await worker.terminate();
+  }
+
+  console.log(`✅ OCR recognized text on ${recognized} page(s)`);
+  return recognized;
+}
+
+module.exports = {
+  needsOcr,
+  applyOcr,
+};
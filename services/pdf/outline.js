@@ -0,0 +1,107 @@
+/**
+ * Reads a PDF's embedded outline (bookmarks) and maps it onto the page
+ * layout so it can drive the section structure.
+ */
+
+/**
+ * Resolve an outline destination to a 1-based page number, or null when it
+ * points outside the document (URLs, remote or broken destinations)
+ */
+async function resolvePageNumber(doc, dest) {
+  try {
+    const explicitDest =
+      typeof dest === "string" ? await doc.getDestination(dest) : dest;
+    if (!Array.isArray(explicitDest) || explicitDest.length === 0) {
+      return null;
+    }
+
+    const [target] = explicitDest;
+    if (Number.isInteger(target)) {
+      return target + 1;
+    }
+    if (target && typeof target === "object") {
+      return (await doc.getPageIndex(target)) + 1;
+    }
+    return null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read the bookmark tree as [{ title, pageNumber, children }]. Bookmarks
+ * without a page inherit the page of their first child that has one.
+ */
+async function readOutline(doc) {
+  const outline = await doc.getOutline().catch(() => null);
+  if (!outline) {
+    return [];
+  }
+
+  const convert = async (items) => {
+    const nodes = [];
+    for (const item of items) {
+      const title = (item.title || "").replace(/\s+/g, " ").trim();
+      const children = await convert(item.items || []);
+      let pageNumber = item.dest
+        ? await resolvePageNumber(doc, item.dest)
+        : null;
+      if (pageNumber === null && children.length > 0) {
+        pageNumber = children[0].pageNumber;
+      }
+
+      if (title && pageNumber !== null) {
+        nodes.push({ title, pageNumber, children });
+      } else {
+        // Keep reachable children of unusable bookmarks
+        nodes.push(...children);
+      }
+    }
+    return nodes;
+  };
+
+  return convert(outline);
+}
+
+/**
+ * Flatten bookmarks into headings in document order, locating each title
+ * among the lines of its page. Bookmarks whose title is not found on the
+ * page start at the top of the page.
+ */
+function bookmarksToHeadings(bookmarks, pages) {
+  const compact = (text) => text.replace(/\s+/g, "").toLowerCase();
+  const pagesByNumber = new Map(pages.map((page) => [page.pageNumber, page]));
+  const headings = [];
+
+  const visit = (nodes, level) => {
+    for (const node of nodes) {
+      const lines = pagesByNumber.get(node.pageNumber)?.layout?.lines || [];
+      const title = compact(node.title);
+      const lineIndex = lines.findIndex(
+        (line) => title && !line.boilerplate && compact(line.text) === title
+      );
+      const firstContentLine = lines.findIndex((line) => !line.boilerplate);
+
+      headings.push({
+        title: node.title,
+        numbering: null,
+        level,
+        pageNumber: node.pageNumber,
+        lineIndex: lineIndex >= 0 ? lineIndex : null,
+        lastLineIndex: lineIndex >= 0 ? lineIndex : null,
+        firstOnPage: lineIndex < 0 || lineIndex === firstContentLine,
+      });
+
+      visit(node.children, level + 1);
+    }
+  };
+
+  visit(bookmarks, 1);
+  return headings;
+}
+
+module.exports = {
+  resolvePageNumber,
+  readOutline,
+  bookmarksToHeadings,
+};
@@ -0,0 +1,184 @@
+// pdf.js build bundled with pdf-parse; used directly so text, page size and
+// document-level data can be read page by page
+const PDFJS = require("pdf-parse/lib/pdf.js/v2.0.550/build/pdf.js");
+const { AppError } = require("../../utils/errors");
+const { extractLayout } = require("./layoutExtractor");
+const { orderColumns } = require("./columnDetector");
+const { readOutline } = require("./outline");
+const { extractRulings, extractTables } = require("./tableExtractor");
+const { readAnnotations } = require("./annotations");
+const { applyOcr } = require("./ocr");
+
+// pdf.js PasswordResponses
+const NEED_PASSWORD = 1;
+const INCORRECT_PASSWORD = 2;
+
+/**
+ * Open a PDF from a buffer. Encrypted documents need `options.password`;
+ * a missing or wrong password throws an AppError with code
+ * PDF_PASSWORD_REQUIRED or PDF_PASSWORD_INCORRECT.
+ */
+async function openDocument(fileBuffer, options = {}) {
+  try {
+    return await PDFJS.getDocument({
+      data: new Uint8Array(fileBuffer),
+      password: options.password || undefined,
+    });
+  } catch (error) {
+    if (error.name === "PasswordException") {
+      if (error.code === INCORRECT_PASSWORD) {
+        throw new AppError(
+          "The password for this PDF is incorrect",
+          "PDF_PASSWORD_INCORRECT"
+        );
+      }
+      if (error.code === NEED_PASSWORD) {
+        throw new AppError(
+          "This PDF is password protected; provide its password",
+          "PDF_PASSWORD_REQUIRED"
+        );
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * Join a page's text items into lines, breaking wherever the baseline moves
+ * (the same rule pdf-parse uses for its combined text)
+ */
+function itemsToText(items) {
+  let lastY = null;
+  let text = "";
+
+  for (const item of items) {
+    const y = item.transform[5];
+    if (lastY === null || lastY === y) {
+      text += item.str;
+    } else {
+      text += "\n" + item.str;
+    }
+    lastY = y;
+  }
+
+  return text;
+}
+
+/**
+ * Ruling lines drawn on a page; a page whose drawing operators cannot be
+ * read is treated as having none
+ */
+async function readRulings(page, viewport) {
+  try {
+    const operatorList = await page.getOperatorList();
+    return extractRulings(operatorList, viewport, PDFJS);
+  } catch (error) {
+    return { horizontal: [], vertical: [] };
+  }
+}
+
+/**
+ * Read one page: its text, positional layout (including tables) in reading
+ * order, column count, links, annotations and displayed size in points.
+ * The viewport already accounts for the page's rotation. `doc` resolves
+ * links to other pages.
+ */
+async function readPage(page, doc = null) {
+  const viewport = page.getViewport(1);
+  const textContent = await page.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false,
+  });
+
+  const pageLayout = extractLayout(textContent, viewport, PDFJS.Util);
+  const rulings = await readRulings(page, viewport);
+  pageLayout.tables = extractTables(pageLayout, rulings).map((table) => ({
+    pageNumber: page.pageNumber,
+    ...table,
+  }));
+  const { layout, columns } = orderColumns(pageLayout);
+  const { links, annotations } = await readAnnotations(
+    page,
+    viewport,
+    layout,
+    doc
+  );
+
+  return {
+    pageNumber: page.pageNumber,
+    // Text items come in content stream order, which interleaves the
+    // lines of side-by-side columns
+    text:
+      columns > 1
+        ? layout.lines.map((line) => line.text).join("\n")
+        : itemsToText(textContent.items),
+    width: viewport.width,
+    height: viewport.height,
+    rotation: page.rotate || 0,
+    layout,
+    columns,
+    links,
+    annotations,
+    source: "text",
+    ocrConfidence: null,
+  };
+}
+
+/**
+ * Read every page of a document and its bookmarks, running OCR on pages
+ * without a usable text layer. A page that fails to parse is kept as an
+ * empty page so page numbers stay aligned with the PDF.
+ */
+async function readDocument(fileBuffer, options = {}) {
+  const doc = await openDocument(fileBuffer, options);
+
+  try {
+    const metadata = await doc.getMetadata().catch(() => null);
+    const outline = await readOutline(doc);
+    const pages = [];
+
+    for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+      try {
+        const page = await doc.getPage(pageNumber);
+        pages.push(await readPage(page, doc));
+      } catch (error) {
+        console.warn(`⚠️ Failed to read page ${pageNumber}:`, error.message);
+        pages.push({
+          pageNumber,
+          text: "",
+          width: null,
+          height: null,
+          rotation: 0,
+          layout: { words: [], lines: [], blocks: [], tables: [] },
+          columns: 0,
+          links: [],
+          annotations: [],
+          source: "text",
+          ocrConfidence: null,
+        });
+      }
+    }
+
+    // Scanned pages have no text layer; recognise them from their image
+    const ocrPages = await applyOcr(fileBuffer, pages, options);
+
+    return {
+      numPages: doc.numPages,
+      info: metadata ? metadata.info : null,
+      xmp: metadata ? metadata.metadata : null,
+      outline,
+      ocrPages,
+      pages,
+    };
+  } finally {
+    doc.destroy();
+  }
+}
+
+module.exports = {
+  PDFJS,
+  openDocument,
+  readPage,
+  readDocument,
+  itemsToText,
+};
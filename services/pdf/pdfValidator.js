@@ -0,0 +1,212 @@
+/**
+ * Upload checks for PDFs: the file must start with a PDF header, end with a
+ * trailer and open in pdf.js, stay within the page limit, and carry no
+ * active content (JavaScript, launch actions, embedded files) unless the
+ * policy only flags it.
+ */
+
+const zlib = require("zlib");
+const dotenv = require("dotenv");
+const { AppError } = require("../../utils/errors");
+const { openDocument } = require("./pdfDocument");
+
+dotenv.config();
+
+const MAX_PAGES = parseInt(process.env.PDF_MAX_PAGES) || 500;
+
+// "reject" refuses PDFs with active content, "flag" accepts and reports it
+const ACTIVE_CONTENT_POLICY = process.env.PDF_ACTIVE_CONTENT || "reject";
+
+// The header must open the file, after at most a byte order mark and
+// whitespace; text that merely mentions "%PDF-" is not a PDF
+const PDF_HEADER = /^(?:\xEF\xBB\xBF)?\s*%PDF-\d\.\d/;
+const HEADER_SEARCH_BYTES = 64;
+const TRAILER_SEARCH_BYTES = 1024;
+
+const ACTIVE_CONTENT = [
+  {
+    type: "javascript",
+    code: "PDF_CONTAINS_JAVASCRIPT",
+    message: "This PDF contains JavaScript",
+    pattern: /\/(?:JavaScript|JS)\b/,
+  },
+  {
+    type: "launchAction",
+    code: "PDF_CONTAINS_LAUNCH_ACTION",
+    message: "This PDF contains an action that launches an application",
+    pattern: /\/Launch\b/,
+  },
+  {
+    type: "embeddedFiles",
+    code: "PDF_CONTAINS_EMBEDDED_FILES",
+    message: "This PDF contains embedded files",
+    pattern: /\/(?:EmbeddedFiles?|FileAttachment)\b/,
+  },
+];
+
+/**
+ * Whether a buffer starts with a PDF header ("%PDF-1.7"), allowing a
+ * leading byte order mark and whitespace
+ */
+function hasPdfHeader(buffer) {
+  return PDF_HEADER.test(
+    buffer.subarray(0, HEADER_SEARCH_BYTES).toString("latin1")
+  );
+}
+
+/**
+ * Reject files whose trailer is missing, usually truncated uploads
+ */
+function checkStructure(buffer) {
+  const tail = buffer
+    .subarray(Math.max(0, buffer.length - TRAILER_SEARCH_BYTES))
+    .toString("latin1");
+
+  if (!tail.includes("%%EOF") || !tail.includes("startxref")) {
+    throw new AppError(
+      "The PDF is truncated or malformed: its trailer is missing",
+      "PDF_MALFORMED"
+    );
+  }
+}
+
+/**
+ * Raw PDF syntax to scan for active content: the file itself plus the
+ * inflated contents of object streams, where PDF 1.5+ keeps dictionaries.
+ * Name escapes such as "/J#61vaScript" are decoded.
+ */
+function syntaxToScan(buffer) {
+  const raw = buffer.toString("latin1");
+  const parts = [raw];
+
+  const streamStart = /\bstream\r?\n/g;
+  let match;
+  while ((match = streamStart.exec(raw)) !== null) {
+    const dictionary = raw.slice(
+      raw.lastIndexOf(" obj", match.index),
+      match.index
+    );
+    if (
+      !/\/Type\s*\/ObjStm/.test(dictionary) ||
+      !/\/FlateDecode/.test(dictionary)
+    ) {
+      continue;
+    }
+
+    const start = match.index + match[0].length;
+    const end = raw.indexOf("endstream", start);
+    try {
+      parts.push(
+        zlib
+          .inflateSync(buffer.subarray(start, end < 0 ? undefined : end), {
+            finishFlush: zlib.constants.Z_SYNC_FLUSH,
+          })
+          .toString("latin1")
+      );
+    } catch (error) {
+      // Unreadable streams are left to pdf.js
+    }
+  }
+
+  return parts
+    .join("\n")
+    .replace(/\/[^\s/<>[\]()]*#[0-9a-f]{2}[^\s/<>[\]()]*/gi, (name) =>
+      name.replace(/#([0-9a-f]{2})/gi, (escape, hex) =>
+        String.fromCharCode(parseInt(hex, 16))
+      )
+    );
+}
+
+/**
+ * Active content types found in a PDF, from its raw syntax and from what
+ * pdf.js resolves (which also covers encrypted documents)
+ */
+async function findActiveContent(buffer, doc) {
+  const syntax = syntaxToScan(buffer);
+  const found = new Set(
+    ACTIVE_CONTENT.filter(({ pattern }) => pattern.test(syntax)).map(
+      ({ type }) => type
+    )
+  );
+
+  const [javascript, attachments] = await Promise.all([
+    doc.getJavaScript().catch(() => null),
+    doc.getAttachments().catch(() => null),
+  ]);
+  if (javascript && javascript.length > 0) {
+    found.add("javascript");
+  }
+  if (attachments && Object.keys(attachments).length > 0) {
+    found.add("embeddedFiles");
+  }
+
+  return ACTIVE_CONTENT.filter(({ type }) => found.has(type));
+}
+
+/**
+ * Validate an uploaded PDF. Throws an AppError with a specific code for
+ * the first problem found. Returns the page count and, when the policy is
+ * "flag", the active content types found.
+ */
+async function validatePdf(buffer, options = {}) {
+  const {
+    password = null,
+    maxPages = MAX_PAGES,
+    activeContentPolicy = ACTIVE_CONTENT_POLICY,
+  } = options;
+
+  if (!hasPdfHeader(buffer)) {
+    throw new AppError(
+      "The file does not start with a PDF header",
+      "PDF_INVALID_HEADER",
+      415
+    );
+  }
+
+  checkStructure(buffer);
+
+  let doc;
+  try {
+    doc = await openDocument(buffer, { password });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError(
+      `The PDF could not be read: ${error.message}`,
+      "PDF_MALFORMED"
+    );
+  }
+
+  try {
+    if (doc.numPages < 1) {
+      throw new AppError("The PDF has no pages", "PDF_MALFORMED");
+    }
+
+    if (doc.numPages > maxPages) {
+      throw new AppError(
+        `The PDF has ${doc.numPages} pages; the limit is ${maxPages}`,
+        "PDF_TOO_MANY_PAGES",
+        413
+      );
+    }
+
+    const activeContent = await findActiveContent(buffer, doc);
+    if (activeContent.length > 0 && activeContentPolicy !== "flag") {
+      const [first] = activeContent;
+      throw new AppError(first.message, first.code, 422);
+    }
+
+    return {
+      numPages: doc.numPages,
+      activeContent: activeContent.map(({ type }) => type),
+    };
+  } finally {
+    doc.destroy();
+  }
+}
+
+module.exports = {
+  hasPdfHeader,
+  validatePdf,
+};
@@ -0,0 +1,507 @@
+/**
+ * Detects tables on a page from ruling lines (drawn borders) and from
+ * column alignment of positioned text, and returns them as header + rows.
+ */
+
+// Distance in points within which ruling lines touch or coincide
+const RULING_TOLERANCE = 3;
+
+// Ruling segments shorter than this are ignored (underlines, tick marks)
+const MIN_RULING_LENGTH = 10;
+
+// Table cells are short; rows of long text side by side are prose columns
+const MAX_WORDS_PER_CELL = 6;
+
+// Cells a spreadsheet would read as a formula, and plain numbers such as
+// "-250.00" that only look like one
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?\d[\d,]*(\.\d+)?%?$/;
+
+const PAINT_OPS = [
+  "stroke",
+  "closeStroke",
+  "fill",
+  "eoFill",
+  "fillStroke",
+  "eoFillStroke",
+  "closeFillStroke",
+  "closeEOFillStroke",
+];
+
+/**
+ * Collect horizontal and vertical ruling segments drawn on a page, in
+ * viewport coordinates (points from the top-left corner)
+ */
+function extractRulings(operatorList, viewport, PDFJS) {
+  const { OPS, Util } = PDFJS;
+  const paintOps = new Set(PAINT_OPS.map((name) => OPS[name]));
+  const strokeOps = new Set(
+    ["stroke", "closeStroke", "fillStroke", "eoFillStroke"].map(
+      (name) => OPS[name]
+    )
+  );
+
+  const segments = [];
+  const stack = [];
+  let ctm = [1, 0, 0, 1, 0, 0];
+  let path = [];
+
+  const toViewport = (x, y) =>
+    Util.applyTransform([x, y], Util.transform(viewport.transform, ctm));
+
+  operatorList.fnArray.forEach((fn, index) => {
+    const args = operatorList.argsArray[index];
+
+    if (fn === OPS.save) {
+      stack.push(ctm);
+    } else if (fn === OPS.restore) {
+      ctm = stack.pop() || [1, 0, 0, 1, 0, 0];
+    } else if (fn === OPS.transform) {
+      ctm = Util.transform(ctm, args);
+    } else if (fn === OPS.constructPath) {
+      const [ops, coords] = args;
+      let c = 0;
+      let current = null;
+
+      for (const op of ops) {
+        if (op === OPS.moveTo) {
+          current = toViewport(coords[c], coords[c + 1]);
+          c += 2;
+        } else if (op === OPS.lineTo) {
+          const next = toViewport(coords[c], coords[c + 1]);
+          if (current) {
+            path.push({ from: current, to: next, thin: true });
+          }
+          current = next;
+          c += 2;
+        } else if (op === OPS.rectangle) {
+          const [x, y, width, height] = coords.slice(c, c + 4);
+          const corners = [
+            toViewport(x, y),
+            toViewport(x + width, y),
+            toViewport(x + width, y + height),
+            toViewport(x, y + height),
+          ];
+          const thin = Math.min(Math.abs(width), Math.abs(height)) < 2;
+          corners.forEach((corner, cornerIndex) => {
+            path.push({
+              from: corner,
+              to: corners[(cornerIndex + 1) % 4],
+              thin,
+            });
+          });
+          c += 4;
+        } else if (op === OPS.curveTo) {
+          c += 6;
+        } else if (op === OPS.curveTo2 || op === OPS.curveTo3) {
+          c += 4;
+        }
+      }
+    } else if (paintOps.has(fn)) {
+      // Filled shapes only count as rulings when drawn as thin bars
+      const stroked = strokeOps.has(fn);
+      path
+        .filter((edge) => stroked || edge.thin)
+        .forEach((edge) => segments.push(edge));
+      path = [];
+    } else if (fn === OPS.endPath) {
+      path = [];
+    }
+  });
+
+  const horizontal = [];
+  const vertical = [];
+
+  for (const { from, to } of segments) {
+    const [x1, y1] = from;
+    const [x2, y2] = to;
+    if (Math.abs(y1 - y2) < 1 && Math.abs(x1 - x2) >= MIN_RULING_LENGTH) {
+      horizontal.push({
+        x1: Math.min(x1, x2),
+        x2: Math.max(x1, x2),
+        y: (y1 + y2) / 2,
+      });
+    } else if (
+      Math.abs(x1 - x2) < 1 &&
+      Math.abs(y1 - y2) >= MIN_RULING_LENGTH
+    ) {
+      vertical.push({
+        y1: Math.min(y1, y2),
+        y2: Math.max(y1, y2),
+        x: (x1 + x2) / 2,
+      });
+    }
+  }
+
+  return { horizontal, vertical };
+}
+
+/**
+ * Group touching ruling lines into table regions
+ */
+function findRuledRegions({ horizontal, vertical }) {
+  const lines = [
+    ...horizontal.map((line) => ({
+      type: "h",
+      x1: line.x1,
+      x2: line.x2,
+      y1: line.y,
+      y2: line.y,
+    })),
+    ...vertical.map((line) => ({
+      type: "v",
+      x1: line.x,
+      x2: line.x,
+      y1: line.y1,
+      y2: line.y2,
+    })),
+  ];
+
+  const touches = (a, b) =>
+    a.x1 <= b.x2 + RULING_TOLERANCE &&
+    b.x1 <= a.x2 + RULING_TOLERANCE &&
+    a.y1 <= b.y2 + RULING_TOLERANCE &&
+    b.y1 <= a.y2 + RULING_TOLERANCE;
+
+  // Connected components of touching lines
+  const regionOf = lines.map(() => -1);
+  const regions = [];
+  lines.forEach((line, start) => {
+    if (regionOf[start] !== -1) {
+      return;
+    }
+    const members = [start];
+    regionOf[start] = regions.length;
+    for (let i = 0; i < members.length; i++) {
+      lines.forEach((other, otherIndex) => {
+        if (regionOf[otherIndex] === -1 && touches(lines[members[i]], other)) {
+          regionOf[otherIndex] = regions.length;
+          members.push(otherIndex);
+        }
+      });
+    }
+    regions.push(members.map((index) => lines[index]));
+  });
+
+  return regions
+    .map((members) => {
+      const rows = members.filter((line) => line.type === "h");
+      const columns = members.filter((line) => line.type === "v");
+      return {
+        bbox: {
+          x: Math.min(...members.map((line) => line.x1)),
+          y: Math.min(...members.map((line) => line.y1)),
+          right: Math.max(...members.map((line) => line.x2)),
+          bottom: Math.max(...members.map((line) => line.y2)),
+        },
+        horizontalYs: clusterPositions(rows.map((line) => line.y1)),
+        verticalXs: clusterPositions(columns.map((line) => line.x1)),
+      };
+    })
+    .filter(
+      (region) =>
+        region.horizontalYs.length >= 2 &&
+        (region.verticalXs.length >= 2 || region.horizontalYs.length >= 3)
+    );
+}
+
+/**
+ * Merge positions closer than the ruling tolerance, sorted ascending
+ */
+function clusterPositions(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const clusters = [];
+  for (const value of sorted) {
+    const last = clusters[clusters.length - 1];
+    if (last && value - last.max <= RULING_TOLERANCE) {
+      last.max = value;
+      last.values.push(value);
+    } else {
+      clusters.push({ max: value, values: [value] });
+    }
+  }
+  return clusters.map(
+    ({ values: members }) =>
+      members.reduce((sum, value) => sum + value, 0) / members.length
+  );
+}
+
+function center(bbox) {
+  return { x: bbox.x + bbox.width / 2, y: bbox.y + bbox.height / 2 };
+}
+
+function inside(point, region) {
+  return (
+    point.x >= region.x - RULING_TOLERANCE &&
+    point.x <= region.right + RULING_TOLERANCE &&
+    point.y >= region.y - RULING_TOLERANCE &&
+    point.y <= region.bottom + RULING_TOLERANCE
+  );
+}
+
+/**
+ * Group boxes sharing a baseline into rows, top to bottom, each row
+ * sorted left to right
+ */
+function groupRows(items) {
+  const sorted = [...items].sort((a, b) => a.bbox.y - b.bbox.y);
+  const rows = [];
+
+  for (const item of sorted) {
+    const row = rows[rows.length - 1];
+    const itemCenter = center(item.bbox).y;
+    if (
+      row &&
+      Math.abs(row.centerY - itemCenter) <
+        Math.min(row.height, item.bbox.height) * 0.5
+    ) {
+      row.items.push(item);
+    } else {
+      rows.push({
+        centerY: itemCenter,
+        height: item.bbox.height,
+        items: [item],
+      });
+    }
+  }
+
+  rows.forEach((row) => row.items.sort((a, b) => a.bbox.x - b.bbox.x));
+  return rows;
+}
+
+/**
+ * Column bands from the horizontal extent of cells: cells that overlap
+ * horizontally across rows belong to the same column
+ */
+function columnBandsFromCells(cells) {
+  const intervals = cells
+    .map((cell) => [cell.bbox.x, cell.bbox.x + cell.bbox.width])
+    .sort((a, b) => a[0] - b[0]);
+
+  const bands = [];
+  for (const [start, end] of intervals) {
+    const last = bands[bands.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      bands.push([start, end]);
+    }
+  }
+  return bands;
+}
+
+/**
+ * Place words into a grid of row and column bands. Returns rows of cell
+ * strings, dropping rows that end up empty.
+ */
+function fillGrid(words, rowBands, columnBands) {
+  const findBand = (bands, value) => {
+    const exact = bands.findIndex(
+      ([start, end]) => value >= start && value <= end
+    );
+    if (exact >= 0) {
+      return exact;
+    }
+    // Nearest band for text that sits slightly outside
+    let nearest = -1;
+    let distance = Infinity;
+    bands.forEach(([start, end], index) => {
+      const gap = value < start ? start - value : value - end;
+      if (gap < distance) {
+        distance = gap;
+        nearest = index;
+      }
+    });
+    return nearest;
+  };
+
+  const grid = rowBands.map(() => columnBands.map(() => []));
+  for (const word of words) {
+    const { x, y } = center(word.bbox);
+    const row = findBand(rowBands, y);
+    const column = findBand(columnBands, x);
+    if (row >= 0 && column >= 0) {
+      grid[row][column].push(word.text);
+    }
+  }
+
+  return grid
+    .map((row) => row.map((cell) => cell.join(" ")))
+    .filter((row) => row.some((cell) => cell));
+}
+
+function rowBandsFromWords(words) {
+  return groupRows(words).map((row) => [
+    Math.min(...row.items.map((word) => word.bbox.y)),
+    Math.max(...row.items.map((word) => word.bbox.y + word.bbox.height)),
+  ]);
+}
+
+function boundsOf(items) {
+  const x = Math.min(...items.map((item) => item.bbox.x));
+  const y = Math.min(...items.map((item) => item.bbox.y));
+  const right = Math.max(...items.map((item) => item.bbox.x + item.bbox.width));
+  const bottom = Math.max(
+    ...items.map((item) => item.bbox.y + item.bbox.height)
+  );
+  return { x, y, width: right - x, height: bottom - y };
+}
+
+function toTable(grid, bbox, source) {
+  const round = (value) => Math.round(value * 100) / 100;
+  return {
+    header: grid[0],
+    rows: grid.slice(1),
+    bbox: {
+      x: round(bbox.x),
+      y: round(bbox.y),
+      width: round(bbox.width),
+      height: round(bbox.height),
+    },
+    source,
+  };
+}
+
+/**
+ * Tables inside ruled regions. Full grids use the rulings as cell borders;
+ * tables with only horizontal rules take their columns from the text.
+ */
+function extractRuledTables(layout, regions) {
+  const tables = [];
+
+  for (const region of regions) {
+    const words = layout.words.filter((word) =>
+      inside(center(word.bbox), region.bbox)
+    );
+    if (words.length === 0) {
+      continue;
+    }
+
+    const lines = layout.lines.filter((line) =>
+      inside(center(line.bbox), region.bbox)
+    );
+    const gridded = region.verticalXs.length >= 3;
+    const bands = (positions) =>
+      positions
+        .slice(0, -1)
+        .map((start, index) => [start, positions[index + 1]]);
+
+    const columnBands = gridded
+      ? bands(region.verticalXs)
+      : columnBandsFromCells(lines);
+    const rowBands =
+      gridded && region.horizontalYs.length >= 3
+        ? bands(region.horizontalYs)
+        : rowBandsFromWords(words);
+
+    const grid = fillGrid(words, rowBands, columnBands);
+    if (grid.length >= 2 && columnBands.length >= 2) {
+      tables.push(
+        toTable(
+          grid,
+          {
+            x: region.bbox.x,
+            y: region.bbox.y,
+            width: region.bbox.right - region.bbox.x,
+            height: region.bbox.bottom - region.bbox.y,
+          },
+          "ruling"
+        )
+      );
+    }
+  }
+
+  return tables;
+}
+
+/**
+ * Tables without rulings: consecutive rows that each have several cells
+ * (line segments separated by wide gaps) lined up in the same columns
+ */
+function extractAlignedTables(layout, regions) {
+  const lines = layout.lines.filter(
+    (line) => !regions.some((region) => inside(center(line.bbox), region.bbox))
+  );
+  const rows = groupRows(lines);
+  const tables = [];
+
+  let run = [];
+  const flush = () => {
+    if (run.length >= 2) {
+      const cells = run.flatMap((row) => row.items);
+      const columnBands = columnBandsFromCells(cells);
+      const wordCount = cells.reduce(
+        (sum, cell) => sum + cell.text.split(/\s+/).length,
+        0
+      );
+
+      if (
+        columnBands.length >= 2 &&
+        wordCount / cells.length <= MAX_WORDS_PER_CELL
+      ) {
+        const wordIndexes = cells.flatMap((cell) => cell.wordIndexes);
+        const words = wordIndexes.map((index) => layout.words[index]);
+        const grid = fillGrid(words, rowBandsFromWords(words), columnBands);
+        if (grid.length >= 2) {
+          tables.push(toTable(grid, boundsOf(cells), "alignment"));
+        }
+      }
+    }
+    run = [];
+  };
+
+  for (const row of rows) {
+    const previous = run[run.length - 1];
+    const closeEnough =
+      !previous || row.centerY - previous.centerY <= previous.height * 2.5;
+
+    if (row.items.length >= 2 && closeEnough) {
+      run.push(row);
+    } else {
+      flush();
+      if (row.items.length >= 2) {
+        run.push(row);
+      }
+    }
+  }
+  flush();
+
+  return tables;
+}
+
+/**
+ * Detect the tables on a page from its layout and ruling lines, top to
+ * bottom
+ */
+function extractTables(layout, rulings) {
+  const regions = findRuledRegions(rulings);
+
+  return [
+    ...extractRuledTables(layout, regions),
+    ...extractAlignedTables(layout, regions),
+  ].sort((a, b) => a.bbox.y - b.bbox.y);
+}
+
+/**
+ * Format a table as CSV (RFC 4180 quoting). Formula cells are prefixed with
+ * ' so opening the export in a spreadsheet cannot run them.
+ */
+function tableToCsv(table) {
+  const escape = (value) => {
+    let text = value === null || value === undefined ? "" : String(value);
+    if (FORMULA_START.test(text) && !PLAIN_NUMBER.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [table.header, ...table.rows]
+    .map((row) => row.map(escape).join(","))
+    .join("\r\n");
+}
+
+module.exports = {
+  extractRulings,
+  extractTables,
+  tableToCsv,
+};
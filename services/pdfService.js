@@ -1,4 +1,3 @@
-const pdfParse = require("pdf-parse");
 const fs = require("fs-extra");
 const path = require("path");
 const axios = require("axios");
@@ -6,6 +5,22 @@ const { v4: uuidv4 } = require("uuid");
 const dotenv = require("dotenv");
 const { InferenceClient } = require("@huggingface/inference");
 const { put } = require("@vercel/blob");
+const { validatePdf } = require("./pdf/pdfValidator");
+const {
+  BINARY_TYPES,
+  claimedFileType,
+  detectFileType,
+  getExtractor,
+} = require("./extractors");
+const { AppError } = require("../utils/errors");
+const {
+  isHeadingText,
+  detectHeadings,
+  buildOutline,
+  buildSections,
+} = require("./pdf/headingDetector");
+const { bookmarksToHeadings } = require("./pdf/outline");
+const normalizationService = require("./normalizationService");
 
 dotenv.config();
 
@@ -13,21 +28,32 @@ class PDFService {
   constructor() {
     this.huggingfaceApiKey = process.env.HUGGINGFACE_API_KEY;
     this.nerModel = process.env.NER_MODEL || "dslim/bert-base-NER";
+    // BERT models truncate input at 512 tokens, so text is sent in
+    // overlapping windows of at most NER_WINDOW_TOKENS estimated tokens
+    this.nerWindowTokens = parseInt(process.env.NER_WINDOW_TOKENS) || 384;
+    this.nerWindowOverlap = parseInt(process.env.NER_WINDOW_OVERLAP) || 64;
+    this.nerConcurrency = parseInt(process.env.NER_CONCURRENCY) || 3;
     this.inferenceClient = new InferenceClient(this.huggingfaceApiKey);
   }
 
   /**
-   * Step 1: PDF Upload and Storage using Vercel Blob
+   * Step 1: PDF Upload and Storage using Vercel Blob. The bucket is public,
+   * so only PDFs and DOCX files are served with their own type; markup and
+   * text sources are served as plain text and never render as pages.
    */
-  async uploadPDF(file) {
+  async uploadPDF(file, fileType = "pdf") {
     const fileId = uuidv4();
     const fileName = `${fileId}_${file.originalname}`;
+    const contentType = BINARY_TYPES.includes(fileType)
+      ? getExtractor(fileType).mimeTypes[0]
+      : "text/plain; charset=utf-8";
 
     try {
       // Upload to Vercel Blob (public access)
       const blob = await put(fileName, file.buffer, {
         access: "public",
         addRandomSuffix: false,
+        contentType,
         token: process.env.BLOB_READ_WRITE_TOKEN,
       });
 
@@ -45,124 +71,59 @@ class PDFService {
   }
 
   /**
-   * Step 2: PDF Parsing - Page-wise Text Extraction
+   * Check an upload before it is accepted for processing: its content must
+   * be a supported type, and PDFs must pass validatePdf (header, structure,
+   * page limit, password and active content). Returns the detected file
+   * type and any active content flagged instead of rejected.
    */
-  async parsePDF(fileBuffer) {
-    try {
-      const data = await pdfParse(fileBuffer, {
-        // Enable page-by-page parsing
-        max: 0, // Parse all pages
-        version: "v2.0.550",
-      });
-
-      // Extract text page by page
-      const pages = [];
-      const fullText = data.text || "";
-
-      // Split text by pages using pdf-parse's page info
-      if (data.pages && data.pages.length > 0) {
-        // If pdf-parse provides page information
-        data.pages.forEach((page, index) => {
-          pages.push({
-            pageNumber: index + 1,
-            text: page.text || "",
-            layout: {
-              words: [],
-              lines: [],
-              tables: [],
-            },
-            width: page.width || 612,
-            height: page.height || 792,
-            wordCount: (page.text || "").split(/\s+/).length,
-          });
-        });
-      } else {
-        // Fallback: Split text into pages based on estimated page length
-        const estimatedPageLength = Math.ceil(
-          fullText.length / Math.max(data.numpages || 1, 1)
+  async validateUpload(file, password = null) {
+    const fileType = detectFileType(file);
+    if (!fileType) {
+      if (claimedFileType(file) === "pdf") {
+        throw new AppError(
+          "The file does not start with a PDF header",
+          "PDF_INVALID_HEADER",
+          415
         );
-        const textChunks = this.splitTextIntoPages(
-          fullText,
-          estimatedPageLength,
-          data.numpages || 1
-        );
-
-        textChunks.forEach((pageText, index) => {
-          pages.push({
-            pageNumber: index + 1,
-            text: pageText,
-            layout: {
-              words: [],
-              lines: [],
-              tables: [],
-            },
-            width: 612,
-            height: 792,
-            wordCount: pageText.split(/\s+/).length,
-          });
-        });
       }
+      throw new AppError(
+        "Unsupported file type; upload a PDF, DOCX, HTML, Markdown or text file",
+        "UNSUPPORTED_FILE_TYPE",
+        415
+      );
+    }
 
-      return {
-        totalPages: pages.length,
-        pages: pages,
-        rawText: fullText,
-        numpages: data.numpages || pages.length,
-        info: data.info || {},
-      };
-    } catch (error) {
-      console.error("Error parsing PDF:", error);
-      throw new Error(`PDF parsing failed: ${error.message}`);
+    if (fileType === "pdf") {
+      const { activeContent } = await validatePdf(file.buffer, { password });
+      return { fileType, activeContent };
     }
+
+    return { fileType, activeContent: [] };
   }
 
   /**
-   * Split text into pages based on estimated page length
+   * Step 2: PDF Parsing - Page-wise Text Extraction
    */
-  splitTextIntoPages(text, estimatedPageLength, numPages) {
-    const pages = [];
-    const lines = text.split("\n");
-    let currentPage = [];
-    let currentLength = 0;
-    const targetLength = estimatedPageLength;
-
-    for (const line of lines) {
-      currentPage.push(line);
-      currentLength += line.length + 1; // +1 for newline
-
-      if (currentLength >= targetLength && pages.length < numPages - 1) {
-        pages.push(currentPage.join("\n"));
-        currentPage = [];
-        currentLength = 0;
-      }
-    }
-
-    // Add the last page
-    if (currentPage.length > 0) {
-      pages.push(currentPage.join("\n"));
-    }
-
-    // Ensure we have the right number of pages
-    while (pages.length < numPages) {
-      pages.push("");
-    }
-
-    return pages.slice(0, numPages);
+  async parsePDF(fileBuffer, options = {}) {
+    return this.parseDocument(fileBuffer, "pdf", options);
   }
 
   /**
-   * Extract layout data from PDF page
-   * Note: pdf-parse doesn't provide detailed layout information
-   * This is a simplified version for compatibility
+   * Step 2: Parse a document of any supported type with its extractor
    */
-  async extractLayoutData(page) {
-    // pdf-parse doesn't provide detailed layout data
-    // Return empty layout for compatibility
-    return {
-      words: [],
-      lines: [],
-      tables: [],
-    };
+  async parseDocument(fileBuffer, fileType, options = {}) {
+    try {
+      const parsed = await getExtractor(fileType).extract(fileBuffer, {
+        password: options.password,
+      });
+      return { ...parsed, fileType };
+    } catch (error) {
+      console.error(`Error parsing ${fileType}:`, error.message);
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new Error(`Document parsing failed: ${error.message}`);
+    }
   }
 
   /**
@@ -193,21 +154,162 @@ class PDFService {
   }
 
   /**
-   * Extract entities from text using NER model
+   * Extract entities from text using NER model. The text is split into
+   * overlapping windows that fit the model, a few windows run at a time, and
+   * entity offsets are shifted back to positions in `text`. A window that
+   * fails only loses its own entities; if every window fails, this throws
+   * so the caller can fall back to basic extraction.
    */
   async extractEntities(text) {
-    try {
-      const output = await this.inferenceClient.tokenClassification({
-        model: this.nerModel,
-        inputs: text,
-        provider: "auto",
-      });
+    const windows = this.splitIntoWindows(text);
+    const results = new Array(windows.length);
+    let next = 0;
+    let failedWindows = 0;
+    let lastError = null;
+
+    const worker = async () => {
+      while (next < windows.length) {
+        const index = next++;
+        const window = windows[index];
+        try {
+          const output = await this.inferenceClient.tokenClassification({
+            model: this.nerModel,
+            inputs: window.text,
+            provider: "auto",
+          });
+          results[index] = output.map((entity) => ({
+            ...entity,
+            start: entity.start + window.start,
+            end: entity.end + window.start,
+            window: index,
+          }));
+        } catch (error) {
+          console.error(
+            `Error extracting entities (window ${index + 1}/${
+              windows.length
+            }):`,
+            error.message
+          );
+          results[index] = [];
+          failedWindows++;
+          lastError = error;
+        }
+      }
+    };
 
-      return output;
-    } catch (error) {
-      console.error("Error extracting entities:", error);
-      return [];
+    await Promise.all(
+      Array.from(
+        { length: Math.min(this.nerConcurrency, windows.length) },
+        () => worker()
+      )
+    );
+
+    if (windows.length > 0 && failedWindows === windows.length) {
+      throw new Error(
+        `Entity extraction failed for all ${windows.length} windows: ${lastError.message}`
+      );
+    }
+
+    return this.mergeWindowEntities(results, windows, text);
+  }
+
+  /**
+   * Split text into windows of at most `nerWindowTokens` estimated tokens,
+   * each repeating the last `nerWindowOverlap` tokens of the one before.
+   * Windows break between words. Returns [{ start, end, text }].
+   */
+  splitIntoWindows(text) {
+    const tokens = [
+      ...(text || "").matchAll(/[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu),
+    ].map((match) => ({
+      start: match.index,
+      end: match.index + match[0].length,
+      // WordPiece splits long and rare words into several tokens
+      size: Math.ceil(match[0].length / 6),
+    }));
+
+    const windows = [];
+    let first = 0;
+    while (first < tokens.length) {
+      let last = first;
+      let size = tokens[first].size;
+      while (
+        last + 1 < tokens.length &&
+        size + tokens[last + 1].size <= this.nerWindowTokens
+      ) {
+        last++;
+        size += tokens[last].size;
+      }
+
+      const start = tokens[first].start;
+      const end = tokens[last].end;
+      windows.push({ start, end, text: text.slice(start, end) });
+      if (last === tokens.length - 1) {
+        break;
+      }
+
+      // Step back so the next window starts inside this one
+      let overlap = 0;
+      let nextFirst = last + 1;
+      while (
+        nextFirst - 1 > first &&
+        overlap + tokens[nextFirst - 1].size <= this.nerWindowOverlap
+      ) {
+        nextFirst--;
+        overlap += tokens[nextFirst].size;
+      }
+      first = nextFirst;
+    }
+
+    return windows;
+  }
+
+  /**
+   * Combine the entities of all windows in document order. Each window owns
+   * the text up to the middle of its overlap with the next, so an entity
+   * seen by two windows is kept once. Pieces of one entity cut by a window
+   * border (same type, only whitespace between them) are joined.
+   */
+  mergeWindowEntities(results, windows, text) {
+    const borders = windows
+      .slice(1)
+      .map((window, index) => (window.start + windows[index].end) / 2);
+
+    const owned = results
+      .flatMap((entities, index) =>
+        entities.filter((entity) => {
+          const center = (entity.start + entity.end) / 2;
+          return (
+            (index === 0 || center >= borders[index - 1]) &&
+            (index === windows.length - 1 || center < borders[index])
+          );
+        })
+      )
+      .sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const entity of owned) {
+      const previous = merged[merged.length - 1];
+      if (
+        previous &&
+        previous.window !== entity.window &&
+        previous.entity_group === entity.entity_group &&
+        !text.slice(previous.end, entity.start).trim()
+      ) {
+        const previousLength = previous.end - previous.start;
+        const length = entity.end - entity.start;
+        previous.score =
+          (previous.score * previousLength + entity.score * length) /
+          (previousLength + length);
+        previous.end = Math.max(previous.end, entity.end);
+        previous.word = text.slice(previous.start, previous.end);
+        previous.window = entity.window;
+      } else {
+        merged.push({ ...entity });
+      }
     }
+
+    return merged.map(({ window, ...entity }) => entity);
   }
 
   /**
@@ -218,15 +320,26 @@ class PDFService {
       // Group entities by type
       const entityGroups = this.groupEntitiesByType(entities);
 
-      // Extract sections based on entities and text structure
-      const sections = this.extractSectionsFromEntities(
-        entities,
-        pdfData.rawText
-      );
+      // Bookmarks or markup headings define the sections when present;
+      // otherwise sections come from entities and detected headings
+      const detected = this.detectSections(pdfData);
+      const sections =
+        detected.outlineSource === "bookmarks" ||
+        detected.outlineSource === "markup"
+          ? detected.sections
+          : this.extractSectionsFromEntities(
+              entities,
+              pdfData.rawText,
+              detected.headings.length > 0 ? detected.headings : null
+            );
 
       return {
         documentType: this.classifyDocumentType(pdfData.rawText),
         sections: sections,
+        outline: detected.outline,
+        outlineSource: detected.outlineSource,
+        tables: this.collectTables(pdfData),
+        documentMetadata: pdfData.metadata || null,
         pages: pdfData.pages,
         entities: entityGroups,
         layout: {
@@ -274,11 +387,16 @@ class PDFService {
   }
 
   /**
-   * Extract sections from entities and text
+   * Extract sections from entities and text. When headings were detected
+   * from the layout, only those lines start a section.
    */
-  extractSectionsFromEntities(entities, text) {
+  extractSectionsFromEntities(entities, text, headings = null) {
     const sections = [];
     const lines = text.split("\n").filter((line) => line.trim());
+    const compact = (line) => line.replace(/\s+/g, "");
+    const headingTitles = headings
+      ? new Set(headings.map((heading) => compact(heading.title)))
+      : null;
 
     let currentSection = { title: "Content", content: [] };
 
@@ -286,7 +404,10 @@ class PDFService {
       const trimmedLine = line.trim();
 
       // Check if line contains section headers
-      if (this.isSectionHeader(trimmedLine)) {
+      const isHeader = headingTitles
+        ? headingTitles.has(compact(trimmedLine))
+        : this.isSectionHeader(trimmedLine);
+      if (isHeader) {
         if (currentSection.content.length > 0) {
           sections.push(currentSection);
         }
@@ -323,12 +444,53 @@ class PDFService {
    * Check if line is a section header
    */
   isSectionHeader(line) {
-    const trimmed = line.trim();
-    return (
-      trimmed.length < 100 &&
-      (trimmed.toUpperCase() === trimmed ||
-        /^[A-Z][a-z]+(\s+[A-Z][a-z]+)*$/.test(trimmed))
-    );
+    return isHeadingText(line);
+  }
+
+  /**
+   * Tables detected on all pages, in page order
+   */
+  collectTables(pdfData) {
+    return (pdfData.pages || []).flatMap((page) => page.layout?.tables || []);
+  }
+
+  /**
+   * Build the section tree. Headings declared by markup (DOCX, HTML,
+   * Markdown) or the PDF's own bookmarks are used when present, then
+   * headings detected from the page layout. Without any (plain text input),
+   * sections come from text patterns and there is no outline.
+   */
+  detectSections(pdfData) {
+    const pages = pdfData.pages || [];
+    let headings = [];
+    let outlineSource = null;
+
+    if (pdfData.headings && pdfData.headings.length > 0) {
+      headings = pdfData.headings;
+      outlineSource = "markup";
+    } else if (pdfData.bookmarks && pdfData.bookmarks.length > 0) {
+      headings = bookmarksToHeadings(pdfData.bookmarks, pages);
+      outlineSource = "bookmarks";
+    } else {
+      headings = detectHeadings(pages);
+      outlineSource = headings.length > 0 ? "headings" : null;
+    }
+
+    if (headings.length === 0) {
+      return {
+        headings,
+        sections: this.identifySections(pdfData.rawText),
+        outline: [],
+        outlineSource,
+      };
+    }
+
+    return {
+      headings,
+      sections: buildSections(pages, headings),
+      outline: buildOutline(headings, pdfData.totalPages || pages.length),
+      outlineSource,
+    };
   }
 
   /**
@@ -399,11 +561,15 @@ class PDFService {
    */
   processModelOutput(modelOutput, pdfData) {
     // This is a simplified version - in practice, you'd use a more sophisticated approach
-    const sections = this.identifySections(pdfData.rawText);
+    const { sections, outline, outlineSource } = this.detectSections(pdfData);
 
     return {
       documentType: this.classifyDocumentType(pdfData.rawText),
       sections: sections,
+      outline: outline,
+      outlineSource: outlineSource,
+      tables: this.collectTables(pdfData),
+      documentMetadata: pdfData.metadata || null,
       pages: pdfData.pages, // Include page information
       metadata: {
         totalPages: pdfData.totalPages,
@@ -418,11 +584,15 @@ class PDFService {
    * Fallback structured extraction when model fails
    */
   fallbackStructuredExtraction(pdfData) {
-    const sections = this.identifySections(pdfData.rawText);
+    const { sections, outline, outlineSource } = this.detectSections(pdfData);
 
     return {
       documentType: this.classifyDocumentType(pdfData.rawText),
       sections: sections,
+      outline: outline,
+      outlineSource: outlineSource,
+      tables: this.collectTables(pdfData),
+      documentMetadata: pdfData.metadata || null,
       pages: pdfData.pages, // Include page information
       metadata: {
         totalPages: pdfData.totalPages,
@@ -434,7 +604,7 @@ class PDFService {
   }
 
   /**
-   * Identify document sections
+   * Identify document sections from plain text
    */
   identifySections(text) {
     const sections = [];
@@ -445,12 +615,8 @@ class PDFService {
     for (const line of lines) {
       const trimmedLine = line.trim();
 
-      // Simple section detection based on formatting
-      if (
-        trimmedLine.length < 100 &&
-        (trimmedLine.toUpperCase() === trimmedLine ||
-          /^[A-Z][a-z]+(\s+[A-Z][a-z]+)*$/.test(trimmedLine))
-      ) {
+      // Numbered or short ALL-CAPS lines start a section
+      if (isHeadingText(trimmedLine)) {
         if (currentSection.content.length > 0) {
           sections.push(currentSection);
         }
@@ -593,9 +759,12 @@ class PDFService {
   }
 
   /**
-   * Complete PDF processing pipeline
+   * Complete document processing pipeline. `options.fileType` is the type
+   * found by validateUpload. `options.password` opens encrypted PDFs; it is
+   * only passed to the parser, never logged or stored. `options.upload`
+   * is a previous uploadPDF result to reuse instead of uploading again.
    */
-  async processPDF(file, signal = null) {
+  async processPDF(file, signal = null, onProgress = () => {}, options = {}) {
     try {
       // Check if request was aborted
       if (signal && signal.aborted) {
@@ -603,8 +772,12 @@ class PDFService {
         throw new Error("Request aborted by client");
       }
 
-      // Step 1: Upload
-      const uploadResult = await this.uploadPDF(file);
+      // Step 1: Upload, unless the file was already uploaded when its job
+      // was created
+      onProgress("uploading", 0);
+      const fileType = options.fileType || detectFileType(file);
+      const uploadResult =
+        options.upload || (await this.uploadPDF(file, fileType));
 
       // Check if request was aborted after upload
       if (signal && signal.aborted) {
@@ -613,7 +786,13 @@ class PDFService {
       }
 
       // Step 2: Parse
-      const parsedData = await this.parsePDF(file.buffer);
+      onProgress("parsing", 0);
+      const extractedData = await this.parseDocument(file.buffer, fileType, {
+        password: options.password,
+      });
+
+      // Ligatures, hyphenation, whitespace and control characters
+      const parsedData = normalizationService.normalizeDocument(extractedData);
 
       // Check if request was aborted after parsing
       if (signal && signal.aborted) {
@@ -622,6 +801,7 @@ class PDFService {
       }
 
       // Step 3: Structured extraction
+      onProgress("extracting", 0);
       const structuredData = await this.extractStructuredData(parsedData);
 
       // Check if request was aborted after structured extraction
@@ -645,6 +825,9 @@ class PDFService {
       };
     } catch (error) {
       console.error("Error processing PDF:", error);
+      if (error instanceof AppError) {
+        throw error;
+      }
       throw new Error(`PDF processing failed: ${error.message}`);
     }
   }
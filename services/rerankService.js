@@ -0,0 +1,59 @@
+const dotenv = require("dotenv");
+const { createReranker } = require("./rerankers");
+
+dotenv.config();
+
+/**
+ * Optional second retrieval stage: over-fetch candidates, score them with a
+ * reranker and keep the best ones
+ */
+class RerankService {
+  constructor() {
+    this.enabled = process.env.RERANK_ENABLED === "true";
+    this.candidates = parseInt(process.env.RERANK_CANDIDATES) || 30;
+    this.topN = parseInt(process.env.RERANK_TOP_N) || null;
+    this.reranker = this.enabled ? createReranker() : null;
+  }
+
+  /**
+   * How many chunks to retrieve before reranking down to `limit`
+   */
+  getCandidateCount(limit) {
+    return this.enabled ? Math.max(this.candidates, limit) : limit;
+  }
+
+  /**
+   * Rerank chunks for a query and keep the top `limit` (or RERANK_TOP_N).
+   * Each kept chunk gets a `rerankScore`. If the reranker fails, the
+   * retrieval order is kept. Chunks are returned untouched when reranking
+   * is disabled.
+   */
+  async rerank(query, chunks, limit) {
+    if (!this.enabled || chunks.length === 0) {
+      return chunks;
+    }
+
+    const topN = this.topN || limit;
+
+    try {
+      console.log(
+        `🔃 Reranking ${chunks.length} chunks with ${this.reranker.model}`
+      );
+
+      const scores = await this.reranker.score(
+        query,
+        chunks.map((chunk) => chunk.content)
+      );
+
+      return chunks
+        .map((chunk, index) => ({ ...chunk, rerankScore: scores[index] }))
+        .sort((a, b) => b.rerankScore - a.rerankScore)
+        .slice(0, topN);
+    } catch (error) {
+      console.error("Error reranking chunks:", error.message);
+      return chunks.slice(0, topN);
+    }
+  }
+}
+
+module.exports = new RerankService();
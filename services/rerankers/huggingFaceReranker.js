@@ -0,0 +1,71 @@
+const { InferenceClient } = require("@huggingface/inference");
+
+// Label of the "relevant" class in two-label cross-encoders
+const RELEVANT_LABEL = /^(label_1|1|relevant|positive|yes|true|entailment)$/i;
+
+/**
+ * Relevance score from a text-classification output. Single-logit
+ * cross-encoders (ms-marco) return one label whose score is the relevance;
+ * two-label models score every class, and only the relevant one counts.
+ */
+function relevanceScore(labels) {
+  if (labels.length === 1) {
+    return labels[0].score;
+  }
+
+  const relevant = labels.find(({ label }) => RELEVANT_LABEL.test(label));
+  if (!relevant) {
+    throw new Error(
+      `No relevance label among ${labels.map(({ label }) => label).join(", ")}`
+    );
+  }
+  return relevant.score;
+}
+
+/**
+ * Reranker that scores (query, passage) pairs with a cross-encoder through
+ * Hugging Face text classification
+ */
+class HuggingFaceReranker {
+  constructor({ apiKey, model, concurrency = 4 } = {}) {
+    this.name = "huggingface";
+    this.model = model;
+    this.concurrency = concurrency;
+    this.client = new InferenceClient(apiKey);
+  }
+
+  /**
+   * Score each passage against the query; higher is more relevant
+   */
+  async score(query, passages) {
+    const scores = new Array(passages.length);
+    let next = 0;
+
+    // Cross-encoders score one pair per call, so run a few calls at a time
+    const worker = async () => {
+      while (next < passages.length) {
+        const index = next++;
+        const output = await this.client.textClassification({
+          model: this.model,
+          // Sentence-pair input for the text-classification pipeline
+          inputs: { text: query, text_pair: passages[index] },
+          // Both classes of a two-label model, not just the likelier one
+          parameters: { top_k: 2 },
+        });
+
+        const labels = Array.isArray(output[0]) ? output[0] : output;
+        scores[index] = relevanceScore(labels);
+      }
+    };
+
+    await Promise.all(
+      Array.from({ length: Math.min(this.concurrency, passages.length) }, () =>
+        worker()
+      )
+    );
+
+    return scores;
+  }
+}
+
+module.exports = HuggingFaceReranker;
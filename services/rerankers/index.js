@@ -0,0 +1,28 @@
+const dotenv = require("dotenv");
+const HuggingFaceReranker = require("./huggingFaceReranker");
+const LocalReranker = require("./localReranker");
+
+dotenv.config();
+
+/**
+ * Create the reranker selected by RERANK_PROVIDER.
+ *
+ * Every reranker exposes `name` and `model` and implements
+ * score(query, passages) -> Promise<number[]>.
+ */
+function createReranker(type = process.env.RERANK_PROVIDER || "huggingface") {
+  switch (type.toLowerCase()) {
+    case "huggingface":
+      return new HuggingFaceReranker({
+        apiKey: process.env.HUGGINGFACE_API_KEY,
+        model:
+          process.env.RERANK_MODEL || "cross-encoder/ms-marco-MiniLM-L-6-v2",
+      });
+    case "local":
+      return new LocalReranker();
+    default:
+      throw new Error(`Unknown reranker: ${type}`);
+  }
+}
+
+module.exports = { createReranker, HuggingFaceReranker, LocalReranker };
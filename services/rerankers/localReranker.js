@@ -0,0 +1,31 @@
+const KeywordIndex = require("../vectorStores/keywordIndex");
+
+/**
+ * In-process stand-in for a cross-encoder: scores passages by BM25 against
+ * the query over the candidate set, scaled to 0..1. Useful offline and in
+ * tests; it cannot judge meaning the way a cross-encoder does.
+ */
+class LocalReranker {
+  constructor() {
+    this.name = "local";
+    this.model = "local-bm25";
+  }
+
+  /**
+   * Score each passage against the query; higher is more relevant
+   */
+  async score(query, passages) {
+    const index = new KeywordIndex();
+    passages.forEach((passage, i) => index.add(i, passage, {}));
+
+    const scores = new Array(passages.length).fill(0);
+    index.search(query, passages.length).forEach(({ id, score }) => {
+      scores[id] = score;
+    });
+
+    const maxScore = Math.max(...scores);
+    return maxScore > 0 ? scores.map((score) => score / maxScore) : scores;
+  }
+}
+
+module.exports = LocalReranker;
@@ -0,0 +1,385 @@
+const embeddingService = require("../embeddingService");
+
+/**
+ * Interface shared by all vector store backends.
+ *
+ * Filters use Qdrant's filter syntax ({ must, must_not, should } with
+ * `match`/`range` conditions on payload keys) regardless of the backend.
+ *
+ * Similarity search is hybrid: when the query text is passed, dense vector
+ * results are fused with BM25 keyword search over the whole collection
+ * using reciprocal rank fusion, so exact identifiers like "7.2(b)" or
+ * invoice numbers are found even when the embedding model misses them.
+ */
+class BaseVectorStore {
+  constructor() {
+    this.hybridEnabled = process.env.HYBRID_SEARCH !== "false";
+    this.denseWeight = parseFloat(process.env.HYBRID_DENSE_WEIGHT) || 1;
+    this.keywordWeight = parseFloat(process.env.HYBRID_KEYWORD_WEIGHT) || 1;
+    this.rrfK = parseInt(process.env.HYBRID_RRF_K) || 60;
+  }
+
+  /**
+   * Create the collection if needed and check its vector size
+   */
+  async initializeCollection() {
+    throw new Error(
+      `${this.constructor.name} must implement initializeCollection`
+    );
+  }
+
+  /**
+   * Create any payload indexes the backend needs for filtering that an
+   * existing collection is missing. Backends without indexes do nothing.
+   */
+  async ensurePayloadIndexes() {}
+
+  /**
+   * Store chunk embeddings. Chunks with a null embedding are stored as
+   * pending and kept out of similarity search.
+   */
+  async storeEmbeddings(embeddings, signal = null) {
+    throw new Error(`${this.constructor.name} must implement storeEmbeddings`);
+  }
+
+  /**
+   * Search for the chunks most similar to a query embedding by vector
+   * similarity only
+   */
+  async searchDense(queryEmbedding, limit = 5, filter = null) {
+    throw new Error(`${this.constructor.name} must implement searchDense`);
+  }
+
+  /**
+   * Rank chunks matching a filter by BM25 keyword score. Chunks pending
+   * an embedding are left out, like in similarity search.
+   */
+  async searchKeyword(queryText, limit = 10, filter = null) {
+    throw new Error(`${this.constructor.name} must implement searchKeyword`);
+  }
+
+  /**
+   * Get all stored points matching a filter as { id, payload }
+   */
+  async scrollAll(filter = null) {
+    throw new Error(`${this.constructor.name} must implement scrollAll`);
+  }
+
+  /**
+   * Get chunks of a file
+   */
+  async searchByFileId(fileId, limit = 10) {
+    throw new Error(`${this.constructor.name} must implement searchByFileId`);
+  }
+
+  /**
+   * Get chunks of one page of a file
+   */
+  async searchByFileIdAndPage(fileId, pageNumber, limit = 10) {
+    throw new Error(
+      `${this.constructor.name} must implement searchByFileIdAndPage`
+    );
+  }
+
+  /**
+   * Get chunks of a document type
+   */
+  async searchByDocumentType(documentType, limit = 10) {
+    throw new Error(
+      `${this.constructor.name} must implement searchByDocumentType`
+    );
+  }
+
+  /**
+   * Delete all chunks of a file
+   */
+  async deleteByFileId(fileId) {
+    throw new Error(`${this.constructor.name} must implement deleteByFileId`);
+  }
+
+  /**
+   * List stored files with their chunk counts
+   */
+  async getAllFiles() {
+    throw new Error(`${this.constructor.name} must implement getAllFiles`);
+  }
+
+  /**
+   * Get collection statistics
+   */
+  async getCollectionInfo() {
+    throw new Error(
+      `${this.constructor.name} must implement getCollectionInfo`
+    );
+  }
+
+  /**
+   * Get chunks that are still waiting for an embedding as
+   * { id, content, fileId, embeddingAttempts }
+   */
+  async getPendingChunks(limit = 10) {
+    throw new Error(`${this.constructor.name} must implement getPendingChunks`);
+  }
+
+  /**
+   * Store the embedding of a pending chunk and make it searchable
+   */
+  async updateEmbedding(id, embedding) {
+    throw new Error(`${this.constructor.name} must implement updateEmbedding`);
+  }
+
+  /**
+   * Record a failed embedding attempt on a pending chunk. An
+   * `embeddingStatus` of "failed" gives up on the chunk; it stays out of
+   * similarity search and is no longer returned by getPendingChunks.
+   */
+  async recordEmbeddingAttempt(id, attempts, embeddingStatus = "pending") {
+    throw new Error(
+      `${this.constructor.name} must implement recordEmbeddingAttempt`
+    );
+  }
+
+  /**
+   * Count chunks of a file with an embedding status
+   */
+  async countByEmbeddingStatus(fileId, embeddingStatus) {
+    throw new Error(
+      `${this.constructor.name} must implement countByEmbeddingStatus`
+    );
+  }
+
+  /**
+   * Count chunks of a file that are still waiting for an embedding
+   */
+  async countPendingByFileId(fileId) {
+    return await this.countByEmbeddingStatus(fileId, "pending");
+  }
+
+  /**
+   * Get the document-level data (outline, etc.) stored with a file's
+   * document_info chunk, or null if the file is unknown
+   */
+  async getDocumentInfo(fileId) {
+    const [point] = await this.scrollAll({
+      must: [
+        { key: "fileId", match: { value: fileId } },
+        { key: "section", match: { value: "document_info" } },
+      ],
+    });
+
+    return point ? point.payload.document || {} : null;
+  }
+
+  /**
+   * Get a file's entity index, or null if the file is unknown
+   */
+  async getEntities(fileId) {
+    const documentInfo = await this.getDocumentInfo(fileId);
+    return documentInfo ? documentInfo.entities || [] : null;
+  }
+
+  /**
+   * Find the files whose entity index has any of the given entity keys.
+   * Returns [{ fileId, documentType, metadata, entities }] with only the
+   * matching entities.
+   */
+  async findFilesByEntity(keys) {
+    const points = await this.scrollAll({
+      must: [
+        { key: "section", match: { value: "document_info" } },
+        { key: "entityKeys", match: { any: keys } },
+      ],
+    });
+
+    return points.map(({ payload }) => ({
+      fileId: payload.fileId,
+      documentType: payload.documentType,
+      metadata: payload.document?.metadata || null,
+      entities: (payload.document?.entities || []).filter((entity) =>
+        keys.includes(entity.key)
+      ),
+    }));
+  }
+
+  /**
+   * Get a file's tables, rebuilt from its table chunks, in document order
+   */
+  async getTables(fileId) {
+    const points = await this.scrollAll({
+      must: [
+        { key: "fileId", match: { value: fileId } },
+        { key: "chunkType", match: { value: "table" } },
+      ],
+    });
+
+    const tables = new Map();
+    points
+      .map((point) => ({
+        ...point.payload.table,
+        part: point.payload.chunkPart,
+      }))
+      .filter((part) => Number.isInteger(part.tableIndex))
+      .sort((a, b) => a.tableIndex - b.tableIndex || a.part - b.part)
+      .forEach(({ part, rows, ...table }) => {
+        if (!tables.has(table.tableIndex)) {
+          tables.set(table.tableIndex, { ...table, rows: [] });
+        }
+        tables.get(table.tableIndex).rows.push(...rows);
+      });
+
+    return [...tables.values()];
+  }
+
+  /**
+   * Check that the backend is reachable
+   */
+  async healthCheck() {
+    throw new Error(`${this.constructor.name} must implement healthCheck`);
+  }
+
+  /**
+   * Search for similar chunks. Pass `options.queryText` to fuse the dense
+   * results with keyword search; results then carry `denseScore` and
+   * `keywordScore` next to the fused `score`.
+   */
+  async searchSimilar(queryEmbedding, limit = 5, filter = null, options = {}) {
+    if (!this.hybridEnabled || !options.queryText) {
+      return await this.searchDense(queryEmbedding, limit, filter);
+    }
+
+    try {
+      // Over-fetch from both retrievers so fusion has candidates to work with
+      const candidates = Math.max(limit * 3, 20);
+      const [denseResults, keywordResults] = await Promise.all([
+        this.searchDense(queryEmbedding, candidates, filter),
+        this.searchKeyword(options.queryText, candidates, filter),
+      ]);
+
+      return this.fuseResults(denseResults, keywordResults, limit);
+    } catch (error) {
+      console.error("Error in hybrid search:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Combine dense and keyword rankings with weighted reciprocal rank fusion.
+   * The fused score is scaled so a chunk ranked first by both is 1.
+   */
+  fuseResults(denseResults, keywordResults, limit) {
+    const fused = new Map();
+
+    const addRanking = (results, weight, scoreKey) => {
+      results.forEach((result, rank) => {
+        if (!fused.has(result.id)) {
+          fused.set(result.id, {
+            ...result,
+            score: 0,
+            denseScore: null,
+            keywordScore: null,
+          });
+        }
+        const entry = fused.get(result.id);
+        entry.score += weight / (this.rrfK + rank + 1);
+        entry[scoreKey] = result.score;
+      });
+    };
+
+    addRanking(denseResults, this.denseWeight, "denseScore");
+    addRanking(keywordResults, this.keywordWeight, "keywordScore");
+
+    const maxScore = (this.denseWeight + this.keywordWeight) / (this.rrfK + 1);
+
+    return Array.from(fused.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map((entry) => ({ ...entry, score: entry.score / maxScore }));
+  }
+
+  /**
+   * Vector size comes from the configured embedding provider
+   */
+  async getVectorSize() {
+    return await embeddingService.getDimension();
+  }
+
+  /**
+   * Add a condition excluding chunks without an embedding: those still
+   * waiting for one and those whose retries gave up
+   */
+  excludePending(filter = null) {
+    const pendingCondition = {
+      key: "embeddingStatus",
+      match: { any: ["pending", "failed"] },
+    };
+
+    return {
+      ...(filter || {}),
+      must_not: [...(filter?.must_not || []), pendingCondition],
+    };
+  }
+
+  /**
+   * Build the stored payload of a chunk embedding
+   */
+  toPayload(embedding) {
+    return {
+      content: embedding.content,
+      fileId: embedding.metadata.fileId,
+      documentType: embedding.metadata.documentType,
+      section: embedding.metadata.section,
+      sectionTitle: embedding.metadata.sectionTitle,
+      chunkIndex: embedding.metadata.chunkIndex,
+      wordCount: embedding.metadata.wordCount,
+      embeddingModel: embedding.metadata.embeddingModel,
+      uploadedAt: new Date().toISOString(),
+      // Add page-specific metadata
+      pageNumber: embedding.metadata.pageNumber,
+      pageIndex: embedding.metadata.pageIndex,
+      chunkType: embedding.metadata.chunkType,
+      chunkPart: embedding.metadata.chunkPart,
+      // Range of the page's extracted text, only set on page chunks
+      originalStart: embedding.metadata.originalStart,
+      originalEnd: embedding.metadata.originalEnd,
+      embeddingStatus: embedding.embedding ? "embedded" : "pending",
+      // Document-level data, only set on the document_info chunk
+      document: embedding.metadata.document,
+      // Entity keys of the document, only set on the document_info chunk
+      entityKeys: embedding.metadata.entityKeys,
+      // Table rows, only set on table chunks
+      table: embedding.metadata.table,
+      // Hyperlinks on page chunks and annotations on annotation chunks
+      links: embedding.metadata.links,
+      annotations: embedding.metadata.annotations,
+    };
+  }
+
+  /**
+   * Build a search result from a stored payload
+   */
+  toResult(id, payload, score) {
+    return {
+      id: id,
+      score: score,
+      content: payload.content,
+      metadata: {
+        fileId: payload.fileId,
+        documentType: payload.documentType,
+        section: payload.section,
+        sectionTitle: payload.sectionTitle,
+        chunkIndex: payload.chunkIndex,
+        wordCount: payload.wordCount,
+        pageNumber: payload.pageNumber,
+        pageIndex: payload.pageIndex,
+        chunkType: payload.chunkType,
+        chunkPart: payload.chunkPart,
+        originalStart: payload.originalStart,
+        originalEnd: payload.originalEnd,
+        links: payload.links,
+        annotations: payload.annotations,
+      },
+    };
+  }
+}
+
+module.exports = BaseVectorStore;
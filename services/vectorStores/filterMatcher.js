@@ -0,0 +1,80 @@
+/**
+ * Evaluate Qdrant-style filters against a payload in memory.
+ *
+ * Supports `must`, `must_not` and `should` clauses (nested as well), with
+ * `match: { value }`, `match: { any }`, `match: { text }` and
+ * `range: { gt, gte, lt, lte }` conditions. Like Qdrant, a condition on an
+ * array payload value matches when any element matches.
+ */
+function matchesFilter(payload, filter) {
+  if (!filter) {
+    return true;
+  }
+
+  if (filter.must && !filter.must.every((c) => matchesCondition(payload, c))) {
+    return false;
+  }
+
+  if (
+    filter.must_not &&
+    filter.must_not.some((c) => matchesCondition(payload, c))
+  ) {
+    return false;
+  }
+
+  if (
+    filter.should &&
+    filter.should.length > 0 &&
+    !filter.should.some((c) => matchesCondition(payload, c))
+  ) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Evaluate a single condition (or nested filter)
+ */
+function matchesCondition(payload, condition) {
+  if (condition.must || condition.must_not || condition.should) {
+    return matchesFilter(payload, condition);
+  }
+
+  const value = payload[condition.key];
+  const values = Array.isArray(value) ? value : [value];
+
+  if (condition.match) {
+    const { match } = condition;
+
+    if ("value" in match) {
+      return values.some((v) => v === match.value);
+    }
+    if ("any" in match) {
+      return values.some((v) => match.any.includes(v));
+    }
+    if ("text" in match) {
+      return values.some(
+        (v) =>
+          typeof v === "string" &&
+          v.toLowerCase().includes(match.text.toLowerCase())
+      );
+    }
+  }
+
+  if (condition.range) {
+    const { gt, gte, lt, lte } = condition.range;
+    return values.some(
+      (v) =>
+        typeof v === "number" &&
+        (gt === undefined || v > gt) &&
+        (gte === undefined || v >= gte) &&
+        (lt === undefined || v < lt) &&
+        (lte === undefined || v <= lte)
+    );
+  }
+
+  throw new Error(`Unsupported filter condition: ${JSON.stringify(condition)}`);
+}
+
+module.exports = { matchesFilter };
@@ -0,0 +1,32 @@
+const dotenv = require("dotenv");
+const QdrantVectorStore = require("./qdrantVectorStore");
+const MemoryVectorStore = require("./memoryVectorStore");
+
+dotenv.config();
+
+/**
+ * Create the vector store selected by VECTOR_STORE: "qdrant" (default) or
+ * "memory" (persisted to VECTOR_STORE_PATH; set it to an empty value to
+ * keep vectors in memory only)
+ */
+function createVectorStore(type = process.env.VECTOR_STORE || "qdrant") {
+  switch (type.toLowerCase()) {
+    case "qdrant":
+      return new QdrantVectorStore();
+    case "memory":
+      return new MemoryVectorStore({
+        filePath:
+          process.env.VECTOR_STORE_PATH !== undefined
+            ? process.env.VECTOR_STORE_PATH
+            : "./data/vector-store.json",
+      });
+    default:
+      throw new Error(`Unknown vector store: ${type}`);
+  }
+}
+
+module.exports = {
+  createVectorStore,
+  QdrantVectorStore,
+  MemoryVectorStore,
+};
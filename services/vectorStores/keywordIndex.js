@@ -0,0 +1,224 @@
+const { matchesFilter } = require("./filterMatcher");
+
+/**
+ * 32-bit FNV-1a hash of a term, used as its sparse vector index
+ */
+function termIndex(term) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < term.length; i++) {
+    hash ^= term.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Build a sparse vector from per-index weights
+ */
+function toSparseVector(weights) {
+  return {
+    indices: Array.from(weights.keys()),
+    values: Array.from(weights.values()),
+  };
+}
+
+/**
+ * In-memory BM25 inverted index over chunk content.
+ *
+ * Identifiers such as "INV-2041", "7.2(b)" or "A-113/4" are indexed as whole
+ * tokens as well as their alphanumeric parts, so exact identifier queries
+ * rank the chunks containing them first.
+ */
+class KeywordIndex {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.clear();
+  }
+
+  /**
+   * Remove all documents
+   */
+  clear() {
+    this.documents = new Map(); // id -> { payload, termFreqs, length }
+    this.postings = new Map(); // term -> Set of ids
+    this.totalLength = 0;
+  }
+
+  /**
+   * Split text into lowercase search terms
+   */
+  tokenize(text) {
+    const terms = [];
+
+    (text || "")
+      .toLowerCase()
+      .split(/\s+/)
+      .forEach((raw) => {
+        // Trim punctuation around the token, keeping a closing bracket that
+        // belongs to it, e.g. "7.2(b)," -> "7.2(b)"
+        let token = raw.replace(/^[^\p{L}\p{N}]+/u, "");
+        token = token.replace(/[^\p{L}\p{N})\]]+$/u, "");
+        if (/[)\]]$/.test(token) && !/[([]/.test(token)) {
+          token = token.replace(/[)\]]+$/, "");
+        }
+
+        const parts = token.match(/[\p{L}\p{N}]+/gu) || [];
+        terms.push(...parts);
+        if (parts.length > 1) {
+          terms.push(token);
+        }
+      });
+
+    return terms;
+  }
+
+  /**
+   * Add or replace a document
+   */
+  add(id, content, payload) {
+    this.remove(id);
+
+    const terms = this.tokenize(content);
+    const termFreqs = new Map();
+    terms.forEach((term) => {
+      termFreqs.set(term, (termFreqs.get(term) || 0) + 1);
+    });
+
+    termFreqs.forEach((_, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Set());
+      }
+      this.postings.get(term).add(id);
+    });
+
+    this.documents.set(id, { payload, termFreqs, length: terms.length });
+    this.totalLength += terms.length;
+  }
+
+  /**
+   * Remove a document
+   */
+  remove(id) {
+    const document = this.documents.get(id);
+    if (!document) {
+      return;
+    }
+
+    document.termFreqs.forEach((_, term) => {
+      const ids = this.postings.get(term);
+      ids.delete(id);
+      if (ids.size === 0) {
+        this.postings.delete(term);
+      }
+    });
+
+    this.documents.delete(id);
+    this.totalLength -= document.length;
+  }
+
+  /**
+   * Remove all documents whose payload matches a filter
+   */
+  removeWhere(filter) {
+    for (const [id, document] of this.documents) {
+      if (matchesFilter(document.payload, filter)) {
+        this.remove(id);
+      }
+    }
+  }
+
+  /**
+   * Update the stored payload of a document
+   */
+  updatePayload(id, payload) {
+    const document = this.documents.get(id);
+    if (document) {
+      document.payload = { ...document.payload, ...payload };
+    }
+  }
+
+  /**
+   * BM25 term-frequency weights of a text as a sparse vector, for backends
+   * that apply IDF themselves (Qdrant's `idf` modifier). The backend does
+   * not know the corpus, so `averageLength` stands in for its average
+   * document length.
+   */
+  toDocumentVector(text, averageLength) {
+    const terms = this.tokenize(text);
+    const termFreqs = new Map();
+    terms.forEach((term) => {
+      const index = termIndex(term);
+      termFreqs.set(index, (termFreqs.get(index) || 0) + 1);
+    });
+
+    const lengthNorm = 1 - this.b + (this.b * terms.length) / averageLength;
+    const weights = new Map();
+    termFreqs.forEach((freq, index) => {
+      weights.set(
+        index,
+        (freq * (this.k1 + 1)) / (freq + this.k1 * lengthNorm)
+      );
+    });
+
+    return toSparseVector(weights);
+  }
+
+  /**
+   * Query terms as a sparse vector, each weighted 1, to score against
+   * toDocumentVector
+   */
+  toQueryVector(query) {
+    const weights = new Map();
+    this.tokenize(query).forEach((term) => weights.set(termIndex(term), 1));
+    return toSparseVector(weights);
+  }
+
+  /**
+   * Rank documents matching a filter by BM25 score
+   */
+  search(query, limit = 10, filter = null) {
+    const queryTerms = [...new Set(this.tokenize(query))];
+    const documentCount = this.documents.size;
+    if (queryTerms.length === 0 || documentCount === 0) {
+      return [];
+    }
+
+    const averageLength = this.totalLength / documentCount;
+    const scores = new Map();
+
+    queryTerms.forEach((term) => {
+      const ids = this.postings.get(term);
+      if (!ids) {
+        return;
+      }
+
+      const idf = Math.log(
+        1 + (documentCount - ids.size + 0.5) / (ids.size + 0.5)
+      );
+
+      ids.forEach((id) => {
+        const document = this.documents.get(id);
+        const freq = document.termFreqs.get(term);
+        const termScore =
+          (idf * freq * (this.k1 + 1)) /
+          (freq +
+            this.k1 *
+              (1 - this.b + (this.b * document.length) / averageLength));
+        scores.set(id, (scores.get(id) || 0) + termScore);
+      });
+    });
+
+    return Array.from(scores.entries())
+      .filter(([id]) => matchesFilter(this.documents.get(id).payload, filter))
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([id, score]) => ({
+        id,
+        score,
+        payload: this.documents.get(id).payload,
+      }));
+  }
+}
+
+module.exports = KeywordIndex;
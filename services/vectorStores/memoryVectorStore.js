@@ -0,0 +1,417 @@
+const fs = require("fs-extra");
+const path = require("path");
+const BaseVectorStore = require("./baseVectorStore");
+const KeywordIndex = require("./keywordIndex");
+const { matchesFilter } = require("./filterMatcher");
+const embeddingService = require("../embeddingService");
+
+/**
+ * Vector store that keeps points in memory and persists them to a JSON
+ * file. Search is brute-force cosine similarity, which is fine for local
+ * development and tests but not for large corpora. Keyword search uses an
+ * in-memory BM25 index over all points.
+ */
+class MemoryVectorStore extends BaseVectorStore {
+  constructor({ filePath = null } = {}) {
+    super();
+    this.name = "memory";
+    this.collectionName = "pdf_chunks";
+    this.filePath = filePath ? path.resolve(filePath) : null;
+    this.points = new Map();
+    this.loadPromise = null;
+    this.savePromise = Promise.resolve();
+    this.keywordIndex = new KeywordIndex();
+  }
+
+  /**
+   * Load persisted points once, on first use
+   */
+  async ensureLoaded() {
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        if (!this.filePath || !(await fs.pathExists(this.filePath))) {
+          return;
+        }
+
+        const data = await fs.readJson(this.filePath);
+        (data.points || []).forEach((point) => {
+          this.points.set(point.id, point);
+        });
+        this.indexPoints(data.points || []);
+        console.log(
+          `✅ Loaded ${this.points.size} points from ${this.filePath}`
+        );
+      })();
+    }
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Persist all points. Writes are serialized and go through a temporary
+   * file so a crash never leaves a half-written store behind. A failed
+   * write is reported to its caller only; the next write still runs.
+   */
+  async save() {
+    if (!this.filePath) {
+      return;
+    }
+
+    this.savePromise = this.savePromise
+      .catch(() => {})
+      .then(async () => {
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.ensureDir(path.dirname(this.filePath));
+        await fs.writeJson(tmpPath, {
+          collectionName: this.collectionName,
+          points: Array.from(this.points.values()),
+        });
+        await fs.move(tmpPath, this.filePath, { overwrite: true });
+      });
+
+    return this.savePromise;
+  }
+
+  /**
+   * Get points matching a filter, in insertion order
+   */
+  async scroll(filter = null, limit = Infinity) {
+    await this.ensureLoaded();
+
+    const results = [];
+    for (const point of this.points.values()) {
+      if (results.length >= limit) {
+        break;
+      }
+      if (matchesFilter(point.payload, filter)) {
+        results.push(point);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Keep the keyword index in step with stored points
+   */
+  indexPoints(points) {
+    points.forEach((point) => {
+      this.keywordIndex.add(point.id, point.payload.content, point.payload);
+    });
+  }
+
+  /**
+   * Get all points matching a filter
+   */
+  async scrollAll(filter = null) {
+    return await this.scroll(filter);
+  }
+
+  /**
+   * Check the stored vectors match the embedding provider
+   */
+  async initializeCollection() {
+    try {
+      await this.ensureLoaded();
+
+      const vectorSize = await this.getVectorSize();
+      const firstPoint = this.points.values().next().value;
+      if (firstPoint && firstPoint.vector.length !== vectorSize) {
+        throw new Error(
+          `Vector store ${this.filePath} holds ${firstPoint.vector.length}-dimensional vectors but the ${embeddingService.provider.name} embedding provider produces ${vectorSize}. Set VECTOR_STORE_PATH to use a separate file.`
+        );
+      }
+
+      return true;
+    } catch (error) {
+      console.error("Error initializing collection:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store embeddings in memory and persist them
+   */
+  async storeEmbeddings(embeddings, signal = null) {
+    try {
+      // Check if request was aborted
+      if (signal && signal.aborted) {
+        console.log("❌ Vector storage aborted by client");
+        throw new Error("Request aborted by client");
+      }
+
+      await this.ensureLoaded();
+
+      const points = embeddings.map((embedding) => ({
+        id: embedding.id,
+        vector: embedding.embedding,
+        payload: this.toPayload(embedding),
+      }));
+      points.forEach((point) => this.points.set(point.id, point));
+
+      await this.save();
+      this.indexPoints(points);
+
+      console.log(`✅ Stored ${embeddings.length} embeddings in memory`);
+      return embeddings.length;
+    } catch (error) {
+      console.error("Error storing embeddings:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search for similar vectors by brute-force cosine similarity
+   */
+  async searchDense(queryEmbedding, limit = 5, filter = null) {
+    try {
+      // Ensure queryEmbedding is an array
+      if (!Array.isArray(queryEmbedding)) {
+        console.error(
+          "Error: queryEmbedding is not an array:",
+          typeof queryEmbedding
+        );
+        return [];
+      }
+
+      const candidates = await this.scroll(this.excludePending(filter));
+
+      return candidates
+        .map((point) => ({
+          point,
+          score: embeddingService.calculateSimilarity(
+            queryEmbedding,
+            point.vector
+          ),
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ point, score }) =>
+          this.toResult(point.id, point.payload, score)
+        );
+    } catch (error) {
+      console.error("Error searching vectors:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rank chunks by BM25 keyword score
+   */
+  async searchKeyword(queryText, limit = 10, filter = null) {
+    await this.ensureLoaded();
+
+    return this.keywordIndex
+      .search(queryText, limit, this.excludePending(filter))
+      .map(({ id, payload, score }) => this.toResult(id, payload, score));
+  }
+
+  /**
+   * Search by file ID and page number
+   */
+  async searchByFileIdAndPage(fileId, pageNumber, limit = 10) {
+    try {
+      const points = await this.scroll(
+        this.excludePending({
+          must: [
+            { key: "fileId", match: { value: fileId } },
+            { key: "pageNumber", match: { value: pageNumber } },
+          ],
+        }),
+        limit
+      );
+
+      // All points from same page have equal relevance
+      return points.map((point) => this.toResult(point.id, point.payload, 1.0));
+    } catch (error) {
+      console.error("Error searching by file ID and page:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Search by file ID
+   */
+  async searchByFileId(fileId, limit = 10) {
+    try {
+      const points = await this.scroll(
+        this.excludePending({
+          must: [{ key: "fileId", match: { value: fileId } }],
+        }),
+        limit
+      );
+
+      // All points from same file have equal relevance
+      return points.map((point) => this.toResult(point.id, point.payload, 1.0));
+    } catch (error) {
+      console.error("Error searching by file ID:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Search by document type
+   */
+  async searchByDocumentType(documentType, limit = 10) {
+    try {
+      const points = await this.scroll(
+        { must: [{ key: "documentType", match: { value: documentType } }] },
+        limit
+      );
+
+      return points.map((point) => this.toResult(point.id, point.payload, 1.0));
+    } catch (error) {
+      console.error("Error searching by document type:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete embeddings by file ID
+   */
+  async deleteByFileId(fileId) {
+    try {
+      const points = await this.scroll({
+        must: [{ key: "fileId", match: { value: fileId } }],
+      });
+
+      points.forEach((point) => {
+        this.points.delete(point.id);
+        this.keywordIndex.remove(point.id);
+      });
+      await this.save();
+
+      console.log(`✅ Deleted embeddings for file: ${fileId}`);
+      return true;
+    } catch (error) {
+      console.error("Error deleting embeddings:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get collection statistics
+   */
+  async getCollectionInfo() {
+    await this.ensureLoaded();
+
+    return {
+      name: this.collectionName,
+      vectorSize: await this.getVectorSize(),
+      distance: "Cosine",
+      pointsCount: this.points.size,
+      segmentsCount: 1,
+    };
+  }
+
+  /**
+   * Get all files in the store
+   */
+  async getAllFiles() {
+    await this.ensureLoaded();
+
+    const files = new Map();
+
+    this.points.forEach((point) => {
+      const fileId = point.payload.fileId;
+      if (!files.has(fileId)) {
+        files.set(fileId, {
+          fileId: fileId,
+          documentType: point.payload.documentType,
+          chunksCount: 0,
+          uploadedAt: point.payload.uploadedAt,
+        });
+      }
+      files.get(fileId).chunksCount++;
+    });
+
+    return Array.from(files.values());
+  }
+
+  /**
+   * Get chunks that are still waiting for an embedding
+   */
+  async getPendingChunks(limit = 10) {
+    const points = await this.scroll(
+      { must: [{ key: "embeddingStatus", match: { value: "pending" } }] },
+      limit
+    );
+
+    return points.map((point) => ({
+      id: point.id,
+      content: point.payload.content,
+      fileId: point.payload.fileId,
+      embeddingAttempts: point.payload.embeddingAttempts || 0,
+    }));
+  }
+
+  /**
+   * Store the embedding of a pending chunk and make it searchable
+   */
+  async updateEmbedding(id, embedding) {
+    await this.ensureLoaded();
+
+    const point = this.points.get(id);
+    if (!point) {
+      throw new Error(`Point ${id} not found`);
+    }
+
+    point.vector = embedding;
+    point.payload.embeddingStatus = "embedded";
+    await this.save();
+    this.keywordIndex.updatePayload(id, { embeddingStatus: "embedded" });
+
+    return true;
+  }
+
+  /**
+   * Record a failed embedding attempt on a pending chunk
+   */
+  async recordEmbeddingAttempt(id, attempts, embeddingStatus = "pending") {
+    await this.ensureLoaded();
+
+    const point = this.points.get(id);
+    if (!point) {
+      throw new Error(`Point ${id} not found`);
+    }
+
+    const payload = { embeddingAttempts: attempts, embeddingStatus };
+    Object.assign(point.payload, payload);
+    await this.save();
+    this.keywordIndex.updatePayload(id, payload);
+
+    return true;
+  }
+
+  /**
+   * Count chunks of a file with an embedding status
+   */
+  async countByEmbeddingStatus(fileId, embeddingStatus) {
+    const points = await this.scroll({
+      must: [
+        { key: "fileId", match: { value: fileId } },
+        { key: "embeddingStatus", match: { value: embeddingStatus } },
+      ],
+    });
+
+    return points.length;
+  }
+
+  /**
+   * Health check for the store file
+   */
+  async healthCheck() {
+    try {
+      await this.ensureLoaded();
+      return { status: "healthy", timestamp: new Date().toISOString() };
+    } catch (error) {
+      return {
+        status: "unhealthy",
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      };
+    }
+  }
+}
+
+module.exports = MemoryVectorStore;
@@ -0,0 +1,656 @@
+const { QdrantClient } = require("@qdrant/js-client-rest");
+const BaseVectorStore = require("./baseVectorStore");
+const KeywordIndex = require("./keywordIndex");
+const embeddingService = require("../embeddingService");
+
+// Named sparse vector holding each chunk's BM25 term weights; the dense
+// embedding is the collection's unnamed vector
+const KEYWORD_VECTOR = "keywords";
+
+// Chunk length, in terms, that BM25 length normalization assumes. Chunks
+// hold up to 512 words, so this sits near the typical chunk.
+const AVERAGE_CHUNK_TERMS = 256;
+
+// Payload fields used in filters, with the type of their index
+const PAYLOAD_INDEXES = {
+  fileId: "keyword",
+  documentType: "keyword",
+  section: "keyword",
+  pageNumber: "integer",
+  chunkType: "keyword",
+  embeddingStatus: "keyword",
+  entityKeys: "keyword",
+};
+
+/**
+ * Vector store backed by a Qdrant collection. Keyword search runs in
+ * Qdrant over a sparse vector of BM25 term weights, with IDF computed by
+ * Qdrant across the whole collection.
+ */
+class QdrantVectorStore extends BaseVectorStore {
+  constructor() {
+    super();
+    this.name = "qdrant";
+    this.client = new QdrantClient({
+      url: process.env.QDRANT_URL || "http://localhost:6333",
+      apiKey: process.env.QDRANT_API_KEY,
+    });
+
+    this.collectionName = process.env.QDRANT_COLLECTION || "pdf_chunks";
+    // Only used for its tokenizer and BM25 weights; holds no documents
+    this.keywordScorer = new KeywordIndex();
+    this.keywordVectorsPromise = null;
+  }
+
+  /**
+   * Step 6: Store in Vector DB
+   */
+  async initializeCollection() {
+    try {
+      // Check if collection exists
+      const collections = await this.client.getCollections();
+      const collectionExists = collections.collections.some(
+        (col) => col.name === this.collectionName
+      );
+
+      if (!collectionExists) {
+        await this.createCollection();
+      } else {
+        // Check if pageNumber index exists, if not, recreate collection
+        let info = null;
+        try {
+          info = await this.client.getCollection(this.collectionName);
+          console.log(`✅ Collection '${this.collectionName}' already exists`);
+        } catch (error) {
+          console.log(
+            `🔄 Recreating collection '${this.collectionName}' with updated indexes`
+          );
+          await this.client.deleteCollection(this.collectionName);
+          await this.createCollection();
+        }
+
+        // Vectors from a different embedding provider cannot be mixed in
+        // one collection
+        const vectorSize = await this.getVectorSize();
+        const collectionSize = info?.config?.params?.vectors?.size;
+        if (collectionSize && collectionSize !== vectorSize) {
+          throw new Error(
+            `Collection '${this.collectionName}' stores ${collectionSize}-dimensional vectors but the ${embeddingService.provider.name} embedding provider produces ${vectorSize}. Set QDRANT_COLLECTION to use a separate collection.`
+          );
+        }
+
+        await this.createPayloadIndexes(info?.payload_schema);
+      }
+
+      return true;
+    } catch (error) {
+      console.error("Error initializing collection:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create the collection with proper configuration
+   */
+  async createCollection() {
+    try {
+      await this.client.createCollection(this.collectionName, {
+        vectors: {
+          size: await this.getVectorSize(),
+          distance: "Cosine",
+        },
+        sparse_vectors: {
+          [KEYWORD_VECTOR]: { modifier: "idf" },
+        },
+      });
+      this.keywordVectorsPromise = null;
+
+      await this.createPayloadIndexes();
+
+      console.log(
+        `✅ Collection '${this.collectionName}' created successfully`
+      );
+    } catch (error) {
+      console.error("Error creating collection:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create the payload indexes filters rely on that the collection lacks,
+   * e.g. indexes added after it was created. `existing` is the collection's
+   * payload schema.
+   */
+  async createPayloadIndexes(existing = {}) {
+    for (const [field, schema] of Object.entries(PAYLOAD_INDEXES)) {
+      if (existing && existing[field]) {
+        continue;
+      }
+
+      await this.client.createPayloadIndex(this.collectionName, {
+        field_name: field,
+        field_schema: schema,
+      });
+      console.log(`✅ Created payload index on '${field}'`);
+    }
+  }
+
+  /**
+   * Create missing payload indexes on an existing collection; a collection
+   * that does not exist yet gets them when it is created
+   */
+  async ensurePayloadIndexes() {
+    try {
+      const collections = await this.client.getCollections();
+      const collectionExists = collections.collections.some(
+        (col) => col.name === this.collectionName
+      );
+      if (!collectionExists) {
+        return;
+      }
+
+      const info = await this.client.getCollection(this.collectionName);
+      await this.createPayloadIndexes(info.payload_schema);
+    } catch (error) {
+      console.error("Error creating payload indexes:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store embeddings in Qdrant
+   */
+  async storeEmbeddings(embeddings, signal = null) {
+    try {
+      // Check if request was aborted
+      if (signal && signal.aborted) {
+        console.log("❌ Vector storage aborted by client");
+        throw new Error("Request aborted by client");
+      }
+
+      // Pending chunks have no embedding yet. Qdrant needs a vector for
+      // every point, so they get a placeholder and are kept out of
+      // similarity search by their embeddingStatus until re-embedded.
+      const vectorSize = await this.getVectorSize();
+      const placeholderVector = new Array(vectorSize).fill(0);
+      placeholderVector[0] = 1;
+
+      const keywordVectors = await this.hasKeywordVectors();
+      const points = embeddings.map((embedding) => {
+        const vector = embedding.embedding || placeholderVector;
+        const keywords = this.keywordScorer.toDocumentVector(
+          embedding.content,
+          AVERAGE_CHUNK_TERMS
+        );
+
+        return {
+          id: embedding.id,
+          vector:
+            keywordVectors && keywords.indices.length > 0
+              ? { "": vector, [KEYWORD_VECTOR]: keywords }
+              : vector,
+          payload: this.toPayload(embedding),
+        };
+      });
+
+      await this.client.upsert(this.collectionName, {
+        points: points,
+      });
+
+      console.log(`✅ Stored ${points.length} embeddings in Qdrant`);
+      return points.length;
+    } catch (error) {
+      console.error("Error storing embeddings:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search for similar vectors
+   */
+  async searchDense(queryEmbedding, limit = 5, filter = null) {
+    try {
+      // Ensure queryEmbedding is an array
+      if (!Array.isArray(queryEmbedding)) {
+        console.error(
+          "Error: queryEmbedding is not an array:",
+          typeof queryEmbedding
+        );
+        return [];
+      }
+
+      // Check if queryEmbedding is a zero vector (all zeros)
+      const isZeroVector = queryEmbedding.every((val) => val === 0);
+
+      if (isZeroVector && !filter) {
+        // If it's a zero vector and no filter, we can't do a meaningful search
+        console.warn(
+          "Warning: Zero vector provided without filter, returning empty results"
+        );
+        return [];
+      }
+
+      const searchParams = {
+        vector: queryEmbedding,
+        limit: limit,
+        with_payload: true,
+        with_vector: false,
+        filter: this.excludePending(filter),
+      };
+
+      console.log(`🔍 Searching with params:`, {
+        vectorSize: queryEmbedding.length,
+        limit: limit,
+        hasFilter: !!filter,
+        isZeroVector: isZeroVector,
+      });
+
+      const results = await this.client.search(
+        this.collectionName,
+        searchParams
+      );
+
+      return results.map((result) =>
+        this.toResult(result.id, result.payload, result.score)
+      );
+    } catch (error) {
+      console.error("Error searching vectors:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rank chunks by BM25 keyword score, using the collection's keyword
+   * vectors. Collections created before keyword vectors existed have none,
+   * and return no keyword matches.
+   */
+  async searchKeyword(queryText, limit = 10, filter = null) {
+    try {
+      const query = this.keywordScorer.toQueryVector(queryText);
+      if (query.indices.length === 0 || !(await this.hasKeywordVectors())) {
+        return [];
+      }
+
+      const results = await this.client.query(this.collectionName, {
+        query: query,
+        using: KEYWORD_VECTOR,
+        limit: limit,
+        filter: this.excludePending(filter),
+        with_payload: true,
+        with_vector: false,
+      });
+
+      return results.points.map((point) =>
+        this.toResult(point.id, point.payload, point.score)
+      );
+    } catch (error) {
+      console.error("Error searching keywords:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the collection has the keyword sparse vector. Checked once;
+   * a collection without it gets a warning, since it needs to be
+   * recreated for keyword search to work.
+   */
+  async hasKeywordVectors() {
+    if (!this.keywordVectorsPromise) {
+      this.keywordVectorsPromise = this.client
+        .getCollection(this.collectionName)
+        .then((info) => {
+          const enabled = Boolean(
+            info?.config?.params?.sparse_vectors?.[KEYWORD_VECTOR]
+          );
+          if (!enabled) {
+            console.warn(
+              `⚠️ Collection '${this.collectionName}' has no keyword vectors, so search uses vector similarity only. Set QDRANT_COLLECTION to a new collection and upload the files again to enable keyword search.`
+            );
+          }
+          return enabled;
+        })
+        .catch((error) => {
+          this.keywordVectorsPromise = null;
+          throw error;
+        });
+    }
+
+    return this.keywordVectorsPromise;
+  }
+
+  /**
+   * Get chunks that are still waiting for an embedding
+   */
+  async getPendingChunks(limit = 10) {
+    try {
+      const scrollResults = await this.client.scroll(this.collectionName, {
+        filter: {
+          must: [
+            {
+              key: "embeddingStatus",
+              match: { value: "pending" },
+            },
+          ],
+        },
+        limit: limit,
+        with_payload: true,
+        with_vector: false,
+      });
+
+      return scrollResults.points.map((point) => ({
+        id: point.id,
+        content: point.payload.content,
+        fileId: point.payload.fileId,
+        embeddingAttempts: point.payload.embeddingAttempts || 0,
+      }));
+    } catch (error) {
+      console.error("Error getting pending chunks:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the embedding of a pending chunk and make it searchable
+   */
+  async updateEmbedding(id, embedding) {
+    try {
+      await this.client.updateVectors(this.collectionName, {
+        points: [{ id: id, vector: embedding }],
+      });
+
+      await this.client.setPayload(this.collectionName, {
+        payload: { embeddingStatus: "embedded" },
+        points: [id],
+      });
+
+      return true;
+    } catch (error) {
+      console.error("Error updating embedding:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a failed embedding attempt on a pending chunk
+   */
+  async recordEmbeddingAttempt(id, attempts, embeddingStatus = "pending") {
+    try {
+      await this.client.setPayload(this.collectionName, {
+        payload: { embeddingAttempts: attempts, embeddingStatus },
+        points: [id],
+      });
+
+      return true;
+    } catch (error) {
+      console.error("Error recording embedding attempt:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count chunks of a file with an embedding status
+   */
+  async countByEmbeddingStatus(fileId, embeddingStatus) {
+    try {
+      const result = await this.client.count(this.collectionName, {
+        filter: {
+          must: [
+            {
+              key: "fileId",
+              match: { value: fileId },
+            },
+            {
+              key: "embeddingStatus",
+              match: { value: embeddingStatus },
+            },
+          ],
+        },
+        exact: true,
+      });
+
+      return result.count;
+    } catch (error) {
+      console.error(`Error counting ${embeddingStatus} chunks:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Get all points matching a filter, following Qdrant's scroll pages
+   */
+  async scrollAll(filter = null) {
+    try {
+      const points = [];
+      let offset = undefined;
+
+      do {
+        const scrollResults = await this.client.scroll(this.collectionName, {
+          filter: filter || undefined,
+          limit: 256,
+          offset: offset,
+          with_payload: true,
+          with_vector: false,
+        });
+
+        scrollResults.points.forEach((point) => {
+          points.push({ id: point.id, payload: point.payload });
+        });
+        offset = scrollResults.next_page_offset;
+      } while (offset !== null && offset !== undefined);
+
+      return points;
+    } catch (error) {
+      console.error("Error scrolling collection:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search by file ID and page number
+   */
+  async searchByFileIdAndPage(fileId, pageNumber, limit = 10) {
+    try {
+      console.log(
+        `🔍 Searching for fileId: ${fileId}, pageNumber: ${pageNumber}`
+      );
+
+      const filter = this.excludePending({
+        must: [
+          {
+            key: "fileId",
+            match: { value: fileId },
+          },
+          {
+            key: "pageNumber",
+            match: { value: pageNumber },
+          },
+        ],
+      });
+
+      console.log(`🔍 Using filter:`, JSON.stringify(filter, null, 2));
+
+      // Get all points for this file and page using scroll
+      const scrollResults = await this.client.scroll(this.collectionName, {
+        filter: filter,
+        limit: limit,
+        with_payload: true,
+        with_vector: false,
+      });
+
+      console.log(
+        `🔍 Scroll results: ${scrollResults.points.length} points found`
+      );
+
+      // Debug: Show some sample points to understand the data structure
+      if (scrollResults.points.length > 0) {
+        const samplePoint = scrollResults.points[0];
+        console.log(`🔍 Sample point payload:`, {
+          fileId: samplePoint.payload.fileId,
+          pageNumber: samplePoint.payload.pageNumber,
+          content: samplePoint.payload.content.substring(0, 100),
+        });
+      }
+
+      // All points from same page have equal relevance
+      return scrollResults.points.map((point) =>
+        this.toResult(point.id, point.payload, 1.0)
+      );
+    } catch (error) {
+      console.error("Error searching by file ID and page:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Search by file ID
+   */
+  async searchByFileId(fileId, limit = 10) {
+    try {
+      // Use a simple query to get all points for this file
+      const filter = this.excludePending({
+        must: [
+          {
+            key: "fileId",
+            match: { value: fileId },
+          },
+        ],
+      });
+
+      // Get all points for this file using scroll instead of search
+      const scrollResults = await this.client.scroll(this.collectionName, {
+        filter: filter,
+        limit: limit,
+        with_payload: true,
+        with_vector: false,
+      });
+
+      // All points from same file have equal relevance
+      return scrollResults.points.map((point) =>
+        this.toResult(point.id, point.payload, 1.0)
+      );
+    } catch (error) {
+      console.error("Error searching by file ID:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Search by document type
+   */
+  async searchByDocumentType(documentType, limit = 10) {
+    try {
+      const filter = {
+        must: [
+          {
+            key: "documentType",
+            match: { value: documentType },
+          },
+        ],
+      };
+
+      // Use a dummy vector for filtering (we're filtering by documentType anyway)
+      const dummyVector = new Array(await this.getVectorSize()).fill(0.1);
+
+      return await this.searchSimilar(dummyVector, limit, filter);
+    } catch (error) {
+      console.error("Error searching by document type:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete embeddings by file ID
+   */
+  async deleteByFileId(fileId) {
+    try {
+      const filter = {
+        must: [
+          {
+            key: "fileId",
+            match: { value: fileId },
+          },
+        ],
+      };
+
+      await this.client.delete(this.collectionName, {
+        filter: filter,
+      });
+
+      console.log(`✅ Deleted embeddings for file: ${fileId}`);
+      return true;
+    } catch (error) {
+      console.error("Error deleting embeddings:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get collection statistics
+   */
+  async getCollectionInfo() {
+    try {
+      const info = await this.client.getCollection(this.collectionName);
+      return {
+        name: info.name,
+        vectorSize: info.config.params.vectors.size,
+        distance: info.config.params.vectors.distance,
+        pointsCount: info.points_count,
+        segmentsCount: info.segments_count,
+      };
+    } catch (error) {
+      console.error("Error getting collection info:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all files in the database
+   */
+  async getAllFiles() {
+    try {
+      const results = await this.client.scroll(this.collectionName, {
+        limit: 1000,
+        with_payload: true,
+        with_vector: false,
+      });
+
+      const files = new Map();
+
+      results.points.forEach((point) => {
+        const fileId = point.payload.fileId;
+        if (!files.has(fileId)) {
+          files.set(fileId, {
+            fileId: fileId,
+            documentType: point.payload.documentType,
+            chunksCount: 0,
+            uploadedAt: point.payload.uploadedAt,
+          });
+        }
+        files.get(fileId).chunksCount++;
+      });
+
+      return Array.from(files.values());
+    } catch (error) {
+      console.error("Error getting all files:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Health check for Qdrant
+   */
+  async healthCheck() {
+    try {
+      await this.client.getCollections();
+      return { status: "healthy", timestamp: new Date().toISOString() };
+    } catch (error) {
+      return {
+        status: "unhealthy",
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      };
+    }
+  }
+}
+
+module.exports = QdrantVectorStore;
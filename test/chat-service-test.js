@@ -0,0 +1,309 @@
+// Embeddings, vectors and the chat model stay in this process
+process.env.EMBEDDING_PROVIDER = "local";
+process.env.EMBEDDING_DIMENSION = "384";
+process.env.VECTOR_STORE = "memory";
+process.env.VECTOR_STORE_PATH = "";
+process.env.RERANK_ENABLED = "false";
+
+const express = require("express");
+const embeddingService = require("../services/embeddingService");
+const vectorDBService = require("../services/vectorDBService");
+const chatService = require("../services/chatService");
+const {
+  createLLMProvider,
+  OpenAICompatibleProvider,
+} = require("../services/llm");
+const chatRoutes = require("../routes/chatRoutes");
+const pdfRoutes = require("../routes/pdfRoutes");
+
+const PAGES = [
+  "Consulting services agreement between Acme Corporation and Globex",
+  "Either party may terminate this agreement with thirty days notice",
+  "Invoice INV-2041 the total amount due is 500 dollars payable within 30 days",
+];
+
+/**
+ * Store one page chunk per text for a file; `pending` chunks are stored
+ * without an embedding, the way ingestion stores failed embeddings
+ */
+async function storeFile(fileId, texts, pending = []) {
+  const embeddings = await embeddingService.getBatchEmbeddings(texts);
+
+  await vectorDBService.storeEmbeddings(
+    texts.map((content, index) => ({
+      id: `${fileId}-${index}`,
+      content,
+      metadata: {
+        fileId,
+        documentType: "contract",
+        section: "page_content",
+        sectionTitle: `Page ${index + 1}`,
+        chunkIndex: index,
+        pageNumber: index + 1,
+        chunkType: "page",
+      },
+      embedding: pending.includes(index) ? null : embeddings[index],
+    }))
+  );
+}
+
+/**
+ * Chat model stub: models in `failing` throw before their first token,
+ * the others answer with `reply`, streamed word by word
+ */
+function stubProvider(reply, failing = []) {
+  const calls = [];
+
+  return {
+    name: "stub",
+    calls,
+    async chatCompletion(params) {
+      calls.push(params.model);
+      if (failing.includes(params.model)) {
+        throw new Error(`${params.model} is unavailable`);
+      }
+      return reply;
+    },
+    async *chatCompletionStream(params) {
+      calls.push(params.model);
+      if (failing.includes(params.model)) {
+        throw new Error(`${params.model} is unavailable`);
+      }
+      for (const token of reply.split(/(?=\s)/)) {
+        yield token;
+      }
+    },
+  };
+}
+
+/**
+ * Start an app with the chat and PDF routes and the abort controller the
+ * server adds to every request
+ */
+function startApp() {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.abortController = new AbortController();
+    next();
+  });
+  app.use("/api/chat", chatRoutes);
+  app.use("/api/pdf", pdfRoutes);
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => resolve(server));
+  });
+}
+
+/**
+ * Split a server-sent event stream into [{ event, data }]
+ */
+function parseEvents(body) {
+  return body
+    .split("\n\n")
+    .filter((block) => block.trim())
+    .map((block) => {
+      const event = block.match(/^event: (.*)$/m)[1];
+      const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+      return { event, data };
+    });
+}
+
+async function testChatService() {
+  const llmProvider = chatService.llmProvider;
+  const models = chatService.models;
+  const server = await startApp();
+  const baseUrl = `http://localhost:${server.address().port}/api`;
+
+  try {
+    console.log("🧪 Testing chat service...");
+
+    await storeFile("contract-1", PAGES, [1]);
+    await storeFile("contract-2", ["Invoice INV-9999 total amount 70 dollars"]);
+
+    // Test 1: Chat with one file searches that file by the query and cites
+    // the numbered sources
+    console.log("\n1. Testing file-scoped retrieval and citations...");
+    chatService.llmProvider = stubProvider("The total is 500 dollars [1].");
+    const result = await chatService.chatWithPDF(
+      "What is the total amount due on invoice INV-2041?",
+      "contract-1"
+    );
+    const [first] = result.citations;
+    if (
+      result.response === "The total is 500 dollars [1]." &&
+      result.citations.length === 2 &&
+      result.citations.every((citation) => citation.fileId === "contract-1") &&
+      first.source === 1 &&
+      first.page === 3 &&
+      first.section === "Page 3" &&
+      first.snippet === PAGES[2] &&
+      first.score === result.context.confidence &&
+      result.context.confidence > 0 &&
+      result.citations.map((citation) => citation.source).join() === "1,2"
+    ) {
+      console.log("✅ File-scoped retrieval and citations passed");
+    } else {
+      console.log("❌ File-scoped retrieval and citations failed:", result);
+    }
+
+    // Test 2: Long chunks are cut to a snippet
+    console.log("\n2. Testing citation snippets...");
+    const [citation] = chatService.buildCitations([
+      {
+        content: "x".repeat(300),
+        score: 0.5,
+        metadata: { fileId: "contract-1", section: "page_content" },
+      },
+    ]);
+    if (
+      citation.snippet === `${"x".repeat(200)}...` &&
+      citation.page === null &&
+      citation.section === null &&
+      citation.rerankScore === null
+    ) {
+      console.log("✅ Citation snippets passed");
+    } else {
+      console.log("❌ Citation snippets failed:", citation);
+    }
+
+    // Test 3: /query streams server-sent events when asked to, switching to
+    // the fallback model when the primary fails before its first token
+    console.log("\n3. Testing streaming /query with a model fallback...");
+    const provider = stubProvider("Payment is due within 30 days [1].", [
+      "primary-model",
+    ]);
+    chatService.llmProvider = provider;
+    chatService.models = [
+      { name: "Primary Model", model: "primary-model" },
+      { name: "Fallback Model 1", model: "fallback-model" },
+    ];
+    const response = await fetch(`${baseUrl}/chat/query`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "text/event-stream",
+      },
+      body: JSON.stringify({
+        query: "When is payment due?",
+        fileId: "contract-1",
+      }),
+    });
+    const events = parseEvents(await response.text());
+    const names = events.map(({ event }) => event);
+    const tokens = events
+      .filter(({ event }) => event === "token")
+      .map(({ data }) => data.token);
+    const model = events.find(({ event }) => event === "model");
+    const metadata = events.find(({ event }) => event === "metadata");
+    if (
+      response.headers.get("content-type").startsWith("text/event-stream") &&
+      names.slice(0, 3).join() === "context,citations,model" &&
+      names.slice(-2).join() === "metadata,done" &&
+      tokens.length > 1 &&
+      tokens.join("") === "Payment is due within 30 days [1]." &&
+      model.data.model === "fallback-model" &&
+      metadata.data.model.model === "fallback-model" &&
+      provider.calls.join() === "primary-model,fallback-model"
+    ) {
+      console.log("✅ Streaming /query with a model fallback passed");
+    } else {
+      console.log("❌ Streaming /query with a model fallback failed:", events);
+    }
+
+    // Test 4: A stream whose models all fail ends with an error event
+    console.log("\n4. Testing streaming errors...");
+    chatService.llmProvider = stubProvider("unused", [
+      "primary-model",
+      "fallback-model",
+    ]);
+    const failed = parseEvents(
+      await (
+        await fetch(`${baseUrl}/chat/query/stream`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ query: "When is payment due?" }),
+        })
+      ).text()
+    );
+    const last = failed[failed.length - 1];
+    if (
+      last.event === "error" &&
+      last.data.message.includes("fallback-model is unavailable") &&
+      !failed.some(({ event }) => event === "token" || event === "done")
+    ) {
+      console.log("✅ Streaming errors passed");
+    } else {
+      console.log("❌ Streaming errors failed:", failed);
+    }
+
+    // Test 5: LLM_PROVIDER picks the provider, and only Hugging Face gets
+    // the default fallback models
+    console.log("\n5. Testing provider switching...");
+    const env = { ...process.env };
+    process.env.LLM_PROVIDER = "openai";
+    process.env.LLM_BASE_URL = "http://localhost:8080/v1";
+    process.env.PRIMARY_MODEL = "local-model";
+    delete process.env.FALLBACK_MODEL_1;
+    delete process.env.FALLBACK_MODEL_2;
+    const openAIChat = new chatService.constructor();
+    process.env.LLM_PROVIDER = "huggingface";
+    const huggingFaceChat = new chatService.constructor();
+    process.env = env;
+    let unknownRejected = false;
+    try {
+      createLLMProvider("unknown");
+    } catch (error) {
+      unknownRejected = error.message === "Unknown LLM provider: unknown";
+    }
+    if (
+      openAIChat.llmProvider instanceof OpenAICompatibleProvider &&
+      openAIChat.models.map(({ model }) => model).join() === "local-model" &&
+      huggingFaceChat.llmProvider.name === "huggingface" &&
+      huggingFaceChat.models.length === 3 &&
+      unknownRejected
+    ) {
+      console.log("✅ Provider switching passed");
+    } else {
+      console.log("❌ Provider switching failed:", {
+        openAI: openAIChat.models,
+        huggingFace: huggingFaceChat.models,
+      });
+    }
+
+    // Test 6: Chunks pending an embedding are counted on the file and kept
+    // out of answers
+    console.log("\n6. Testing pending-embedding status...");
+    const file = await (await fetch(`${baseUrl}/pdf/file/contract-1`)).json();
+    chatService.llmProvider = stubProvider("Yes, with notice.");
+    const termination = await chatService.chatWithPDF(
+      "Can either party terminate this agreement with notice?",
+      "contract-1"
+    );
+    if (
+      file.pendingEmbeddings === 1 &&
+      file.failedEmbeddings === 0 &&
+      file.totalChunks === 2 &&
+      !termination.citations.some((citation) => citation.page === 2)
+    ) {
+      console.log("✅ Pending-embedding status passed");
+    } else {
+      console.log("❌ Pending-embedding status failed:", file);
+    }
+
+    console.log("\n✅ Chat service tests completed!");
+  } catch (error) {
+    console.error("❌ Test failed:", error.message);
+  } finally {
+    chatService.llmProvider = llmProvider;
+    chatService.models = models;
+    server.close();
+  }
+}
+
+// Run the test if this file is executed directly
+if (require.main === module) {
+  testChatService();
+}
+
+module.exports = { testChatService };
@@ -0,0 +1,261 @@
+const pdfService = require("../services/pdfService");
+const embeddingService = require("../services/embeddingService");
+const { detectFileType } = require("../services/extractors");
+const { buildPdf } = require("./fixtures/pdfBuilder");
+const { buildDocx } = require("./fixtures/docxBuilder");
+
+const upload = (originalname, content, mimetype = "") => ({
+  originalname,
+  mimetype,
+  buffer: Buffer.isBuffer(content) ? content : Buffer.from(content),
+});
+
+async function testDocxExtraction() {
+  console.log("\n📊 Test 1: DOCX extraction...");
+
+  const file = upload(
+    "agreement.docx",
+    buildDocx([
+      { text: "Services Agreement", heading: 1 },
+      { text: "This agreement is made between the parties." },
+      { text: "1. Definitions", heading: 2 },
+      { text: "Terms used have these meanings." },
+      {
+        table: [
+          ["Term", "Meaning"],
+          ["Client", "Acme Ltd"],
+        ],
+      },
+      { text: "2. Payment", heading: 2 },
+      { text: "Invoices are due within 30 days." },
+    ])
+  );
+
+  const { fileType } = await pdfService.validateUpload(file);
+  const parsed = await pdfService.parseDocument(file.buffer, fileType);
+  const structured = pdfService.fallbackStructuredExtraction(parsed);
+  const [root] = structured.outline;
+  const payment = structured.sections.find(
+    (section) => section.title === "2. Payment"
+  );
+  const chunks = embeddingService.createChunks(structured);
+
+  if (
+    fileType === "docx" &&
+    parsed.fileType === "docx" &&
+    parsed.totalPages === 1 &&
+    structured.outlineSource === "markup" &&
+    root.title === "Services Agreement" &&
+    root.children.map((child) => child.title).join("|") ===
+      "1. Definitions|2. Payment" &&
+    payment.content.join(" ") === "Invoices are due within 30 days." &&
+    structured.tables[0].rows[0].join("|") === "Client|Acme Ltd" &&
+    chunks.some((chunk) => chunk.metadata.chunkType === "table")
+  ) {
+    console.log("✅ DOCX extraction passed");
+  } else {
+    console.log("❌ DOCX extraction failed:", {
+      fileType,
+      outline: structured.outline,
+      sections: structured.sections,
+    });
+  }
+}
+
+async function testHtmlExtraction() {
+  console.log("\n📊 Test 2: HTML extraction...");
+
+  const file = upload(
+    "handbook.html",
+    `<!DOCTYPE html>
+<html>
+  <head>
+    <title>Employee Handbook</title>
+    <meta name="author" content="People Team">
+    <style>h2 { color: red; }</style>
+  </head>
+  <body>
+    <script>trackPageView();</script>
+    <h2>Leave</h2>
+    <p>Staff get <b>25 days</b> of annual leave. See the <a href="https://example.com/leave">leave policy</a>.</p>
+    <h3>Carry over</h3>
+    <ul><li>Up to 5 days</li><li>Used by March</li></ul>
+    <h2>Expenses</h2>
+    <pre>Meals:  40.00
+Travel: actual cost</pre>
+  </body>
+</html>`
+  );
+
+  const { fileType } = await pdfService.validateUpload(file);
+  const parsed = await pdfService.parseDocument(file.buffer, fileType);
+  const structured = pdfService.fallbackStructuredExtraction(parsed);
+
+  if (
+    fileType === "html" &&
+    parsed.info.Title === "Employee Handbook" &&
+    parsed.metadata.author === "People Team" &&
+    parsed.pages[0].links[0].url === "https://example.com/leave" &&
+    parsed.pages[0].links[0].text === "leave policy" &&
+    !parsed.rawText.includes("trackPageView") &&
+    !parsed.rawText.includes("color") &&
+    parsed.rawText.includes("Staff get 25 days of annual leave.") &&
+    parsed.rawText.includes("- Up to 5 days\n- Used by March") &&
+    parsed.rawText.includes("Meals:  40.00") &&
+    structured.outline.map((node) => node.title).join("|") ===
+      "Leave|Expenses" &&
+    structured.outline[0].level === 1 &&
+    structured.outline[0].children[0].title === "Carry over"
+  ) {
+    console.log("✅ HTML extraction passed");
+  } else {
+    console.log("❌ HTML extraction failed:", {
+      info: parsed.info,
+      rawText: parsed.rawText,
+      outline: structured.outline,
+    });
+  }
+}
+
+async function testMarkdownExtraction() {
+  console.log("\n📊 Test 3: Markdown extraction...");
+
+  const file = upload(
+    "README.md",
+    [
+      "Release Notes",
+      "=============",
+      "",
+      "## Fixes",
+      "",
+      "1. Uploads no longer time out",
+      "2. Search handles *quoted* phrases",
+      "",
+      "## Pricing",
+      "",
+      "| Plan | Price |",
+      "| ---- | ----- |",
+      "| Team | 49    |",
+    ].join("\n"),
+    "application/octet-stream"
+  );
+
+  const { fileType } = await pdfService.validateUpload(file);
+  const parsed = await pdfService.parseDocument(file.buffer, fileType);
+  const structured = pdfService.fallbackStructuredExtraction(parsed);
+  const [root] = structured.outline;
+
+  if (
+    fileType === "markdown" &&
+    root.title === "Release Notes" &&
+    root.children.map((child) => child.title).join("|") === "Fixes|Pricing" &&
+    parsed.rawText.includes("2. Search handles quoted phrases") &&
+    structured.tables[0].header.join("|") === "Plan|Price" &&
+    structured.tables[0].rows[0].join("|") === "Team|49"
+  ) {
+    console.log("✅ Markdown extraction passed");
+  } else {
+    console.log("❌ Markdown extraction failed:", {
+      rawText: parsed.rawText,
+      outline: structured.outline,
+      tables: structured.tables,
+    });
+  }
+}
+
+async function testTextExtraction() {
+  console.log("\n📊 Test 4: Plain text extraction...");
+
+  const file = upload(
+    "notes.txt",
+    "\uFEFFMEETING NOTES\r\nBudget approved for Q3.\r\n\r\nACTIONS\r\nSend the contract to legal.\r\n",
+    "text/plain"
+  );
+
+  const { fileType } = await pdfService.validateUpload(file);
+  const parsed = await pdfService.parseDocument(file.buffer, fileType);
+  const structured = pdfService.fallbackStructuredExtraction(parsed);
+
+  if (
+    fileType === "txt" &&
+    parsed.rawText ===
+      "MEETING NOTES\nBudget approved for Q3.\nACTIONS\nSend the contract to legal." &&
+    structured.outlineSource === null &&
+    structured.sections.map((section) => section.title).join("|") ===
+      "MEETING NOTES|ACTIONS"
+  ) {
+    console.log("✅ Plain text extraction passed");
+  } else {
+    console.log("❌ Plain text extraction failed:", {
+      rawText: parsed.rawText,
+      sections: structured.sections,
+    });
+  }
+}
+
+async function testFileTypeDetection() {
+  console.log("\n📊 Test 5: File type detection...");
+
+  const pdf = buildPdf([{ texts: [{ text: "Hello" }] }]);
+  const detected = {
+    pdf: detectFileType(upload("scan.bin", pdf)),
+    paddedPdf: detectFileType(
+      upload("scan.pdf", Buffer.concat([Buffer.from("\uFEFF\r\n "), pdf]))
+    ),
+    mentionsPdf: detectFileType(
+      upload("notes.txt", "Every PDF starts with %PDF-1.7 and a binary line")
+    ),
+    docx: detectFileType(upload("upload", buildDocx([{ text: "Hi" }]))),
+    html: detectFileType(upload("page", "<!doctype html><p>Hi</p>")),
+    text: detectFileType(upload("", "Just some words")),
+    fakePdf: detectFileType(upload("invoice.pdf", "Not really a PDF")),
+    binary: detectFileType(upload("data.txt", Buffer.from([0x4d, 0x5a, 0]))),
+    otherZip: detectFileType(upload("archive.docx", Buffer.from("PK\x03\x04"))),
+  };
+
+  let rejection = null;
+  try {
+    await pdfService.validateUpload(upload("invoice.pdf", "Not really a PDF"));
+  } catch (error) {
+    rejection = { code: error.code, status: error.status };
+  }
+
+  if (
+    detected.pdf === "pdf" &&
+    detected.paddedPdf === "pdf" &&
+    detected.mentionsPdf === "txt" &&
+    detected.docx === "docx" &&
+    detected.html === "html" &&
+    detected.text === "txt" &&
+    detected.fakePdf === null &&
+    detected.binary === null &&
+    detected.otherZip === null &&
+    rejection?.code === "PDF_INVALID_HEADER" &&
+    rejection.status === 415
+  ) {
+    console.log("✅ File type detection passed");
+  } else {
+    console.log("❌ File type detection failed:", { detected, rejection });
+  }
+}
+
+async function testDocumentExtraction() {
+  try {
+    console.log("🧪 Testing document extraction...");
+    await testDocxExtraction();
+    await testHtmlExtraction();
+    await testMarkdownExtraction();
+    await testTextExtraction();
+    await testFileTypeDetection();
+    console.log("\n✅ Document extraction tests completed!");
+  } catch (error) {
+    console.error("❌ Test failed:", error.message);
+  }
+}
+
+// Run the test if this file is executed directly
+if (require.main === module) {
+  testDocumentExtraction();
+}
+
+module.exports = { testDocumentExtraction };
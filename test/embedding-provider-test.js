@@ -0,0 +1,94 @@
+const http = require("http");
+const {
+  LocalEmbedder,
+  OpenAICompatibleEmbedder,
+} = require("../services/embeddings");
+const embeddingService = require("../services/embeddingService");
+
+/**
+ * Start a stub OpenAI-compatible /embeddings server that returns
+ * deterministic 8-dimensional vectors in reverse order
+ */
+function startStubServer() {
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (data) => (body += data));
+    req.on("end", () => {
+      const { input } = JSON.parse(body);
+      const data = input.map((text, index) => ({
+        index,
+        embedding: new Array(8).fill(0).map((_, i) => text.length + i),
+      }));
+
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ data: data.reverse() }));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, () => resolve(server));
+  });
+}
+
+async function testLocalEmbedder() {
+  console.log("🧪 Testing local embedder...");
+  const embedder = new LocalEmbedder({ dimension: 384 });
+
+  const [invoice, invoiceQuery, resume] = await embedder.embed([
+    "Invoice number INV-2041 with a total amount of $500 due in March",
+    "What is the total amount on the invoice?",
+    "Software engineer with five years of React experience",
+  ]);
+
+  const related = embeddingService.calculateSimilarity(invoice, invoiceQuery);
+  const unrelated = embeddingService.calculateSimilarity(invoice, resume);
+
+  console.log(`  Related similarity: ${related.toFixed(3)}`);
+  console.log(`  Unrelated similarity: ${unrelated.toFixed(3)}`);
+
+  if (invoice.length === 384 && related > unrelated) {
+    console.log("✅ Local embedder passed");
+  } else {
+    console.log("❌ Local embedder failed");
+  }
+}
+
+async function testOpenAICompatibleEmbedder() {
+  console.log("\n🧪 Testing OpenAI-compatible embedder...");
+  const server = await startStubServer();
+
+  try {
+    const embedder = new OpenAICompatibleEmbedder({
+      baseUrl: `http://localhost:${server.address().port}/v1`,
+      model: "stub-embedder",
+    });
+
+    const vectors = await embedder.embed(["a", "abc"]);
+    const dimension = await embedder.getDimension();
+
+    if (vectors[0][0] === 1 && vectors[1][0] === 3 && dimension === 8) {
+      console.log("✅ OpenAI-compatible embedder passed");
+    } else {
+      console.log("❌ OpenAI-compatible embedder failed:", vectors, dimension);
+    }
+  } finally {
+    server.close();
+  }
+}
+
+async function testEmbeddingProviders() {
+  try {
+    await testLocalEmbedder();
+    await testOpenAICompatibleEmbedder();
+    console.log("\n✅ Embedding provider tests completed!");
+  } catch (error) {
+    console.error("❌ Test failed:", error.message);
+  }
+}
+
+// Run the test if this file is executed directly
+if (require.main === module) {
+  testEmbeddingProviders();
+}
+
+module.exports = { testEmbeddingProviders };
@@ -0,0 +1,122 @@
+// Vectors stay in this process
+process.env.VECTOR_STORE = "memory";
+process.env.VECTOR_STORE_PATH = "";
+
+const embeddingService = require("../services/embeddingService");
+const embeddingRetryService = require("../services/embeddingRetryService");
+const vectorDBService = require("../services/vectorDBService");
+const { LocalEmbedder } = require("../services/embeddings");
+
+const embedder = new LocalEmbedder({ dimension: 384 });
+
+/**
+ * Chunks stored as pending, the way ingestion stores chunks whose
+ * embedding failed
+ */
+function pendingChunks(fileId, contents) {
+  return contents.map((content, index) => ({
+    id: `${fileId}-${index}`,
+    content,
+    metadata: {
+      fileId,
+      documentType: "contract",
+      section: "page_content",
+      chunkIndex: index,
+      pageNumber: index + 1,
+      chunkType: "page",
+    },
+    embedding: null,
+  }));
+}
+
+async function testEmbeddingRetry() {
+  const getBatchEmbeddings = embeddingService.getBatchEmbeddings;
+
+  try {
+    console.log("🧪 Testing embedding retries...");
+
+    await vectorDBService.storeEmbeddings(
+      pendingChunks("contract-1", [
+        "Either party may terminate this agreement",
+        "CORRUPTED CHUNK",
+        "Payment is due within 30 days",
+      ])
+    );
+
+    // The provider rejects any request containing the corrupted chunk
+    const calls = [];
+    embeddingService.getBatchEmbeddings = async (texts) => {
+      calls.push(texts.length);
+      if (texts.includes("CORRUPTED CHUNK")) {
+        throw new Error("Input rejected");
+      }
+      return await embedder.embed(texts);
+    };
+
+    // Test 1: A failed batch is retried one chunk at a time
+    console.log("\n1. Testing fallback to single chunks...");
+    await embeddingRetryService.processPending();
+    embeddingRetryService.stop();
+    const [corrupted] = await vectorDBService.getPendingChunks(10);
+    if (
+      calls.join() === "3,1,1,1" &&
+      (await vectorDBService.countPendingByFileId("contract-1")) === 1 &&
+      corrupted.id === "contract-1-1" &&
+      corrupted.embeddingAttempts === 1 &&
+      embeddingRetryService.failures === 0
+    ) {
+      console.log("✅ Fallback to single chunks passed");
+    } else {
+      console.log("❌ Fallback to single chunks failed:", {
+        calls,
+        corrupted,
+      });
+    }
+
+    // Test 2: A chunk that failed waits for the backoff before its retry
+    console.log("\n2. Testing deferral of failed chunks...");
+    calls.length = 0;
+    await embeddingRetryService.processPending();
+    embeddingRetryService.stop();
+    if (calls.length === 0 && embeddingRetryService.failures === 1) {
+      console.log("✅ Deferral of failed chunks passed");
+    } else {
+      console.log("❌ Deferral of failed chunks failed:", calls);
+    }
+
+    // Test 3: A chunk is given up on after the maximum attempts
+    console.log("\n3. Testing giving up after the maximum attempts...");
+    embeddingRetryService.maxAttempts = 2;
+    await embeddingRetryService.processPending();
+    embeddingRetryService.stop();
+    const [query] = await embedder.embed(["CORRUPTED CHUNK"]);
+    const results = await vectorDBService.searchSimilar(query, 5, null, {
+      queryText: "CORRUPTED CHUNK",
+    });
+    if (
+      (await vectorDBService.countPendingByFileId("contract-1")) === 0 &&
+      (await vectorDBService.countByEmbeddingStatus("contract-1", "failed")) ===
+        1 &&
+      (await vectorDBService.getPendingChunks(10)).length === 0 &&
+      !results.some((result) => result.id === "contract-1-1")
+    ) {
+      console.log("✅ Giving up after the maximum attempts passed");
+    } else {
+      console.log("❌ Giving up after the maximum attempts failed:", results);
+    }
+
+    console.log("\n✅ Embedding retry tests completed!");
+  } catch (error) {
+    console.error("❌ Test failed:", error.message);
+  } finally {
+    embeddingService.getBatchEmbeddings = getBatchEmbeddings;
+    embeddingRetryService.stop();
+  }
+}
+
+// Run the test if this file is executed directly
+if (require.main === module) {
+  testEmbeddingRetry();
+}
+
+module.exports = { testEmbeddingRetry };
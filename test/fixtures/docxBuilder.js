@@ -0,0 +1,140 @@
+/**
+ * Minimal DOCX writer for offline tests. Paragraphs can use the built-in
+ * heading styles and tables are plain grids, which is all the extractor
+ * needs to see.
+ */
+
+const zlib = require("zlib");
+
+function escapeXml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Write a zip archive of { name, content } entries, deflated
+ */
+function zip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name);
+    const data = Buffer.from(entry.content);
+    const compressed = zlib.deflateRawSync(data);
+    const crc = zlib.crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+function paragraph({ text, heading }) {
+  const style = heading
+    ? `<w:pPr><w:pStyle w:val="Heading${heading}"/></w:pPr>`
+    : "";
+  return `<w:p>${style}<w:r><w:t xml:space="preserve">${escapeXml(
+    text
+  )}</w:t></w:r></w:p>`;
+}
+
+function table(rows) {
+  const cells = (row) =>
+    row.map((cell) => `<w:tc>${paragraph({ text: cell })}</w:tc>`).join("");
+  return `<w:tbl>${rows
+    .map((row) => `<w:tr>${cells(row)}</w:tr>`)
+    .join("")}</w:tbl>`;
+}
+
+/**
+ * Build a DOCX from a list of blocks: { text, heading } paragraphs, where
+ * `heading` is 1-6 for the Heading styles, or { table: [[cell, ...], ...] }
+ */
+function buildDocx(blocks) {
+  const W = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+  const body = blocks
+    .map((block) => (block.table ? table(block.table) : paragraph(block)))
+    .join("");
+
+  const headingStyles = [1, 2, 3, 4, 5, 6]
+    .map(
+      (level) =>
+        `<w:style w:type="paragraph" w:styleId="Heading${level}">` +
+        `<w:name w:val="heading ${level}"/></w:style>`
+    )
+    .join("");
+
+  return zip([
+    {
+      name: "[Content_Types].xml",
+      content:
+        '<?xml version="1.0" encoding="UTF-8"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+        '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+        "</Types>",
+    },
+    {
+      name: "_rels/.rels",
+      content:
+        '<?xml version="1.0" encoding="UTF-8"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+        "</Relationships>",
+    },
+    {
+      name: "word/_rels/document.xml.rels",
+      content:
+        '<?xml version="1.0" encoding="UTF-8"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+        "</Relationships>",
+    },
+    {
+      name: "word/document.xml",
+      content: `<?xml version="1.0" encoding="UTF-8"?><w:document xmlns:w="${W}"><w:body>${body}</w:body></w:document>`,
+    },
+    {
+      name: "word/styles.xml",
+      content: `<?xml version="1.0" encoding="UTF-8"?><w:styles xmlns:w="${W}">${headingStyles}</w:styles>`,
+    },
+  ]);
+}
+
+module.exports = { buildDocx };
@@ -0,0 +1,276 @@
+/**
+ * Minimal PDF writer for offline tests. Each page is a list of text runs
+ * drawn with the standard Helvetica fonts, so tests can build documents with
+ * known page sizes, positions and font sizes without binary fixtures.
+ */
+
+const crypto = require("crypto");
+const zlib = require("zlib");
+
+function escapeText(text) {
+  return text
+    .replace(/\\/g, "\\\\")
+    .replace(/\(/g, "\\(")
+    .replace(/\)/g, "\\)");
+}
+
+function rc4(key, data) {
+  const state = Array.from({ length: 256 }, (_, index) => index);
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + state[i] + key[i % key.length]) & 255;
+    [state[i], state[j]] = [state[j], state[i]];
+  }
+
+  const output = Buffer.alloc(data.length);
+  for (let n = 0, i = 0, j = 0; n < data.length; n++) {
+    i = (i + 1) & 255;
+    j = (j + state[i]) & 255;
+    [state[i], state[j]] = [state[j], state[i]];
+    output[n] = data[n] ^ state[(state[i] + state[j]) & 255];
+  }
+  return output;
+}
+
+const md5 = (...parts) =>
+  crypto.createHash("md5").update(Buffer.concat(parts)).digest();
+
+/**
+ * Standard security handler, revision 2 (PDF 1.4 spec, algorithms 3.1-3.4)
+ */
+function encrypt(userPassword) {
+  const padding = Buffer.from(
+    "28bf4e5e4e758a4164004e56fffa01082e2e00b6d0683e802f0ca9fe6453697a",
+    "hex"
+  );
+  const pad = (password) =>
+    Buffer.concat([Buffer.from(password, "latin1"), padding]).subarray(0, 32);
+  const fileId = crypto.randomBytes(16);
+  const permissions = Buffer.alloc(4);
+  permissions.writeInt32LE(-4);
+
+  const ownerKey = md5(pad(`${userPassword}-owner`)).subarray(0, 5);
+  const owner = rc4(ownerKey, pad(userPassword));
+  const key = md5(pad(userPassword), owner, permissions, fileId).subarray(0, 5);
+  const user = rc4(key, padding);
+
+  return {
+    trailer: ` /Encrypt << /Filter /Standard /V 1 /R 2 /O <${owner.toString(
+      "hex"
+    )}> /U <${user.toString("hex")}> /P -4 >> /ID [<${fileId.toString(
+      "hex"
+    )}> <${fileId.toString("hex")}>]`,
+    encryptStreams(body, objectNumber) {
+      const objectKey = Buffer.alloc(5);
+      objectKey.writeUIntLE(objectNumber, 0, 3);
+      const streamKey = md5(key, objectKey).subarray(0, 10);
+      return body.replace(
+        /stream\n([\s\S]*)\nendstream/,
+        (match, data) =>
+          `stream\n${rc4(streamKey, Buffer.from(data, "latin1")).toString(
+            "latin1"
+          )}\nendstream`
+      );
+    },
+  };
+}
+
+/**
+ * Build a PDF buffer.
+ *
+ * pages: [{ width, height, texts: [{ text, x, y, size, bold }], rules, image,
+ *   links, annotations }]
+ *   rules: [{ x1, y1, x2, y2 }] stroked line segments (table rulings)
+ *   image: { width, height, data } 8-bit grayscale pixels drawn over the
+ *   whole page, as in a scanned document
+ * options.outline: [{ title, page, children }] bookmarks, `page` 1-based
+ * options.password: encrypt with this user password (RC4 40-bit, streams
+ *   only, so it cannot be combined with outline titles)
+ *   links: [{ rect, url | page }] link annotations, `page` 1-based
+ *   annotations: [{ subtype, rect, contents, author }] e.g. Text (sticky
+ *   note) or Highlight; rect is [x1, y1, x2, y2] in PDF points
+ * options.info: Info dictionary strings, e.g. { Title, CreationDate }
+ * options.attachment: { name, content } embedded file
+ * options.catalog: extra raw catalog entries, e.g. an /OpenAction
+ */
+function buildPdf(pages, options = {}) {
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const fontId = addObject(
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>"
+  );
+  const boldFontId = addObject(
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold >>"
+  );
+
+  const pageIds = pages.map((page) => {
+    const width = page.width || 612;
+    const height = page.height || 792;
+    let stream = (page.texts || [])
+      .map(
+        ({ text, x = 72, y = 720, size = 12, bold = false }) =>
+          `BT /${bold ? "F2" : "F1"} ${size} Tf ${x} ${y} Td (${escapeText(
+            text
+          )}) Tj ET`
+      )
+      .join("\n");
+
+    if (page.rules && page.rules.length > 0) {
+      const paths = page.rules
+        .map(({ x1, y1, x2, y2 }) => `${x1} ${y1} m ${x2} ${y2} l`)
+        .join(" ");
+      stream = `0.5 w ${paths} S\n${stream}`;
+    }
+
+    let xObjects = "";
+    if (page.image) {
+      const pixels = zlib.deflateSync(page.image.data).toString("latin1");
+      const imageId = addObject(
+        `<< /Type /XObject /Subtype /Image /Width ${page.image.width} /Height ${page.image.height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode /Length ${pixels.length} >>\nstream\n${pixels}\nendstream`
+      );
+      xObjects = ` /XObject << /Im1 ${imageId} 0 R >>`;
+      stream = `q ${width} 0 0 ${height} 0 0 cm /Im1 Do Q\n${stream}`;
+    }
+
+    const contentId = addObject(
+      `<< /Length ${Buffer.byteLength(
+        stream,
+        "latin1"
+      )} >>\nstream\n${stream}\nendstream`
+    );
+
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldFontId} 0 R >>${xObjects} >> /Contents ${contentId} 0 R >>`
+    );
+  });
+
+  pages.forEach((page, index) => {
+    const annotIds = [
+      ...(page.links || []).map(({ rect, url, page: target }) =>
+        addObject(
+          `<< /Type /Annot /Subtype /Link /Rect [${rect.join(
+            " "
+          )}] /Border [0 0 0] ${
+            url
+              ? `/A << /S /URI /URI (${escapeText(url)}) >>`
+              : `/Dest [${pageIds[target - 1]} 0 R /XYZ null null null]`
+          } >>`
+        )
+      ),
+      ...(page.annotations || []).map(({ subtype, rect, contents, author }) =>
+        addObject(
+          `<< /Type /Annot /Subtype /${subtype} /Rect [${rect.join(" ")}]${
+            contents ? ` /Contents (${escapeText(contents)})` : ""
+          }${author ? ` /T (${escapeText(author)})` : ""} >>`
+        )
+      ),
+    ];
+    if (annotIds.length > 0) {
+      const pageId = pageIds[index];
+      objects[pageId - 1] = objects[pageId - 1].replace(
+        / >>$/,
+        ` /Annots [${annotIds.map((id) => `${id} 0 R`).join(" ")}] >>`
+      );
+    }
+  });
+
+  let outlinesEntry = "";
+  if (options.outline && options.outline.length > 0) {
+    const outlinesId = addObject(null);
+    const addItems = (items, parentId) => {
+      const ids = items.map(() => addObject(null));
+      items.forEach((item, index) => {
+        const children = item.children || [];
+        const childIds = addItems(children, ids[index]);
+        const links = [
+          `/Parent ${parentId} 0 R`,
+          index > 0 ? `/Prev ${ids[index - 1]} 0 R` : "",
+          index < ids.length - 1 ? `/Next ${ids[index + 1]} 0 R` : "",
+          childIds.length
+            ? `/First ${childIds[0]} 0 R /Last ${childIds.at(-1)} 0 R /Count ${
+                childIds.length
+              }`
+            : "",
+        ].join(" ");
+        objects[ids[index] - 1] = `<< /Title (${escapeText(
+          item.title
+        )}) ${links} /Dest [${
+          pageIds[item.page - 1]
+        } 0 R /XYZ null null null] >>`;
+      });
+      return ids;
+    };
+    const topIds = addItems(options.outline, outlinesId);
+    objects[outlinesId - 1] = `<< /Type /Outlines /First ${
+      topIds[0]
+    } 0 R /Last ${topIds.at(-1)} 0 R /Count ${topIds.length} >>`;
+    outlinesEntry = ` /Outlines ${outlinesId} 0 R`;
+  }
+
+  let namesEntry = "";
+  if (options.attachment) {
+    const { name, content } = options.attachment;
+    const fileId = addObject(
+      `<< /Type /EmbeddedFile /Length ${Buffer.byteLength(
+        content,
+        "latin1"
+      )} >>\nstream\n${content}\nendstream`
+    );
+    namesEntry = ` /Names << /EmbeddedFiles << /Names [(${escapeText(
+      name
+    )}) << /Type /Filespec /F (${escapeText(
+      name
+    )}) /EF << /F ${fileId} 0 R >> >>] >> >>`;
+  }
+
+  objects[
+    catalogId - 1
+  ] = `<< /Type /Catalog /Pages ${pagesId} 0 R${outlinesEntry}${namesEntry}${
+    options.catalog ? ` ${options.catalog}` : ""
+  } >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds
+    .map((id) => `${id} 0 R`)
+    .join(" ")}] /Count ${pageIds.length} >>`;
+
+  let infoEntry = "";
+  if (options.info) {
+    const infoId = addObject(
+      `<< ${Object.entries(options.info)
+        .map(([key, value]) => `/${key} (${escapeText(value)})`)
+        .join(" ")} >>`
+    );
+    infoEntry = ` /Info ${infoId} 0 R`;
+  }
+
+  const encryption = options.password ? encrypt(options.password) : null;
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(pdf, "latin1");
+    const content = encryption
+      ? encryption.encryptStreams(body, index + 1)
+      : body;
+    pdf += `${index + 1} 0 obj\n${content}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, "latin1");
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach((offset) => {
+    pdf += `${String(offset).padStart(10, "0")} 00000 n \n`;
+  });
+  pdf += `trailer\n<< /Size ${
+    objects.length + 1
+  } /Root ${catalogId} 0 R${infoEntry}${
+    encryption ? encryption.trailer : ""
+  } >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, "latin1");
+}
+
+module.exports = { buildPdf };
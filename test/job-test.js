@@ -0,0 +1,165 @@
+// Jobs and vectors stay in this process
+process.env.JOB_STORE = "memory";
+process.env.JOB_STORE_PATH = "";
+process.env.VECTOR_STORE = "memory";
+process.env.VECTOR_STORE_PATH = "";
+
+const jobService = require("../services/jobService");
+const jobWorkerService = require("../services/jobWorkerService");
+const ingestionService = require("../services/ingestionService");
+
+/**
+ * Another server instance sharing the same job store
+ */
+function otherInstance() {
+  return new jobService.constructor(jobService.store);
+}
+
+async function testJobs() {
+  const ingest = ingestionService.ingest;
+  const downloadFile = jobWorkerService.downloadFile;
+
+  try {
+    console.log("🧪 Testing ingestion jobs...");
+
+    // Test 1: A job created by one instance can be polled from another
+    console.log("\n1. Testing polling from another instance...");
+    const created = await jobService.createJob({
+      fileName: "contract.pdf",
+      fileType: "pdf",
+      upload: { fileId: "file-1", blobUrl: "https://blob.test/contract.pdf" },
+    });
+    jobService.updateProgress(created, "parsing", 0);
+    await jobService.saveJob(created);
+    const polled = await otherInstance().getJob(created.jobId);
+    if (
+      polled &&
+      polled.status === "processing" &&
+      polled.stage === "parsing" &&
+      polled.progress === 10 &&
+      polled.workerId === undefined &&
+      polled.upload === undefined &&
+      (await jobService.getJob("not-a-job-id")) === null
+    ) {
+      console.log("✅ Polling from another instance passed");
+    } else {
+      console.log("❌ Polling from another instance failed:", polled);
+    }
+
+    // Test 2: A running job is not claimed while its lease is held
+    console.log("\n2. Testing held leases...");
+    const claimedEarly = await otherInstance().claimNextJob();
+    if (claimedEarly === null) {
+      console.log("✅ Held leases passed");
+    } else {
+      console.log("❌ Held leases failed:", claimedEarly);
+    }
+
+    // Test 3: Another instance resumes a job whose lease ran out
+    console.log("\n3. Testing resuming an abandoned job...");
+    created.leaseExpiresAt = Date.now() - 1;
+    await jobService.saveJob(created);
+    ingestionService.ingest = async (file, options) => {
+      options.onProgress("embedding", 0.5);
+      return { fileId: options.upload.fileId, chunks: 3, file: file.buffer };
+    };
+    jobWorkerService.downloadFile = async (job) => ({
+      originalname: job.fileName,
+      buffer: "downloaded",
+    });
+    const resumed = await jobWorkerService.runPending();
+    const finished = await otherInstance().getJob(created.jobId);
+    if (
+      resumed === 1 &&
+      finished.status === "completed" &&
+      finished.progress === 100 &&
+      finished.result.fileId === "file-1" &&
+      finished.result.file === "downloaded"
+    ) {
+      console.log("✅ Resuming an abandoned job passed");
+    } else {
+      console.log("❌ Resuming an abandoned job failed:", {
+        resumed,
+        finished,
+      });
+    }
+
+    // Test 4: Jobs interrupted too often, or needing a password, fail
+    console.log("\n4. Testing jobs that cannot be resumed...");
+    const worn = await jobService.createJob({ fileName: "worn.pdf" });
+    const locked = await jobService.createJob({
+      fileName: "locked.pdf",
+      passwordProtected: true,
+    });
+    worn.attempts = jobService.maxAttempts;
+    worn.leaseExpiresAt = Date.now() - 1;
+    locked.leaseExpiresAt = Date.now() - 1;
+    await jobService.saveJob(worn);
+    await jobService.saveJob(locked);
+    const claimed = await otherInstance().claimNextJob();
+    const wornJob = await jobService.getJob(worn.jobId);
+    const lockedJob = await jobService.getJob(locked.jobId);
+    if (
+      claimed === null &&
+      wornJob.status === "failed" &&
+      wornJob.error.code === "JOB_INTERRUPTED" &&
+      lockedJob.status === "failed" &&
+      /password/.test(lockedJob.error.message)
+    ) {
+      console.log("✅ Jobs that cannot be resumed passed");
+    } else {
+      console.log("❌ Jobs that cannot be resumed failed:", {
+        claimed,
+        wornJob,
+        lockedJob,
+      });
+    }
+
+    // Test 5: A failed ingestion fails the job with its error
+    console.log("\n5. Testing failed ingestion...");
+    ingestionService.ingest = async () => {
+      const error = new Error("Parser crashed");
+      error.code = "PARSE_FAILED";
+      throw error;
+    };
+    const failing = await jobService.createJob({ fileName: "broken.pdf" });
+    await jobWorkerService.run(failing, { file: { buffer: "uploaded" } });
+    const failed = await otherInstance().getJob(failing.jobId);
+    if (
+      failed.status === "failed" &&
+      failed.error.code === "PARSE_FAILED" &&
+      failed.finishedAt
+    ) {
+      console.log("✅ Failed ingestion passed");
+    } else {
+      console.log("❌ Failed ingestion failed:", failed);
+    }
+
+    // Test 6: Finished jobs are deleted once their TTL has passed
+    console.log("\n6. Testing expiry of finished jobs...");
+    const shortLived = otherInstance();
+    shortLived.jobTTL = -1;
+    const expiring = await shortLived.createJob({ fileName: "old.pdf" });
+    await shortLived.completeJob(expiring, { fileId: "old" });
+    await jobService.createJob({ fileName: "new.pdf" });
+    if ((await jobService.getJob(expiring.jobId)) === null) {
+      console.log("✅ Expiry of finished jobs passed");
+    } else {
+      console.log("❌ Expiry of finished jobs failed");
+    }
+
+    console.log("\n✅ Job tests completed!");
+  } catch (error) {
+    console.error("❌ Test failed:", error.message);
+  } finally {
+    ingestionService.ingest = ingest;
+    jobWorkerService.downloadFile = downloadFile;
+  }
+}
+
+// Run the test if this file is executed directly
+if (require.main === module) {
+  testJobs();
+}
+
+module.exports = { testJobs };
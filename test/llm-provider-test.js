@@ -0,0 +1,109 @@
+const http = require("http");
+const { OpenAICompatibleProvider } = require("../services/llm");
+
+/**
+ * Start a stub OpenAI-compatible server that answers every chat completion
+ * with a fixed reply, streamed word by word when requested
+ */
+function startStubServer(reply) {
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (data) => (body += data));
+    req.on("end", () => {
+      const request = JSON.parse(body);
+
+      if (req.url !== "/v1/chat/completions") {
+        res.writeHead(404);
+        return res.end();
+      }
+
+      if (!request.stream) {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        return res.end(
+          JSON.stringify({
+            model: request.model,
+            choices: [{ message: { role: "assistant", content: reply } }],
+          })
+        );
+      }
+
+      res.writeHead(200, { "Content-Type": "text/event-stream" });
+      reply.split(/(?=\s)/).forEach((token) => {
+        res.write(
+          `data: ${JSON.stringify({
+            choices: [{ delta: { content: token } }],
+          })}\n\n`
+        );
+      });
+      res.end("data: [DONE]\n\n");
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, () => resolve(server));
+  });
+}
+
+async function testOpenAICompatibleProvider() {
+  const reply = "The invoice total is $500.";
+  const server = await startStubServer(reply);
+  const baseUrl = `http://localhost:${server.address().port}/v1`;
+
+  try {
+    console.log("🧪 Testing OpenAI-compatible LLM provider...");
+    const provider = new OpenAICompatibleProvider({ baseUrl });
+    const params = {
+      model: "local-model",
+      messages: [{ role: "user", content: "What is the total?" }],
+      max_tokens: 50,
+      temperature: 0.7,
+      top_p: 0.9,
+    };
+
+    // Test 1: Complete response
+    console.log("\n💬 Test 1: Chat completion...");
+    const response = await provider.chatCompletion(params);
+    if (response === reply) {
+      console.log("✅ Chat completion passed");
+    } else {
+      console.log("❌ Chat completion failed:", response);
+    }
+
+    // Test 2: Streaming response
+    console.log("\n📡 Test 2: Streaming chat completion...");
+    const tokens = [];
+    for await (const token of provider.chatCompletionStream(params)) {
+      tokens.push(token);
+    }
+    if (tokens.length > 1 && tokens.join("") === reply) {
+      console.log(`✅ Streaming passed - received ${tokens.length} tokens`);
+    } else {
+      console.log("❌ Streaming failed:", tokens);
+    }
+
+    // Test 3: Server errors are surfaced
+    console.log("\n🚫 Test 3: Error handling...");
+    const badProvider = new OpenAICompatibleProvider({
+      baseUrl: `http://localhost:${server.address().port}/missing`,
+    });
+    try {
+      await badProvider.chatCompletion(params);
+      console.log("❌ Error handling failed - no error thrown");
+    } catch (error) {
+      console.log("✅ Error handling passed:", error.message);
+    }
+
+    console.log("\n✅ LLM provider tests completed!");
+  } catch (error) {
+    console.error("❌ Test failed:", error.message);
+  } finally {
+    server.close();
+  }
+}
+
+// Run the test if this file is executed directly
+if (require.main === module) {
+  testOpenAICompatibleProvider();
+}
+
+module.exports = { testOpenAICompatibleProvider };
@@ -0,0 +1,773 @@
+const pdfService = require("../services/pdfService");
+const embeddingService = require("../services/embeddingService");
+const normalizationService = require("../services/normalizationService");
+const { tableToCsv } = require("../services/pdf/tableExtractor");
+const { validatePdf } = require("../services/pdf/pdfValidator");
+const { buildPdf } = require("./fixtures/pdfBuilder");
+
+async function testPageExtraction() {
+  console.log("\n📄 Test 1: Per-page text extraction...");
+
+  // Pages of very different lengths; equal-length slicing would move text
+  // across page boundaries
+  const fileBuffer = buildPdf([
+    {
+      texts: [
+        { text: "Introduction", y: 720 },
+        { text: "A short first page.", y: 700 },
+      ],
+    },
+    {
+      texts: Array.from({ length: 30 }, (_, index) => ({
+        text: `Methodology line ${index + 1} with a fair amount of text on it.`,
+        y: 740 - index * 20,
+      })),
+    },
+    {
+      width: 842,
+      height: 595,
+      texts: [{ text: "Results on a landscape page.", y: 500 }],
+    },
+  ]);
+
+  const parsed = await pdfService.parsePDF(fileBuffer);
+  const [first, second, third] = parsed.pages;
+
+  if (
+    parsed.totalPages === 3 &&
+    first.text === "Introduction\nA short first page." &&
+    second.text.startsWith("Methodology line 1 ") &&
+    second.text.includes("Methodology line 30 ") &&
+    third.text === "Results on a landscape page."
+  ) {
+    console.log("✅ Per-page text extraction passed");
+  } else {
+    console.log("❌ Per-page text extraction failed:", parsed.pages);
+  }
+
+  console.log("\n📐 Test 2: Page dimensions...");
+  if (
+    first.width === 612 &&
+    first.height === 792 &&
+    third.width === 842 &&
+    third.height === 595
+  ) {
+    console.log("✅ Page dimensions passed");
+  } else {
+    console.log(
+      "❌ Page dimensions failed:",
+      parsed.pages.map(({ width, height }) => ({ width, height }))
+    );
+  }
+}
+
+async function testLayoutExtraction() {
+  console.log("\n🧱 Test 3: Positional layout...");
+
+  const fileBuffer = buildPdf([
+    {
+      texts: [
+        { text: "Project Overview", size: 18, y: 720 },
+        { text: "The first line of the opening paragraph.", y: 690 },
+        { text: "The second line of the opening paragraph.", y: 676 },
+        { text: "A separate paragraph after a gap.", y: 630 },
+        { text: "Left cell", y: 600 },
+        { text: "Right cell", x: 320, y: 600 },
+      ],
+    },
+  ]);
+
+  const parsed = await pdfService.parsePDF(fileBuffer);
+  const { words, lines, blocks } = parsed.pages[0].layout;
+  const heading = words[0];
+
+  if (
+    heading.text === "Project" &&
+    heading.fontSize === 18 &&
+    heading.fontName &&
+    heading.bbox.x === 72 &&
+    // 792pt page, baseline 720pt up, top-left origin
+    Math.abs(heading.bbox.y + heading.bbox.height * 0.8 - 72) < 1 &&
+    lines.map((line) => line.text).join("|") ===
+      "Project Overview|The first line of the opening paragraph.|" +
+        "The second line of the opening paragraph.|" +
+        "A separate paragraph after a gap.|Left cell|Right cell" &&
+    lines[1].wordIndexes[0] === 2 &&
+    blocks.length === 5 &&
+    blocks[1].lineIndexes.join(",") === "1,2"
+  ) {
+    console.log("✅ Positional layout passed");
+  } else {
+    console.log("❌ Positional layout failed:", { words, lines, blocks });
+  }
+}
+
+async function testHeadingDetection() {
+  console.log("\n🗂️ Test 4: Heading detection and outline...");
+
+  const body = (text, y) => ({ text, y });
+  const fileBuffer = buildPdf([
+    {
+      texts: [
+        { text: "Master Services Agreement", size: 20, y: 740 },
+        body("This agreement is made between the parties below.", 710),
+        { text: "1. Definitions", size: 14, y: 670 },
+        body("Terms used in this agreement have these meanings.", 645),
+        { text: "1.1 Services", y: 610 },
+        body("The work described in each statement of work.", 585),
+        body("It includes any deliverables listed there.", 571),
+        { text: "NAME", y: 540 },
+        { text: "ROLE", x: 300, y: 540 },
+        body("Jane Smith", 510),
+        body("IMPORTANT NOTICE", 480),
+        body("Payment terms are set out in the next section.", 450),
+      ],
+    },
+    {
+      texts: [
+        { text: "2. Payment", size: 14, y: 740 },
+        body("Invoices are due within thirty days of receipt.", 710),
+        { text: "Article IV Termination", size: 14, y: 670 },
+        body("Either party may terminate with written notice.", 640),
+      ],
+    },
+  ]);
+
+  const parsed = await pdfService.parsePDF(fileBuffer);
+  const structuredData = pdfService.fallbackStructuredExtraction(parsed);
+  const { outline, sections } = structuredData;
+
+  const describe = (nodes) =>
+    nodes
+      .map(
+        (node) =>
+          `${node.title}(${node.level},${node.pageStart}-${node.pageEnd})` +
+          (node.children.length ? `[${describe(node.children)}]` : "")
+      )
+      .join(" ");
+
+  const expected =
+    "Master Services Agreement(1,1-2)[" +
+    "1. Definitions(2,1-1)[1.1 Services(3,1-1)] " +
+    "2. Payment(2,2-2) Article IV Termination(2,2-2)]";
+
+  if (
+    describe(outline) === expected &&
+    sections.map((section) => section.title).join("|") ===
+      "Master Services Agreement|1. Definitions|1.1 Services|" +
+        "2. Payment|Article IV Termination" &&
+    sections[2].content.includes("IMPORTANT NOTICE")
+  ) {
+    console.log("✅ Heading detection passed");
+  } else {
+    console.log("❌ Heading detection failed:", describe(outline), sections);
+  }
+}
+
+async function testBookmarkOutline() {
+  console.log("\n🔖 Test 5: Bookmark outline...");
+
+  // Bookmarks win over the font-size heading on page 1
+  const fileBuffer = buildPdf(
+    [
+      {
+        texts: [
+          { text: "Annual Report", size: 20, y: 740 },
+          { text: "Overview", y: 700 },
+          { text: "Revenue grew in every region this year.", y: 680 },
+        ],
+      },
+      { texts: [{ text: "Regional figures follow in detail.", y: 740 }] },
+      {
+        texts: [
+          { text: "Outlook", y: 740 },
+          { text: "We expect steady growth next year.", y: 720 },
+        ],
+      },
+    ],
+    {
+      outline: [
+        {
+          title: "Overview",
+          page: 1,
+          children: [{ title: "Regional Results", page: 2 }],
+        },
+        { title: "Outlook", page: 3 },
+      ],
+    }
+  );
+
+  const parsed = await pdfService.parsePDF(fileBuffer);
+  const structuredData = pdfService.fallbackStructuredExtraction(parsed);
+  const { outline, outlineSource, sections } = structuredData;
+
+  if (
+    outlineSource === "bookmarks" &&
+    outline.length === 2 &&
+    outline[0].title === "Overview" &&
+    outline[0].pageStart === 1 &&
+    outline[0].pageEnd === 2 &&
+    outline[0].children[0].title === "Regional Results" &&
+    outline[0].children[0].pageStart === 2 &&
+    outline[1].pageStart === 3 &&
+    sections.map((section) => section.title).join("|") ===
+      "Introduction|Overview|Regional Results|Outlook" &&
+    sections[2].content[0] === "Regional figures follow in detail."
+  ) {
+    console.log("✅ Bookmark outline passed");
+  } else {
+    console.log("❌ Bookmark outline failed:", { outline, sections });
+  }
+}
+
+/**
+ * Draw lines of text into an 8-bit grayscale image, like a scanned page
+ */
+function renderScan(lines, width, height) {
+  const { createCanvas } = require("@napi-rs/canvas");
+  const canvas = createCanvas(width, height);
+  const context = canvas.getContext("2d");
+  context.fillStyle = "#ffffff";
+  context.fillRect(0, 0, width, height);
+  context.fillStyle = "#000000";
+  context.font = "48px sans-serif";
+  lines.forEach((line, index) =>
+    context.fillText(line, 100, 200 + index * 100)
+  );
+
+  const rgba = context.getImageData(0, 0, width, height).data;
+  const data = Buffer.alloc(width * height);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = rgba[i * 4];
+  }
+  return { width, height, data };
+}
+
+async function testOcrFallback() {
+  console.log("\n🔎 Test 6: OCR fallback for scanned pages...");
+
+  const fileBuffer = buildPdf([
+    { texts: [{ text: "This page has a normal text layer.", y: 720 }] },
+    {
+      image: renderScan(
+        ["Invoice INV-2041 for Acme Corporation", "Total amount due is 500"],
+        1224,
+        1584
+      ),
+      // A page number in a font that is not embedded, drawn over the scan
+      texts: [{ text: "Page 2", x: 290, y: 30, size: 10 }],
+    },
+  ]);
+
+  const parsed = await pdfService.parsePDF(fileBuffer);
+  const [textPage, scannedPage] = parsed.pages;
+
+  // An OCR engine that cannot start leaves pages text-only
+  const Tesseract = require("tesseract.js");
+  const createWorker = Tesseract.createWorker;
+  Tesseract.createWorker = async () => {
+    throw new Error("Traineddata unavailable");
+  };
+  const withoutOcr = await pdfService.parsePDF(fileBuffer);
+  Tesseract.createWorker = createWorker;
+
+  if (
+    parsed.ocrPages === 1 &&
+    textPage.source === "text" &&
+    textPage.ocrConfidence === null &&
+    scannedPage.source === "ocr" &&
+    scannedPage.ocrConfidence > 0.5 &&
+    scannedPage.text.includes("INV-2041") &&
+    scannedPage.text.includes("Acme Corporation") &&
+    scannedPage.layout.lines.length === 2 &&
+    parsed.rawText.includes("Total amount due") &&
+    withoutOcr.ocrPages === 0 &&
+    withoutOcr.pages[1].source === "text"
+  ) {
+    console.log("✅ OCR fallback passed");
+  } else {
+    console.log("❌ OCR fallback failed:", parsed.pages);
+  }
+}
+
+async function testTableExtraction() {
+  console.log("\n📊 Test 7: Table extraction...");
+
+  // A ruled grid, then a borderless table aligned in columns
+  const rules = [
+    ...[72, 200, 300, 400].map((x) => ({ x1: x, y1: 640, x2: x, y2: 700 })),
+    ...[700, 680, 660, 640].map((y) => ({ x1: 72, y1: y, x2: 400, y2: y })),
+  ];
+  const cell = (text, x, y) => ({ text, x, y });
+  const fileBuffer = buildPdf([
+    {
+      rules,
+      texts: [
+        { text: "Statement for March", size: 16, y: 740 },
+        cell("Description", 76, 686),
+        cell("Qty", 204, 686),
+        cell("Amount", 304, 686),
+        cell("Consulting, onsite", 76, 666),
+        cell("2", 204, 666),
+        cell("1,000.00", 304, 666),
+        cell("Travel", 76, 646),
+        cell("1", 204, 646),
+        cell("250.00", 304, 646),
+        {
+          text: "Thank you for your business and prompt payment.",
+          y: 600,
+        },
+        cell("Date", 72, 560),
+        cell("Reference", 180, 560),
+        cell("Balance", 320, 560),
+        cell("01/03", 72, 545),
+        cell("INV-2041", 180, 545),
+        cell("1,250.00", 320, 545),
+        cell("15/03", 72, 530),
+        cell("PAY-88", 180, 530),
+        cell("0.00", 320, 530),
+      ],
+    },
+  ]);
+
+  const parsed = await pdfService.parsePDF(fileBuffer);
+  const { tables } = pdfService.fallbackStructuredExtraction(parsed);
+  const [ruled, aligned] = tables;
+  const chunks = embeddingService.chunkTable(ruled, 0);
+
+  if (
+    tables.length === 2 &&
+    ruled.source === "ruling" &&
+    ruled.pageNumber === 1 &&
+    ruled.header.join("|") === "Description|Qty|Amount" &&
+    ruled.rows[0].join("|") === "Consulting, onsite|2|1,000.00" &&
+    aligned.source === "alignment" &&
+    aligned.header.join("|") === "Date|Reference|Balance" &&
+    aligned.rows[1].join("|") === "15/03|PAY-88|0.00" &&
+    tableToCsv(ruled).split("\r\n")[1] ===
+      '"Consulting, onsite",2,"1,000.00"' &&
+    tableToCsv({
+      header: ["Formula", "Amount"],
+      rows: [
+        ['=HYPERLINK("http://evil","x")', "-250.00"],
+        ["@SUM(A1)", "+1"],
+        ["-2+3", "+cmd|' /C calc'!A0"],
+      ],
+    }) ===
+      [
+        "Formula,Amount",
+        '"\'=HYPERLINK(""http://evil"",""x"")",-250.00',
+        "'@SUM(A1),+1",
+        "'-2+3,'+cmd|' /C calc'!A0",
+      ].join("\r\n") &&
+    chunks.length === 1 &&
+    chunks[0].metadata.chunkType === "table" &&
+    chunks[0].content.includes("Travel | 1 | 250.00")
+  ) {
+    console.log("✅ Table extraction passed");
+  } else {
+    console.log("❌ Table extraction failed:", tables);
+  }
+}
+
+async function testPasswordProtected() {
+  console.log("\n📊 Test 8: Password-protected PDFs...");
+
+  const fileBuffer = buildPdf(
+    [{ texts: [{ text: "Confidential settlement terms" }] }],
+    { password: "s3cret" }
+  );
+
+  const errorCode = async (password) => {
+    try {
+      await pdfService.parsePDF(fileBuffer, { password });
+      return null;
+    } catch (error) {
+      return error.code;
+    }
+  };
+
+  const missing = await errorCode(undefined);
+  const incorrect = await errorCode("wrong");
+  const parsed = await pdfService.parsePDF(fileBuffer, { password: "s3cret" });
+
+  if (
+    missing === "PDF_PASSWORD_REQUIRED" &&
+    incorrect === "PDF_PASSWORD_INCORRECT" &&
+    parsed.pages[0].text === "Confidential settlement terms"
+  ) {
+    console.log("✅ Password-protected PDFs passed");
+  } else {
+    console.log("❌ Password-protected PDFs failed:", {
+      missing,
+      incorrect,
+      text: parsed.pages[0].text,
+    });
+  }
+}
+
+async function testUploadValidation() {
+  console.log("\n📊 Test 9: PDF upload validation...");
+
+  const page = { texts: [{ text: "Quarterly report" }] };
+  const clean = buildPdf([page]);
+
+  const errorCode = async (buffer, options = {}) => {
+    try {
+      await validatePdf(buffer, options);
+      return null;
+    } catch (error) {
+      return error.code;
+    }
+  };
+
+  const codes = {
+    clean: await errorCode(clean),
+    header: await errorCode(Buffer.from("MZ\x90\x00 not a pdf")),
+    truncated: await errorCode(clean.subarray(0, clean.length - 40)),
+    pages: await errorCode(buildPdf([page, page, page]), { maxPages: 2 }),
+    javascript: await errorCode(
+      buildPdf([page], {
+        catalog: "/OpenAction << /S /JavaScript /JS (app.alert(1)) >>",
+      })
+    ),
+    // Escaped names must not hide the action
+    launch: await errorCode(
+      buildPdf([page], { catalog: "/OpenAction << /S /L#61unch /F (calc) >>" })
+    ),
+    embedded: await errorCode(
+      buildPdf([page], { attachment: { name: "a.exe", content: "MZ" } })
+    ),
+  };
+
+  const flagged = await validatePdf(
+    buildPdf([page], { attachment: { name: "a.exe", content: "MZ" } }),
+    { activeContentPolicy: "flag" }
+  );
+
+  if (
+    codes.clean === null &&
+    codes.header === "PDF_INVALID_HEADER" &&
+    codes.truncated === "PDF_MALFORMED" &&
+    codes.pages === "PDF_TOO_MANY_PAGES" &&
+    codes.javascript === "PDF_CONTAINS_JAVASCRIPT" &&
+    codes.launch === "PDF_CONTAINS_LAUNCH_ACTION" &&
+    codes.embedded === "PDF_CONTAINS_EMBEDDED_FILES" &&
+    flagged.activeContent.join("|") === "embeddedFiles"
+  ) {
+    console.log("✅ PDF upload validation passed");
+  } else {
+    console.log("❌ PDF upload validation failed:", { codes, flagged });
+  }
+}
+
+async function testMetadataAndAnnotations() {
+  console.log("\n📊 Test 10: Metadata, links and annotations...");
+
+  const fileBuffer = buildPdf(
+    [
+      {
+        texts: [{ text: "Pricing is listed online", y: 700 }],
+        links: [
+          { rect: [72, 695, 300, 712], url: "https://example.com/pricing" },
+        ],
+      },
+      { texts: [{ text: "Appendix", y: 700 }] },
+      {
+        texts: [
+          { text: "Revenue grew 12% in the third quarter", y: 700 },
+          { text: "Costs were flat", y: 600 },
+        ],
+        annotations: [
+          {
+            subtype: "Highlight",
+            rect: [72, 696, 200, 712],
+            contents: "Source for this?",
+            author: "Alice",
+          },
+          {
+            subtype: "Text",
+            rect: [400, 600, 420, 620],
+            contents: "Check the figure",
+            author: "Bob",
+          },
+        ],
+        links: [{ rect: [72, 595, 160, 612], page: 2 }],
+      },
+    ],
+    {
+      info: {
+        Title: "Q3 Report",
+        Author: "Finance Team",
+        Keywords: "revenue; costs, q3",
+        CreationDate: "D:20240131093000+01'00'",
+      },
+    }
+  );
+
+  const parsed = await pdfService.parsePDF(fileBuffer);
+  const structured = pdfService.fallbackStructuredExtraction(parsed);
+  const chunks = embeddingService.createChunks(structured);
+  const [documentInfo] = chunks;
+  const annotationChunk = chunks.find(
+    (chunk) => chunk.metadata.chunkType === "annotation"
+  );
+  const [highlight, note] = parsed.pages[2].annotations;
+
+  if (
+    parsed.metadata.title === "Q3 Report" &&
+    parsed.metadata.keywords.join("|") === "revenue|costs|q3" &&
+    parsed.metadata.createdAt === "2024-01-31T08:30:00.000Z" &&
+    parsed.metadata.modifiedAt === null &&
+    parsed.pages[0].links[0].url === "https://example.com/pricing" &&
+    parsed.pages[0].links[0].text === "Pricing is listed online" &&
+    parsed.pages[2].links[0].targetPage === 2 &&
+    highlight.type === "Highlight" &&
+    highlight.author === "Alice" &&
+    highlight.text.startsWith("Revenue grew 12%") &&
+    note.type === "Text" &&
+    note.contents === "Check the figure" &&
+    documentInfo.metadata.document.metadata.author === "Finance Team" &&
+    documentInfo.content.includes("Title: Q3 Report.") &&
+    annotationChunk.metadata.pageNumber === 3 &&
+    annotationChunk.content.includes('- Comment by Bob: "Check the figure"') &&
+    chunks.find((chunk) => chunk.metadata.pageNumber === 1).metadata.links
+      .length === 1
+  ) {
+    console.log("✅ Metadata, links and annotations passed");
+  } else {
+    console.log("❌ Metadata, links and annotations failed:", {
+      metadata: parsed.metadata,
+      pages: parsed.pages.map(({ links, annotations }) => ({
+        links,
+        annotations,
+      })),
+      annotationChunk,
+    });
+  }
+}
+
+async function testBoilerplateRemoval() {
+  console.log("\n🧹 Test 11: Headers, footers and page numbers...");
+
+  const fileBuffer = buildPdf(
+    Array.from({ length: 4 }, (_, index) => ({
+      texts: [
+        { text: "Acme Corp Annual Report 2024", size: 9, y: 760 },
+        { text: `${index + 1}. Chapter ${index + 1}`, size: 16, y: 700 },
+        { text: `Body text unique to page ${index + 1}.`, y: 670 },
+        { text: "CONFIDENTIAL", x: 250, y: 420 },
+        { text: `More findings for chapter ${index + 1}.`, y: 300 },
+        { text: `Page ${index + 1} of 4`, size: 9, x: 270, y: 40 },
+      ],
+    }))
+  );
+
+  const parsed = await pdfService.parsePDF(fileBuffer);
+  const structured = pdfService.fallbackStructuredExtraction(parsed);
+  const chunks = embeddingService.createChunks(structured);
+  const [first, second] = parsed.pages;
+  const kinds = Object.fromEntries(
+    second.boilerplate.map((line) => [line.text, line.kind])
+  );
+  const chunkText = chunks
+    .filter((chunk) => chunk.metadata.chunkType !== "document_info")
+    .map((chunk) => chunk.content)
+    .join("\n");
+
+  if (
+    first.text ===
+      "1. Chapter 1\nBody text unique to page 1.\nMore findings for chapter 1." &&
+    kinds["Acme Corp Annual Report 2024"] === "header" &&
+    kinds["Page 2 of 4"] === "pageNumber" &&
+    kinds["CONFIDENTIAL"] === "repeated" &&
+    second.layout.lines.filter((line) => line.boilerplate).length === 3 &&
+    !parsed.rawText.includes("Acme Corp") &&
+    !chunkText.includes("CONFIDENTIAL") &&
+    !chunkText.includes("Page 3 of 4") &&
+    chunkText.includes("More findings for chapter 4.") &&
+    structured.outline.length === 4 &&
+    structured.outline[0].pageEnd === 1
+  ) {
+    console.log("✅ Headers, footers and page numbers passed");
+  } else {
+    console.log("❌ Headers, footers and page numbers failed:", {
+      pages: parsed.pages.map(({ text, boilerplate }) => ({
+        text,
+        boilerplate,
+      })),
+      outline: structured.outline,
+    });
+  }
+}
+
+async function testColumnReadingOrder() {
+  console.log("\n📰 Test 12: Multi-column reading order...");
+
+  // Content stream order runs across both columns row by row, as many
+  // two-column papers do
+  const left = [
+    "Transformers look at every token of the input",
+    "sequence in parallel instead of reading it one",
+    "step at a time, and so they make training on",
+    "long documents a great deal faster than before.",
+  ];
+  const right = [
+    "Recurrent networks keep a hidden state that is",
+    "updated after each token has been read, so the",
+    "work on one step has to wait for the previous",
+    "step and cannot be spread over many processors.",
+  ];
+  const fileBuffer = buildPdf([
+    {
+      texts: [
+        { text: "Sequence Models Compared", size: 18, x: 200, y: 740 },
+        ...left.flatMap((text, index) => [
+          { text, size: 9, y: 700 - index * 12 },
+          { text: right[index], size: 9, x: 320, y: 700 - index * 12 },
+        ]),
+        {
+          text: "Table 1 below summarises the trade-offs of both approaches.",
+          size: 10,
+          y: 600,
+        },
+      ],
+    },
+    { texts: [{ text: "A single column page.", y: 700 }] },
+  ]);
+
+  const parsed = await pdfService.parsePDF(fileBuffer);
+  const structured = pdfService.fallbackStructuredExtraction(parsed);
+  const chunks = embeddingService.createChunks(structured);
+  const [twoColumn, oneColumn] = parsed.pages;
+  const expected = [
+    "Sequence Models Compared",
+    ...left,
+    ...right,
+    "Table 1 below summarises the trade-offs of both approaches.",
+  ].join("\n");
+
+  if (
+    twoColumn.columns === 2 &&
+    oneColumn.columns === 1 &&
+    twoColumn.text === expected &&
+    twoColumn.layout.lines.map((line) => line.text).join("\n") === expected &&
+    twoColumn.layout.words[0].text === "Sequence" &&
+    parsed.rawText.startsWith(expected) &&
+    chunks.some((chunk) =>
+      chunk.content.includes(
+        "long documents a great deal faster than before.\nRecurrent networks"
+      )
+    )
+  ) {
+    console.log("✅ Multi-column reading order passed");
+  } else {
+    console.log("❌ Multi-column reading order failed:", {
+      columns: parsed.pages.map((page) => page.columns),
+      text: twoColumn.text,
+    });
+  }
+}
+
+async function testTextNormalization() {
+  console.log("\n🧼 Test 13: Text normalization...");
+
+  const original =
+    "The \uFB01rst\u0000  draft con-\ntains   the full\r\nfee table";
+  const { text, offsetMap } = normalizationService.normalizeText(original);
+  const word = (value) => {
+    const start = text.indexOf(value);
+    const range = normalizationService.toOriginalRange(
+      offsetMap,
+      start,
+      start + value.length
+    );
+    return original.slice(range.start, range.end);
+  };
+  const withoutHyphenation = normalizationService.normalizeText(original, {
+    hyphenation: false,
+  }).text;
+
+  const fileBuffer = buildPdf([
+    {
+      texts: [
+        { text: "Billing", size: 16, y: 720 },
+        { text: "Invoices are sent with a detailed break-", y: 690 },
+        { text: "down of   every charge.", y: 676 },
+      ],
+    },
+  ]);
+  const parsed = normalizationService.normalizeDocument(
+    await pdfService.parsePDF(fileBuffer)
+  );
+  const structured = pdfService.fallbackStructuredExtraction(parsed);
+  const [page] = parsed.pages;
+
+  // Chunks cite the range of the extracted text they came from
+  const cited = (chunk) =>
+    page.originalText.slice(
+      chunk.metadata.originalStart,
+      chunk.metadata.originalEnd
+    );
+  const [wholePage] = embeddingService.chunkPage(page, 0);
+  const { maxChunkSize, overlapSize } = embeddingService;
+  Object.assign(embeddingService, { maxChunkSize: 8, overlapSize: 2 });
+  const parts = embeddingService.chunkPage(page, 0);
+  Object.assign(embeddingService, { maxChunkSize, overlapSize });
+
+  if (
+    text === "The first draft contains\nthe full\nfee table" &&
+    word("first") === "\uFB01rst" &&
+    word("contains") === "con-\ntains" &&
+    word("fee") === "fee" &&
+    withoutHyphenation === "The first draft con-\ntains the full\nfee table" &&
+    page.text ===
+      "Billing\nInvoices are sent with a detailed breakdown\nof every charge." &&
+    page.originalText.includes("break-\ndown of   every") &&
+    structured.sections[0].content.join(" ") ===
+      "Invoices are sent with a detailed breakdown of every charge." &&
+    cited(wholePage) === page.originalText.trim() &&
+    parts.length === 2 &&
+    cited(parts[0]) ===
+      "Billing\nInvoices are sent with a detailed break-\ndown" &&
+    cited(parts[1]) === "detailed break-\ndown of   every charge."
+  ) {
+    console.log("✅ Text normalization passed");
+  } else {
+    console.log("❌ Text normalization failed:", {
+      text,
+      withoutHyphenation,
+      page: page.text,
+      sections: structured.sections,
+      cited: [wholePage, ...parts].map(cited),
+    });
+  }
+}
+
+async function testPDFParsing() {
+  try {
+    console.log("🧪 Testing PDF parsing...");
+    await testPageExtraction();
+    await testLayoutExtraction();
+    await testHeadingDetection();
+    await testBookmarkOutline();
+    await testOcrFallback();
+    await testTableExtraction();
+    await testPasswordProtected();
+    await testUploadValidation();
+    await testMetadataAndAnnotations();
+    await testBoilerplateRemoval();
+    await testColumnReadingOrder();
+    await testTextNormalization();
+    console.log("\n✅ PDF parsing tests completed!");
+  } catch (error) {
+    console.error("❌ Test failed:", error.message);
+  }
+}
+
+// Run the test if this file is executed directly
+if (require.main === module) {
+  testPDFParsing();
+}
+
+module.exports = { testPDFParsing };
@@ -1,5 +1,6 @@
 const dotenv = require("dotenv");
 const pdfService = require("../services/pdfService");
+const embeddingService = require("../services/embeddingService");
 dotenv.config();
 
 async function testPDFProcessing() {
@@ -112,6 +113,172 @@ JavaScript, Python, React, Node.js
       );
     });
 
+    // Test 5: Windowed NER (offline, with a stand-in model)
+    console.log("\n🪟 Test 5: Windowed NER...");
+    const client = pdfService.inferenceClient;
+    const settings = {
+      nerWindowTokens: pdfService.nerWindowTokens,
+      nerWindowOverlap: pdfService.nerWindowOverlap,
+    };
+    const calls = [];
+    // Tags capitalized word runs, like a model that only sees its window
+    pdfService.inferenceClient = {
+      tokenClassification: async ({ inputs }) => {
+        calls.push(inputs);
+        return [...inputs.matchAll(/[A-Z][a-z]+(?: [A-Z][a-z]+)*/g)].map(
+          (match) => ({
+            entity_group: match[0].endsWith("Corp") ? "ORG" : "PER",
+            word: match[0],
+            score: 0.9,
+            start: match.index,
+            end: match.index + match[0].length,
+          })
+        );
+      },
+    };
+
+    try {
+      const longText = Array.from({ length: 60 }, (_, index) =>
+        index % 10 === 0
+          ? `Alice Johnson joined Acme Corp in ${2000 + index}.`
+          : `the committee reviewed the budget and the plan ${index}.`
+      ).join(" ");
+      pdfService.nerWindowTokens = 50;
+      pdfService.nerWindowOverlap = 12;
+      const entities = await pdfService.extractEntities(longText);
+      const groups = pdfService.groupEntitiesByType(entities);
+
+      // Without overlap a name cut by the window border comes back in pieces
+      pdfService.nerWindowTokens = 5;
+      pdfService.nerWindowOverlap = 0;
+      const cutText = "one two three four Alice Johnson five";
+      const cut = await pdfService.extractEntities(cutText);
+
+      if (
+        calls.length > 2 &&
+        groups.PER.length === 6 &&
+        groups.ORG.length === 6 &&
+        entities.every(
+          (entity) => longText.slice(entity.start, entity.end) === entity.word
+        ) &&
+        entities.at(-1).start > longText.length / 2 &&
+        cut.length === 1 &&
+        cut[0].word === "Alice Johnson" &&
+        cut[0].start === cutText.indexOf("Alice")
+      ) {
+        console.log(`✅ Windowed NER passed (${calls.length} windows)`);
+      } else {
+        console.log("❌ Windowed NER failed:", { entities, cut });
+      }
+    } finally {
+      pdfService.inferenceClient = client;
+      Object.assign(pdfService, settings);
+    }
+
+    // Test 6: Entity index (offline, with a stand-in model)
+    console.log("\n🏷️ Test 6: Entity index...");
+    const pages = [
+      "Acme Corp. hired Dr. Jane Smith in Berlin.",
+      "ACME Corporation renewed the contract with Jane Smith.",
+    ].map((text, index) => ({ pageNumber: index + 1, text }));
+    const rawText = pages.map((page) => page.text).join("\n\n");
+    const labels = {
+      "Acme Corp.": "ORG",
+      "ACME Corporation": "ORG",
+      "Dr. Jane Smith": "PER",
+      "Jane Smith": "PER",
+      Berlin: "LOC",
+    };
+    const nerClient = pdfService.inferenceClient;
+    pdfService.inferenceClient = {
+      tokenClassification: async ({ inputs }) =>
+        [
+          ...inputs.matchAll(
+            /Acme Corp\.|ACME Corporation|Dr\. Jane Smith|Jane Smith|Berlin/g
+          ),
+        ].map((match) => ({
+          entity_group: labels[match[0]],
+          word: match[0],
+          score: 0.9,
+          start: match.index,
+          end: match.index + match[0].length,
+        })),
+    };
+
+    try {
+      const entities = await pdfService.extractEntities(rawText);
+      const structured = pdfService.processNERResponse(entities, {
+        rawText,
+        pages,
+        totalPages: 2,
+      });
+      const chunks = embeddingService.createChunks(structured);
+      const index = chunks[0].metadata.document.entities;
+      const acme = index.find((entity) => entity.key === "ORG:acme");
+      const jane = index.find((entity) => entity.key === "PER:jane smith");
+      const pageChunks = chunks
+        .map((chunk, chunkIndex) => ({ chunk, chunkIndex }))
+        .filter(({ chunk }) => chunk.metadata.chunkType === "page")
+        .map(({ chunkIndex }) => chunkIndex);
+
+      if (
+        index.length === 3 &&
+        acme.mentions === 2 &&
+        acme.aliases.includes("ACME Corporation") &&
+        acme.pages.join() === "1,2" &&
+        pageChunks.every((chunkIndex) => acme.chunks.includes(chunkIndex)) &&
+        jane.pages.join() === "1,2" &&
+        chunks[0].metadata.entityKeys.includes("LOC:berlin")
+      ) {
+        console.log("✅ Entity index passed");
+      } else {
+        console.log("❌ Entity index failed:", index);
+      }
+    } finally {
+      pdfService.inferenceClient = nerClient;
+    }
+
+    // Test 7: When every NER window fails, basic extraction takes over
+    console.log("\n🛟 Test 7: Fallback when NER fails everywhere...");
+    const failingClient = pdfService.inferenceClient;
+    const apiKey = pdfService.huggingfaceApiKey;
+    const nerCalls = [];
+    pdfService.huggingfaceApiKey = apiKey || "test";
+    pdfService.inferenceClient = {
+      tokenClassification: async ({ inputs }) => {
+        nerCalls.push(inputs);
+        throw new Error("Model is currently loading");
+      },
+    };
+
+    try {
+      const failed = await pdfService.extractEntities(rawText).then(
+        () => null,
+        (error) => error.message
+      );
+      const fallback = await pdfService.extractStructuredData({
+        rawText,
+        pages,
+        totalPages: 2,
+      });
+      if (
+        nerCalls.length > 0 &&
+        /all \d+ windows: Model is currently loading/.test(failed) &&
+        fallback.confidence === 0.6 &&
+        fallback.sections.length > 0
+      ) {
+        console.log("✅ Fallback when NER fails everywhere passed");
+      } else {
+        console.log("❌ Fallback when NER fails everywhere failed:", {
+          failed,
+          fallback,
+        });
+      }
+    } finally {
+      pdfService.inferenceClient = failingClient;
+      pdfService.huggingfaceApiKey = apiKey;
+    }
+
     console.log("\n✅ All tests completed successfully!");
   } catch (error) {
     console.error("❌ Test failed:", error.message);
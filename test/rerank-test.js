@@ -0,0 +1,146 @@
+// Rerank with the offline BM25 stand-in
+process.env.RERANK_ENABLED = "true";
+process.env.RERANK_PROVIDER = "local";
+delete process.env.RERANK_TOP_N;
+
+const rerankService = require("../services/rerankService");
+const { HuggingFaceReranker } = require("../services/rerankers");
+
+/**
+ * Chunks in the order retrieval returned them
+ */
+function buildChunks(contents) {
+  return contents.map((content, index) => ({
+    id: `chunk-${index}`,
+    content,
+    score: 1 - index / 10,
+    metadata: { fileId: "contract-1", chunkIndex: index },
+  }));
+}
+
+async function testRerank() {
+  try {
+    console.log("🧪 Testing reranking...");
+
+    const chunks = buildChunks([
+      "The parties meet quarterly to review progress",
+      "Either party may terminate this agreement with 30 days notice",
+      "Payment is due within 30 days of the invoice date",
+      "Termination of the agreement ends all licenses granted under it",
+    ]);
+
+    // Test 1: Chunks are reordered by rerankScore
+    console.log("\n1. Testing reordering by rerank score...");
+    const reranked = await rerankService.rerank(
+      "terminate agreement",
+      chunks,
+      4
+    );
+    const scores = reranked.map((chunk) => chunk.rerankScore);
+    if (
+      reranked.length === 4 &&
+      reranked[0].id === "chunk-1" &&
+      reranked[1].id === "chunk-3" &&
+      scores.every((score, i) => i === 0 || scores[i - 1] >= score)
+    ) {
+      console.log("✅ Reordering passed");
+    } else {
+      console.log("❌ Reordering failed:", reranked);
+    }
+
+    // Test 2: Only the top N are kept
+    console.log("\n2. Testing top-N truncation...");
+    const top = await rerankService.rerank("terminate agreement", chunks, 2);
+    rerankService.topN = 1;
+    const configured = await rerankService.rerank(
+      "terminate agreement",
+      chunks,
+      2
+    );
+    rerankService.topN = null;
+    if (
+      top.map((chunk) => chunk.id).join() === "chunk-1,chunk-3" &&
+      configured.length === 1
+    ) {
+      console.log("✅ Top-N truncation passed");
+    } else {
+      console.log("❌ Top-N truncation failed:", { top, configured });
+    }
+
+    // Test 3: A failing reranker keeps the retrieval order
+    console.log("\n3. Testing fallback when the reranker throws...");
+    const reranker = rerankService.reranker;
+    rerankService.reranker = {
+      name: "failing",
+      model: "failing",
+      score: async () => {
+        throw new Error("Reranker unavailable");
+      },
+    };
+    const fallback = await rerankService.rerank(
+      "terminate agreement",
+      chunks,
+      3
+    );
+    rerankService.reranker = reranker;
+    if (
+      fallback.map((chunk) => chunk.id).join() === "chunk-0,chunk-1,chunk-2" &&
+      fallback.every((chunk) => chunk.rerankScore === undefined)
+    ) {
+      console.log("✅ Fallback passed");
+    } else {
+      console.log("❌ Fallback failed:", fallback);
+    }
+
+    // Test 4: Disabled reranking returns the chunks untouched
+    console.log("\n4. Testing disabled reranking...");
+    rerankService.enabled = false;
+    const untouched = await rerankService.rerank(
+      "terminate agreement",
+      chunks,
+      2
+    );
+    rerankService.enabled = true;
+    if (untouched === chunks) {
+      console.log("✅ Disabled reranking passed");
+    } else {
+      console.log("❌ Disabled reranking failed:", untouched);
+    }
+
+    // Test 5: Cross-encoder scores come from the relevance label
+    console.log("\n5. Testing cross-encoder relevance labels...");
+    const outputs = {
+      // Two-label model: the likelier class is "not relevant"
+      "two-label": [
+        { label: "LABEL_0", score: 0.9 },
+        { label: "LABEL_1", score: 0.1 },
+      ],
+      // Single-logit model (ms-marco)
+      "one-logit": [{ label: "LABEL_0", score: 0.7 }],
+    };
+    const crossEncoder = new HuggingFaceReranker({ apiKey: "test" });
+    crossEncoder.client = {
+      textClassification: async ({ inputs }) => outputs[inputs.text_pair],
+    };
+    const labelScores = await crossEncoder.score("query", [
+      "two-label",
+      "one-logit",
+    ]);
+    if (labelScores.join() === "0.1,0.7") {
+      console.log("✅ Relevance labels passed");
+    } else {
+      console.log("❌ Relevance labels failed:", labelScores);
+    }
+
+    console.log("\n✅ Rerank tests completed!");
+  } catch (error) {
+    console.error("❌ Test failed:", error.message);
+  }
+}
+
+// Run the test if this file is executed directly
+if (require.main === module) {
+  testRerank();
+}
+
+module.exports = { testRerank };
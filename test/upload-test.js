@@ -27,18 +27,36 @@ async function testPDFUpload() {
 
     console.log("📊 Response status:", response.status);
 
-    const result = await response.json();
-    console.log("📋 Response body:", JSON.stringify(result, null, 2));
+    const accepted = await response.json();
+    console.log("📋 Response body:", JSON.stringify(accepted, null, 2));
 
-    if (result.success) {
+    if (!accepted.success) {
+      console.error("❌ Upload failed:", accepted.message || accepted.error);
+      return;
+    }
+
+    let job = { status: "queued" };
+
+    // Poll the ingestion job until it finishes
+    while (job.status === "queued" || job.status === "processing") {
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+      const statusResponse = await fetch(
+        `http://localhost:3000${accepted.statusUrl}`
+      );
+      job = (await statusResponse.json()).job;
+      console.log(`⏳ ${job.stage}: ${job.progress}%`);
+    }
+
+    if (job.status === "completed") {
+      const result = job.result;
       console.log("✅ Upload successful!");
-      console.log("📄 File ID:", result.data.fileId);
-      console.log("📋 Document Type:", result.data.documentType);
-      console.log("📊 Sections:", result.data.sections);
-      console.log("🔢 Chunks:", result.data.chunks);
-      console.log("📝 Summary:", result.data.summary);
+      console.log("📄 File ID:", result.fileId);
+      console.log("📋 Document Type:", result.documentType);
+      console.log("📊 Sections:", result.sections);
+      console.log("🔢 Chunks:", result.chunks);
+      console.log("📝 Summary:", result.summary);
     } else {
-      console.error("❌ Upload failed:", result.message || result.error);
+      console.error("❌ Processing failed:", job.error && job.error.message);
     }
   } catch (error) {
     console.error("❌ Test failed:", error.message);
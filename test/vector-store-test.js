@@ -0,0 +1,353 @@
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+const {
+  MemoryVectorStore,
+  QdrantVectorStore,
+} = require("../services/vectorStores");
+const { LocalEmbedder } = require("../services/embeddings");
+const { entityKey } = require("../services/entityIndex");
+
+const embedder = new LocalEmbedder({ dimension: 384 });
+
+/**
+ * Build chunk embeddings the way embeddingService.chunkAndEmbed does
+ */
+async function buildEmbeddings(fileId, documentType, pages) {
+  const vectors = await embedder.embed(pages);
+
+  return pages.map((text, index) => ({
+    id: `${fileId}-${index}`,
+    content: text,
+    metadata: {
+      fileId,
+      documentType,
+      section: "page_content",
+      chunkIndex: index,
+      pageNumber: index + 1,
+      chunkType: "page",
+      embeddingModel: embedder.model,
+    },
+    embedding: vectors[index],
+  }));
+}
+
+async function testMemoryVectorStore() {
+  const filePath = path.join(
+    os.tmpdir(),
+    `vector-store-test-${process.pid}.json`
+  );
+
+  try {
+    console.log("🧪 Testing memory vector store...");
+    const store = new MemoryVectorStore({ filePath });
+    await store.initializeCollection();
+
+    const invoice = await buildEmbeddings("invoice-1", "invoice", [
+      "Invoice INV-2041 issued to Acme Corporation",
+      "Total amount due is $500 payable within 30 days",
+    ]);
+    const resume = await buildEmbeddings("resume-1", "resume", [
+      "Software engineer with React and Node.js experience",
+    ]);
+    // Document-level data rides on the document_info chunk
+    invoice[0].metadata = {
+      ...invoice[0].metadata,
+      section: "document_info",
+      document: { outline: [{ title: "Line Items", level: 1 }] },
+    };
+    // A chunk whose embedding failed is stored as pending
+    resume.push({
+      ...resume[0],
+      id: "resume-1-pending",
+      metadata: { ...resume[0].metadata, chunkIndex: 1, pageNumber: 2 },
+      embedding: null,
+    });
+
+    await store.storeEmbeddings([...invoice, ...resume]);
+
+    // Test 1: Similarity search
+    console.log("\n🔍 Test 1: Similarity search...");
+    const [query] = await embedder.embed(["What is the total amount due?"]);
+    const results = await store.searchSimilar(query, 2);
+    if (results[0]?.id === "invoice-1-1") {
+      console.log("✅ Similarity search passed");
+    } else {
+      console.log("❌ Similarity search failed:", results);
+    }
+
+    // Test 2: Filters and pending chunks
+    console.log("\n🧹 Test 2: Filtered search excludes pending chunks...");
+    const filtered = await store.searchSimilar(query, 10, {
+      must: [{ key: "fileId", match: { value: "resume-1" } }],
+    });
+    const pending = await store.countPendingByFileId("resume-1");
+    if (filtered.length === 1 && pending === 1) {
+      console.log("✅ Filtered search passed");
+    } else {
+      console.log("❌ Filtered search failed:", filtered, pending);
+    }
+
+    // Test 3: Page lookup and file listing
+    console.log("\n📄 Test 3: Page lookup and file listing...");
+    const page = await store.searchByFileIdAndPage("invoice-1", 2);
+    const files = await store.getAllFiles();
+    // The pending chunk is resume-1's page 2
+    const resumeChunks = await store.searchByFileId("resume-1");
+    const pendingPage = await store.searchByFileIdAndPage("resume-1", 2);
+    if (
+      page.length === 1 &&
+      files.length === 2 &&
+      resumeChunks.length === 1 &&
+      pendingPage.length === 0
+    ) {
+      console.log("✅ Page lookup and file listing passed");
+    } else {
+      console.log("❌ Page lookup and file listing failed:", page, files);
+    }
+
+    // Test 4: Hybrid search on an exact identifier
+    console.log("\n🔀 Test 4: Hybrid search...");
+    const identifierQuery = "Who was invoice INV-2041 issued to?";
+    const [identifierEmbedding] = await embedder.embed([identifierQuery]);
+    const hybrid = await store.searchSimilar(identifierEmbedding, 2, null, {
+      queryText: identifierQuery,
+    });
+    if (hybrid[0]?.id === "invoice-1-0" && hybrid[0].keywordScore > 0) {
+      console.log("✅ Hybrid search passed");
+    } else {
+      console.log("❌ Hybrid search failed:", hybrid);
+    }
+
+    // Test 5: Persistence
+    console.log("\n💾 Test 5: Persistence...");
+    await store.deleteByFileId("resume-1");
+    const reloaded = new MemoryVectorStore({ filePath });
+    const info = await reloaded.getCollectionInfo();
+    if (info.pointsCount === 2) {
+      console.log("✅ Persistence passed");
+    } else {
+      console.log("❌ Persistence failed:", info);
+    }
+
+    // Test 6: Tables rebuilt from their chunks
+    console.log("\n📊 Test 6: Tables...");
+    const table = {
+      pageNumber: 1,
+      header: ["Item", "Amount"],
+      rows: [
+        ["Consulting", "1,000.00"],
+        ["Travel", "250.00"],
+      ],
+    };
+    const tableChunks = [
+      { rows: [table.rows[1]], chunkPart: 2 },
+      { rows: [table.rows[0]], chunkPart: 1 },
+    ].map(({ rows, chunkPart }) => ({
+      id: `invoice-1-table-${chunkPart}`,
+      content: rows.map((row) => row.join(" | ")).join("\n"),
+      metadata: {
+        fileId: "invoice-1",
+        documentType: "invoice",
+        section: "table",
+        chunkType: "table",
+        chunkPart,
+        pageNumber: 1,
+        table: { tableIndex: 0, ...table, rows },
+      },
+      embedding: null,
+    }));
+    await reloaded.storeEmbeddings(tableChunks);
+    const tables = await reloaded.getTables("invoice-1");
+    if (
+      tables.length === 1 &&
+      tables[0].rows.map((row) => row[0]).join(",") === "Consulting,Travel"
+    ) {
+      console.log("✅ Tables passed");
+    } else {
+      console.log("❌ Tables failed:", tables);
+    }
+
+    // Test 7: Document info
+    console.log("\n📑 Test 7: Document info...");
+    const documentInfo = await reloaded.getDocumentInfo("invoice-1");
+    const missing = await reloaded.getDocumentInfo("resume-1");
+    if (
+      documentInfo?.outline?.[0]?.title === "Line Items" &&
+      missing === null
+    ) {
+      console.log("✅ Document info passed");
+    } else {
+      console.log("❌ Document info failed:", documentInfo, missing);
+    }
+
+    // Test 8: Entity index and cross-file entity search
+    console.log("\n🏷️ Test 8: Entities...");
+    const [contract] = await buildEmbeddings("contract-1", "contract", [
+      "Services agreement between ACME Corporation and Jane Smith",
+    ]);
+    const entities = [
+      { key: "ORG:acme", name: "ACME Corporation", type: "ORG", pages: [1] },
+      { key: "PER:jane smith", name: "Jane Smith", type: "PER", pages: [1] },
+    ];
+    contract.metadata = {
+      ...contract.metadata,
+      section: "document_info",
+      document: { entities },
+      entityKeys: entities.map((entity) => entity.key),
+    };
+    await reloaded.storeEmbeddings([contract]);
+    const found = await reloaded.findFilesByEntity([
+      entityKey("Acme Corp.", "ORG"),
+    ]);
+    const notFound = await reloaded.findFilesByEntity([
+      entityKey("Globex", "ORG"),
+    ]);
+    const fileEntities = await reloaded.getEntities("contract-1");
+    if (
+      found.length === 1 &&
+      found[0].fileId === "contract-1" &&
+      found[0].entities.map((entity) => entity.name).join() ===
+        "ACME Corporation" &&
+      notFound.length === 0 &&
+      fileEntities.length === 2 &&
+      (await reloaded.getEntities("missing-1")) === null
+    ) {
+      console.log("✅ Entities passed");
+    } else {
+      console.log("❌ Entities failed:", { found, notFound, fileEntities });
+    }
+
+    // Test 9: A failed write does not block later saves
+    console.log("\n💽 Test 9: Saving after a failed write...");
+    const writeJson = fs.writeJson;
+    fs.writeJson = async () => {
+      throw new Error("Disk full");
+    };
+    const failedSave = await reloaded.save().then(
+      () => null,
+      (error) => error.message
+    );
+    fs.writeJson = writeJson;
+    await reloaded.deleteByFileId("contract-1");
+    const afterFailure = new MemoryVectorStore({ filePath });
+    if (
+      failedSave === "Disk full" &&
+      (await afterFailure.getCollectionInfo()).pointsCount ===
+        reloaded.points.size
+    ) {
+      console.log("✅ Saving after a failed write passed");
+    } else {
+      console.log("❌ Saving after a failed write failed:", failedSave);
+    }
+
+    // Test 10: Keyword search covers files dense search did not return
+    console.log("\n🗂️ Test 10: Keyword search across all files...");
+    const wide = new MemoryVectorStore();
+    await wide.storeEmbeddings([...invoice, ...resume]);
+    const searchDense = wide.searchDense.bind(wide);
+    wide.searchDense = (embedding, limit) =>
+      searchDense(embedding, limit, {
+        must: [{ key: "fileId", match: { value: "resume-1" } }],
+      });
+    const wideResults = await wide.searchSimilar(identifierEmbedding, 3, null, {
+      queryText: "INV-2041",
+    });
+    const keywordMatch = wideResults.find(
+      (result) => result.id === "invoice-1-0"
+    );
+    if (
+      keywordMatch &&
+      keywordMatch.denseScore === null &&
+      keywordMatch.keywordScore > 0
+    ) {
+      console.log("✅ Keyword search across all files passed");
+    } else {
+      console.log("❌ Keyword search across all files failed:", wideResults);
+    }
+
+    // Test 11: Qdrant stores BM25 term weights as a sparse vector and
+    // searches them in Qdrant
+    console.log("\n📥 Test 11: Qdrant keyword vectors...");
+    const qdrant = new QdrantVectorStore();
+    const upserted = [];
+    let keywordQuery = null;
+    qdrant.client = {
+      getCollection: async () => ({
+        config: { params: { sparse_vectors: { keywords: {} } } },
+      }),
+      upsert: async (collectionName, { points }) => upserted.push(...points),
+      query: async (collectionName, request) => {
+        keywordQuery = request;
+        return {
+          points: upserted.map((point) => ({
+            id: point.id,
+            score: request.query.indices.filter((index) =>
+              point.vector.keywords.indices.includes(index)
+            ).length,
+            payload: point.payload,
+          })),
+        };
+      },
+    };
+    qdrant.getVectorSize = async () => embedder.dimension;
+    await qdrant.storeEmbeddings(invoice);
+    const keywordResults = await qdrant.searchKeyword("INV-2041", 5, null);
+    if (
+      upserted.length === 2 &&
+      upserted[0].vector[""].length === embedder.dimension &&
+      keywordQuery.using === "keywords" &&
+      keywordQuery.filter.must_not.length === 1 &&
+      keywordResults[0].id === "invoice-1-0" &&
+      keywordResults[0].score === 3 &&
+      keywordResults[1].score === 0
+    ) {
+      console.log("✅ Qdrant keyword vectors passed");
+    } else {
+      console.log("❌ Qdrant keyword vectors failed:", {
+        keywordQuery,
+        keywordResults,
+      });
+    }
+
+    // Test 12: An existing collection gets the payload indexes it lacks
+    console.log("\n🗃️ Test 12: Missing payload indexes...");
+    const existing = new QdrantVectorStore();
+    const createdIndexes = [];
+    existing.client = {
+      getCollections: async () => ({
+        collections: [{ name: existing.collectionName }],
+      }),
+      getCollection: async () => ({
+        payload_schema: {
+          fileId: { data_type: "keyword" },
+          pageNumber: { data_type: "integer" },
+        },
+      }),
+      createPayloadIndex: async (collectionName, index) =>
+        createdIndexes.push(`${index.field_name}:${index.field_schema}`),
+    };
+    await existing.ensurePayloadIndexes();
+    if (
+      createdIndexes.join() ===
+      "documentType:keyword,section:keyword,chunkType:keyword,embeddingStatus:keyword,entityKeys:keyword"
+    ) {
+      console.log("✅ Missing payload indexes passed");
+    } else {
+      console.log("❌ Missing payload indexes failed:", createdIndexes);
+    }
+
+    console.log("\n✅ Vector store tests completed!");
+  } catch (error) {
+    console.error("❌ Test failed:", error.message);
+  } finally {
+    await fs.remove(filePath);
+  }
+}
+
+// Run the test if this file is executed directly
+if (require.main === module) {
+  testMemoryVectorStore();
+}
+
+module.exports = { testMemoryVectorStore };
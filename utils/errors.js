@@ -0,0 +1,15 @@
+/**
+ * Error for failures caused by the request (bad input, unreadable file)
+ * rather than by the server. `code` is a stable machine-readable identifier
+ * and `status` the HTTP status to respond with.
+ */
+class AppError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = "AppError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+module.exports = { AppError };